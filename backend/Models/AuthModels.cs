@@ -0,0 +1,38 @@
+namespace AzureOnlinePongGame.Models
+{
+    // Request and response bodies of the /api/auth endpoints (serialized camelCase)
+
+    public class GuestLoginRequest
+    {
+        // Random secret generated and kept by the browser; the same secret always maps to the same guest account
+        public string GuestSecret { get; set; } = string.Empty;
+        public string DisplayName { get; set; } = string.Empty;
+    }
+
+    public class OidcCallbackRequest
+    {
+        public string Code { get; set; } = string.Empty;
+        public string CodeVerifier { get; set; } = string.Empty;
+        public string RedirectUri { get; set; } = string.Empty;
+    }
+
+    public class RefreshRequest
+    {
+        public string RefreshToken { get; set; } = string.Empty;
+    }
+
+    public class AuthUser
+    {
+        public string Id { get; set; } = string.Empty;
+        public string DisplayName { get; set; } = string.Empty;
+        public string Provider { get; set; } = string.Empty; // "guest" or "oidc"
+    }
+
+    public class AuthResponse
+    {
+        public string AccessToken { get; set; } = string.Empty;
+        public string RefreshToken { get; set; } = string.Empty;
+        public int ExpiresIn { get; set; } // Seconds until the access token expires
+        public AuthUser User { get; set; } = new AuthUser();
+    }
+}
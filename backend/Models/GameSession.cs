@@ -5,10 +5,57 @@ namespace AzureOnlinePongGame.Models
 {
     public class GameSession
     {
+        // Least a pause costs, however short; shorter pauses are not worth starting
+        public const long MIN_PAUSE_MS = 1000;
+
+        // Public identifier of the match (listed to spectators, unlike player IDs and tokens)
+        [JsonProperty("matchId")]
+        public string MatchId { get; set; } = Guid.NewGuid().ToString("N");
         [JsonProperty("player1Id")]
         public string Player1Id { get; set; } = string.Empty;
         [JsonProperty("player2Id")]
         public string Player2Id { get; set; } = string.Empty;
+        // Secret tokens that let a player reclaim their seat from a new connection after a reconnect
+        [JsonProperty("player1Token")]
+        public string Player1Token { get; set; } = Guid.NewGuid().ToString("N");
+        [JsonProperty("player2Token")]
+        public string Player2Token { get; set; } = Guid.NewGuid().ToString("N");
+        // Players who dropped and have not rejoined yet
+        [JsonProperty("player1Disconnected")]
+        public bool Player1Disconnected { get; set; } = false;
+        [JsonProperty("player2Disconnected")]
+        public bool Player2Disconnected { get; set; } = false;
+        // Rematch requests after game over; a new game starts once both are set
+        [JsonProperty("player1WantsRematch")]
+        public bool Player1WantsRematch { get; set; } = false;
+        [JsonProperty("player2WantsRematch")]
+        public bool Player2WantsRematch { get; set; } = false;
+        // Set once the finished game has been sent to the leaderboard, so it is rated only once
+        [JsonProperty("resultRecorded")]
+        public bool ResultRecorded { get; set; } = false;
+        // Pause time each player used in this match (counted against Game:PauseBudgetSeconds)
+        [JsonProperty("player1PauseUsedMs")]
+        public long Player1PauseUsedMs { get; set; } = 0;
+        [JsonProperty("player2PauseUsedMs")]
+        public long Player2PauseUsedMs { get; set; } = 0;
+        // Server clock (Unix ms) when the running pause began
+        [JsonProperty("pauseStartedAt")]
+        public long PauseStartedAt { get; set; } = 0;
+        // Display names; empty for guests (see GetDisplayName)
+        [JsonProperty("player1Name")]
+        public string Player1Name { get; set; } = string.Empty;
+        [JsonProperty("player2Name")]
+        public string Player2Name { get; set; } = string.Empty;
+        // Signed-in user behind each seat (token subject), empty if unknown
+        [JsonProperty("player1UserId")]
+        public string Player1UserId { get; set; } = string.Empty;
+        [JsonProperty("player2UserId")]
+        public string Player2UserId { get; set; } = string.Empty;
+        // Started from a private lobby: custom options, not rated and not listed to spectators
+        [JsonProperty("isPrivate")]
+        public bool IsPrivate { get; set; } = false;
+        [JsonProperty("spectatorCount")]
+        public int SpectatorCount { get; set; } = 0;
         [JsonProperty("state")]
         public GameState State { get; set; } = new GameState();
         [JsonProperty("lastUpdateTime")]
@@ -16,5 +63,37 @@ namespace AzureOnlinePongGame.Models
 
         [JsonIgnore]
         public string SessionId => $"{Player1Id}:{Player2Id}";
+
+        [JsonIgnore]
+        public bool IsBotMatch => Player2Id.StartsWith("bot_");
+
+        // Lift the running pause and charge it to the player who paused: its length (at least MIN_PAUSE_MS)
+        // plus the resume countdown that follows, so quick pause/resume cycles cannot stall the match for free.
+        // The caller sets ResumeAt.
+        public void EndPause(long nowMs, long resumeCountdownMs)
+        {
+            long usedMs = Math.Max(MIN_PAUSE_MS, nowMs - PauseStartedAt) + resumeCountdownMs;
+            if (State.PausedBy == 1)
+                Player1PauseUsedMs += usedMs;
+            else if (State.PausedBy == 2)
+                Player2PauseUsedMs += usedMs;
+            State.PausedBy = 0;
+            State.PauseEndsAt = 0;
+            PauseStartedAt = 0;
+        }
+
+        // Name shown for a side. Unnamed players are named after their user ID, which is public (leaderboard)
+        // and survives reconnects, or after their side; never after the session token, the rejoin credential.
+        public string GetDisplayName(int side)
+        {
+            string name = side == 1 ? Player1Name : Player2Name;
+            if (!string.IsNullOrEmpty(name))
+                return name;
+            if (side == 2 && IsBotMatch)
+                return "Bot";
+            string userId = side == 1 ? Player1UserId : Player2UserId;
+            string suffix = userId.Substring(userId.LastIndexOf(':') + 1);
+            return suffix.Length > 0 ? $"Guest {suffix.Substring(0, Math.Min(4, suffix.Length))}" : $"Guest {side}";
+        }
     }
 }
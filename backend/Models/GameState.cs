@@ -1,3 +1,4 @@
+using System.Collections.Generic;
 using Newtonsoft.Json;
 using MessagePack;
 
@@ -36,12 +37,83 @@ namespace AzureOnlinePongGame.Models
         [Key("sequenceNumber")]
         [JsonProperty("sequenceNumber")]
         public int SequenceNumber { get; set; } = 0;
+        // Last input sequence number from each player applied to this state (for client reconciliation)
+        [Key("leftInputSequence")]
+        [JsonProperty("leftInputSequence")]
+        public int LeftInputSequence { get; set; } = 0;
+        [Key("rightInputSequence")]
+        [JsonProperty("rightInputSequence")]
+        public int RightInputSequence { get; set; } = 0;
+        // Server clock (Unix ms) when this state was sent, used for snapshot interpolation
+        [Key("serverTime")]
+        [JsonProperty("serverTime")]
+        public long ServerTime { get; set; } = 0;
         [Key("leftPlayerReady")]
         [JsonProperty("leftPlayerReady")]
         public bool LeftPlayerReady { get; set; } = false;
         [Key("rightPlayerReady")]
         [JsonProperty("rightPlayerReady")]
         public bool RightPlayerReady { get; set; } = false;
+        // Set while a player is reconnecting; the match ends if ReconnectDeadline (Unix ms) passes
+        [Key("paused")]
+        [JsonProperty("paused")]
+        public bool Paused { get; set; } = false;
+        [Key("reconnectDeadline")]
+        [JsonProperty("reconnectDeadline")]
+        public long ReconnectDeadline { get; set; } = 0;
+        // Side (1 | 2) that paused the match with PauseGame, 0 while not paused; play resumes by PauseEndsAt (Unix ms)
+        [Key("pausedBy")]
+        [JsonProperty("pausedBy")]
+        public int PausedBy { get; set; } = 0;
+        [Key("pauseEndsAt")]
+        [JsonProperty("pauseEndsAt")]
+        public long PauseEndsAt { get; set; } = 0;
+        // Side (1 | 2) that gave up the match with ForfeitMatch, 0 if nobody did
+        [Key("forfeitedBy")]
+        [JsonProperty("forfeitedBy")]
+        public int ForfeitedBy { get; set; } = 0;
+        // Both players must press Ready (RequestStartGame) before this server time (Unix ms) or the match is
+        // cancelled; 0 once the ready check is over
+        [Key("readyDeadline")]
+        [JsonProperty("readyDeadline")]
+        public long ReadyDeadline { get; set; } = 0;
+        // Server clock (Unix ms) at which play starts or resumes after a countdown, 0 if not counting down
+        [Key("resumeAt")]
+        [JsonProperty("resumeAt")]
+        public long ResumeAt { get; set; } = 0;
+        // Rules of the match (bot and private matches can change them, see MatchRules)
+        [Key("rules")]
+        [JsonProperty("rules")]
+        public MatchRules Rules { get; set; } = new MatchRules();
+        // Side that served the current rally (1 = left, 2 = right), 0 before the first serve
+        [Key("servingSide")]
+        [JsonProperty("servingSide")]
+        public int ServingSide { get; set; } = 0;
+        // Arcade mode (Rules.Arcade): more balls in play, power-ups on the court and running effects
+        [Key("extraBalls")]
+        [JsonProperty("extraBalls")]
+        public List<BallState> ExtraBalls { get; set; } = new List<BallState>();
+        [Key("powerUps")]
+        [JsonProperty("powerUps")]
+        public List<PowerUpState> PowerUps { get; set; } = new List<PowerUpState>();
+        [Key("effects")]
+        [JsonProperty("effects")]
+        public List<EffectState> Effects { get; set; } = new List<EffectState>();
+        // Milliseconds until the next power-up spawns
+        [Key("nextPowerUpIn")]
+        [JsonProperty("nextPowerUpIn")]
+        public float NextPowerUpIn { get; set; } = 6000;
+        [Key("nextPowerUpId")]
+        [JsonProperty("nextPowerUpId")]
+        public int NextPowerUpId { get; set; } = 1;
+        // Newest ball bounce, for client sounds and debugging (null until the first one)
+        [Key("lastCollision")]
+        [JsonProperty("lastCollision")]
+        public CollisionInfo? LastCollision { get; set; }
+        // Number of spectators watching the match
+        [Key("viewerCount")]
+        [JsonProperty("viewerCount")]
+        public int ViewerCount { get; set; } = 0;
         [MessagePack.IgnoreMember]
         [JsonIgnore]
         public bool PlayersReady => LeftPlayerReady && RightPlayerReady;
@@ -72,6 +144,46 @@ namespace AzureOnlinePongGame.Models
         [Key("velocityY")]
         [JsonProperty("velocityY")]
         public float VelocityY { get; set; } = 6;
+        // Side whose paddle touched the ball last (0 = nobody since the serve); collects power-ups
+        [Key("lastHitBy")]
+        [JsonProperty("lastHitBy")]
+        public int LastHitBy { get; set; } = 0;
+        // Added to VelocityY every frame by a curve shot, cleared at the walls
+        [Key("curve")]
+        [JsonProperty("curve")]
+        public float Curve { get; set; } = 0;
+    }
+
+    [MessagePackObject]
+    public class CollisionInfo
+    {
+        public const string PADDLE = "paddle";
+        public const string WALL = "wall";
+
+        // Server clock (Unix ms) of the bounce; clients tell bounces apart by it
+        [Key("time")]
+        [JsonProperty("time")]
+        public long Time { get; set; }
+        [Key("type")]
+        [JsonProperty("type")]
+        public string Type { get; set; } = PADDLE;
+        // Paddle side for paddle hits (1 = left, 2 = right), 0 for walls
+        [Key("side")]
+        [JsonProperty("side")]
+        public int Side { get; set; }
+        [Key("ballX")]
+        [JsonProperty("ballX")]
+        public float BallX { get; set; }
+        [Key("ballY")]
+        [JsonProperty("ballY")]
+        public float BallY { get; set; }
+        [Key("paddleY")]
+        [JsonProperty("paddleY")]
+        public float PaddleY { get; set; }
+        // Ball speed after the bounce, in pixels per 60 Hz frame
+        [Key("speed")]
+        [JsonProperty("speed")]
+        public float Speed { get; set; }
     }
 
     [MessagePackObject]
@@ -83,5 +195,9 @@ namespace AzureOnlinePongGame.Models
         [Key("y")]
         [JsonProperty("y")]
         public float Y { get; set; }
+        // Current height; arcade power-ups grow and shrink it
+        [Key("height")]
+        [JsonProperty("height")]
+        public float Height { get; set; } = 100;
     }
 }
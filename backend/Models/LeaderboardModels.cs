@@ -0,0 +1,40 @@
+using System;
+using System.Collections.Generic;
+
+namespace AzureOnlinePongGame.Models
+{
+    // Response bodies of the /api/leaderboard endpoints (serialized camelCase)
+
+    public class LeaderboardEntry
+    {
+        public long Rank { get; set; } // 1-based
+        public string UserId { get; set; } = string.Empty;
+        public string DisplayName { get; set; } = string.Empty;
+        public int Rating { get; set; }
+        public int Wins { get; set; }
+        public int Losses { get; set; }
+        public string RecentForm { get; set; } = string.Empty; // Latest result first, e.g. "WWLW"
+    }
+
+    public class LeaderboardPage
+    {
+        public long Total { get; set; } // Number of rated players
+        public List<LeaderboardEntry> Entries { get; set; } = new List<LeaderboardEntry>();
+    }
+
+    // A finished online match as stored in the match history
+    public class MatchRecord
+    {
+        public string MatchId { get; set; } = string.Empty;
+        public string Player1UserId { get; set; } = string.Empty;
+        public string Player2UserId { get; set; } = string.Empty;
+        public int LeftScore { get; set; }
+        public int RightScore { get; set; }
+        public int Winner { get; set; } // 1 = left, 2 = right
+        public int Player1Rating { get; set; } // Ratings after the match
+        public int Player2Rating { get; set; }
+        public int Player1RatingChange { get; set; }
+        public int Player2RatingChange { get; set; }
+        public DateTime FinishedAt { get; set; }
+    }
+}
@@ -0,0 +1,46 @@
+using Newtonsoft.Json;
+using MessagePack;
+
+namespace AzureOnlinePongGame.Models
+{
+    // Summary of a running match for the spectator match list
+    [MessagePackObject]
+    public class LiveMatchInfo
+    {
+        [Key("matchId")]
+        [JsonProperty("matchId")]
+        public string MatchId { get; set; } = string.Empty;
+        [Key("player1")]
+        [JsonProperty("player1")]
+        public string Player1 { get; set; } = string.Empty;
+        [Key("player2")]
+        [JsonProperty("player2")]
+        public string Player2 { get; set; } = string.Empty;
+        [Key("leftScore")]
+        [JsonProperty("leftScore")]
+        public int LeftScore { get; set; } = 0;
+        [Key("rightScore")]
+        [JsonProperty("rightScore")]
+        public int RightScore { get; set; } = 0;
+        [Key("viewers")]
+        [JsonProperty("viewers")]
+        public int Viewers { get; set; } = 0;
+        [Key("isBot")]
+        [JsonProperty("isBot")]
+        public bool IsBot { get; set; } = false;
+
+        public static LiveMatchInfo FromSession(GameSession session)
+        {
+            return new LiveMatchInfo
+            {
+                MatchId = session.MatchId,
+                Player1 = session.GetDisplayName(1),
+                Player2 = session.GetDisplayName(2),
+                LeftScore = session.State.LeftScore,
+                RightScore = session.State.RightScore,
+                Viewers = session.SpectatorCount,
+                IsBot = session.IsBotMatch
+            };
+        }
+    }
+}
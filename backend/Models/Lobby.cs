@@ -0,0 +1,34 @@
+using System;
+using Newtonsoft.Json;
+using MessagePack;
+
+namespace AzureOnlinePongGame.Models
+{
+    // A private lobby waiting for its match to start (kept in memory by LobbyService)
+    public class Lobby
+    {
+        public string Code { get; set; } = string.Empty;
+        public string HostId { get; set; } = string.Empty; // Connection IDs
+        public string GuestId { get; set; } = string.Empty; // Empty until someone joins
+        public MatchRules Rules { get; set; } = new MatchRules(); // Picked by the host before starting
+        public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+    }
+
+    // What both members of a lobby see
+    [MessagePackObject]
+    public class LobbyInfo
+    {
+        [Key("code")]
+        [JsonProperty("code")]
+        public string Code { get; set; } = string.Empty;
+        [Key("host")]
+        [JsonProperty("host")]
+        public string Host { get; set; } = string.Empty;
+        [Key("guest")]
+        [JsonProperty("guest")]
+        public string? Guest { get; set; } // null while nobody has joined
+        [Key("rules")]
+        [JsonProperty("rules")]
+        public MatchRules Rules { get; set; } = new MatchRules();
+    }
+}
@@ -0,0 +1,108 @@
+using System;
+using Newtonsoft.Json;
+using MessagePack;
+
+namespace AzureOnlinePongGame.Models
+{
+    // Rules of a match. The client simulation reads the same camelCase schema (frontend/src/game/rules.js),
+    // so bot and private matches can be played with the rules picked in the browser.
+    [MessagePackObject]
+    public class MatchRules
+    {
+        // Who serves after a point: a random side, the sides taking turns, or the side that conceded
+        public const string SERVE_RANDOM = "random";
+        public const string SERVE_ALTERNATE = "alternate";
+        public const string SERVE_LOSER = "loser";
+
+        public const int MIN_POINTS_TO_WIN = 1;
+        public const int MAX_POINTS_TO_WIN = 21;
+        public const float MIN_BALL_SPEED = 3;
+        public const float MAX_BALL_SPEED = 12;
+        public const float MAX_SPEED_UP_PER_HIT = 2;
+        public const float MAX_BALL_SPEED_CAP = 20;
+        public const float MIN_BOUNCE_ANGLE = 15;
+        public const float MAX_BOUNCE_ANGLE = 75;
+
+        [Key("pointsToWin")]
+        [JsonProperty("pointsToWin")]
+        public int PointsToWin { get; set; } = 5;
+        // The winner also needs a two point lead (no upper limit)
+        [Key("winByTwo")]
+        [JsonProperty("winByTwo")]
+        public bool WinByTwo { get; set; } = false;
+        [Key("serve")]
+        [JsonProperty("serve")]
+        public string Serve { get; set; } = SERVE_LOSER;
+        // Serve speed in pixels per 60 Hz frame
+        [Key("ballSpeed")]
+        [JsonProperty("ballSpeed")]
+        public float BallSpeed { get; set; } = 6;
+        // Added to the ball speed on every paddle hit of a rally, up to MaxBallSpeed
+        [Key("speedUpPerHit")]
+        [JsonProperty("speedUpPerHit")]
+        public float SpeedUpPerHit { get; set; } = 0;
+        [Key("maxBallSpeed")]
+        [JsonProperty("maxBallSpeed")]
+        public float MaxBallSpeed { get; set; } = 12;
+        // Steepest return off the paddle edge, in degrees
+        [Key("maxBounceAngle")]
+        [JsonProperty("maxBounceAngle")]
+        public float MaxBounceAngle { get; set; } = 45;
+        // Power-ups spawn on the court (see ArcadeEngine)
+        [Key("arcade")]
+        [JsonProperty("arcade")]
+        public bool Arcade { get; set; } = false;
+
+        // Copy with every value clamped to its allowed range; unknown serve modes fall back to loser-serves
+        public MatchRules Clamped()
+        {
+            var defaults = new MatchRules();
+            float ballSpeed = Clamp(BallSpeed, MIN_BALL_SPEED, MAX_BALL_SPEED, defaults.BallSpeed);
+            return new MatchRules
+            {
+                PointsToWin = Math.Clamp(PointsToWin, MIN_POINTS_TO_WIN, MAX_POINTS_TO_WIN),
+                WinByTwo = WinByTwo,
+                Serve = Serve == SERVE_RANDOM || Serve == SERVE_ALTERNATE ? Serve : SERVE_LOSER,
+                BallSpeed = ballSpeed,
+                SpeedUpPerHit = Clamp(SpeedUpPerHit, 0, MAX_SPEED_UP_PER_HIT, defaults.SpeedUpPerHit),
+                MaxBallSpeed = Clamp(MaxBallSpeed, ballSpeed, MAX_BALL_SPEED_CAP, defaults.MaxBallSpeed),
+                MaxBounceAngle = Clamp(MaxBounceAngle, MIN_BOUNCE_ANGLE, MAX_BOUNCE_ANGLE, defaults.MaxBounceAngle),
+                Arcade = Arcade
+            };
+        }
+
+        // Winning side for a score, 0 while the match goes on
+        public int GetWinner(int leftScore, int rightScore)
+        {
+            int leader = Math.Max(leftScore, rightScore);
+            if (leader < PointsToWin || leftScore == rightScore)
+            {
+                return 0;
+            }
+            if (WinByTwo && Math.Abs(leftScore - rightScore) < 2)
+            {
+                return 0;
+            }
+            return leftScore > rightScore ? 1 : 2;
+        }
+
+        // Side that serves after `scorer` won a point; previousServer is the side that served the last rally
+        public int GetNextServer(int previousServer, int scorer, Random random)
+        {
+            switch (Serve)
+            {
+                case SERVE_ALTERNATE:
+                    return previousServer == 1 ? 2 : previousServer == 2 ? 1 : random.Next(1, 3);
+                case SERVE_RANDOM:
+                    return random.Next(1, 3);
+                default:
+                    return scorer == 1 ? 2 : 1;
+            }
+        }
+
+        private static float Clamp(float value, float min, float max, float fallback)
+        {
+            return float.IsFinite(value) ? Math.Clamp(value, min, Math.Max(min, max)) : fallback;
+        }
+    }
+}
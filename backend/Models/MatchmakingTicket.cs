@@ -0,0 +1,22 @@
+using System;
+using Newtonsoft.Json;
+
+namespace AzureOnlinePongGame.Models
+{
+    // A player waiting in the matchmaking queue (stored in Redis, see GameStateService)
+    public class MatchmakingTicket
+    {
+        [JsonProperty("playerId")]
+        public string PlayerId { get; set; } = string.Empty; // Connection ID
+        [JsonProperty("userId")]
+        public string UserId { get; set; } = string.Empty;
+        [JsonProperty("rating")]
+        public int Rating { get; set; }
+        [JsonProperty("region")]
+        public string Region { get; set; } = string.Empty;
+        [JsonProperty("joinedAt")]
+        public DateTime JoinedAt { get; set; } = DateTime.UtcNow;
+
+        public double GetWaitedSeconds(DateTime now) => (now - JoinedAt).TotalSeconds;
+    }
+}
@@ -0,0 +1,45 @@
+using Newtonsoft.Json;
+using MessagePack;
+
+namespace AzureOnlinePongGame.Models
+{
+    // A power-up waiting on the court in an arcade match (see ArcadeEngine)
+    [MessagePackObject]
+    public class PowerUpState
+    {
+        [Key("id")]
+        [JsonProperty("id")]
+        public int Id { get; set; }
+        // One of the ArcadeEngine.POWER_UP_TYPES
+        [Key("type")]
+        [JsonProperty("type")]
+        public string Type { get; set; } = "";
+        [Key("x")]
+        [JsonProperty("x")]
+        public float X { get; set; }
+        [Key("y")]
+        [JsonProperty("y")]
+        public float Y { get; set; }
+        // Milliseconds until it disappears
+        [Key("remaining")]
+        [JsonProperty("remaining")]
+        public float Remaining { get; set; }
+    }
+
+    // A running power-up effect on one side (grow, shrink, curve or shield)
+    [MessagePackObject]
+    public class EffectState
+    {
+        [Key("type")]
+        [JsonProperty("type")]
+        public string Type { get; set; } = "";
+        // Paddle affected: 1 = left, 2 = right
+        [Key("side")]
+        [JsonProperty("side")]
+        public int Side { get; set; }
+        // Milliseconds until it wears off
+        [Key("remaining")]
+        [JsonProperty("remaining")]
+        public float Remaining { get; set; }
+    }
+}
@@ -10,6 +10,7 @@ using AzureOnlinePongGame.Models; // Add using for Models
 using System.Collections.Generic; // For Dictionary used in HealthCheck
 using Microsoft.AspNetCore.Http; // For HttpContext, Request, Response
 using Newtonsoft.Json; // For serializing health check response
+using Microsoft.AspNetCore.Authentication.JwtBearer; // For the hub's access tokens
 
 var builder = WebApplication.CreateBuilder(args);
 
@@ -27,6 +28,46 @@ builder.Services.AddMemoryCache();
 // Register PaddlePositionCache for in-memory paddle position storage
 builder.Services.AddSingleton<PaddlePositionCache>();
 
+// Register in-match chat with a swappable message filter
+builder.Services.AddSingleton<IChatFilter, BlockedWordsChatFilter>();
+builder.Services.AddSingleton<ChatService>();
+
+// Register the Redis-backed ratings and match history
+builder.Services.AddSingleton<LeaderboardService>();
+
+// Rating-aware matchmaking; also a hosted service that re-runs the queue every second
+builder.Services.AddSingleton<MatchmakingService>();
+builder.Services.AddHostedService(sp => sp.GetRequiredService<MatchmakingService>());
+
+// Private lobbies with invite codes
+builder.Services.AddSingleton<LobbyService>();
+
+// Authentication: the backend issues its own tokens (guest or OIDC sign-in, see AuthService)
+builder.Services.AddHttpClient();
+builder.Services.AddSingleton<AuthService>();
+builder.Services.AddAuthentication(JwtBearerDefaults.AuthenticationScheme).AddJwtBearer();
+builder.Services.AddOptions<JwtBearerOptions>(JwtBearerDefaults.AuthenticationScheme)
+    .Configure<AuthService>((options, authService) =>
+    {
+        options.TokenValidationParameters = authService.GetValidationParameters();
+        options.MapInboundClaims = false; // Keep "sub" and "name" as issued
+        options.Events = new JwtBearerEvents
+        {
+            // Browsers cannot set headers on WebSocket requests, so SignalR sends the token in the query string
+            OnMessageReceived = context =>
+            {
+                var accessToken = context.Request.Query["access_token"];
+                if (!string.IsNullOrEmpty(accessToken) && context.HttpContext.Request.Path.StartsWithSegments("/pong"))
+                {
+                    context.Token = accessToken;
+                }
+                return System.Threading.Tasks.Task.CompletedTask;
+            }
+        };
+    });
+builder.Services.AddAuthorization();
+builder.Services.AddSingleton<Microsoft.AspNetCore.SignalR.IUserIdProvider, SubjectUserIdProvider>();
+
 // 2. Configure Health Checks
 builder.Services.AddHealthChecks()
     // Add Redis health check
@@ -102,6 +143,9 @@ app.UseHttpsRedirection();
 // Apply CORS policy globally
 app.UseCors("FrontendCors");
 
+app.UseAuthentication();
+app.UseAuthorization();
+
 // *** Start Migration Additions ***
 
 // 5. Map Health Check Endpoint
@@ -149,6 +193,59 @@ app.MapGet("/healthcheck", async (GameStateService gameStateService, ILogger<Pro
     return Results.Ok(healthData);
 });
 
+// Sign-in options for the client: { oidc: { authority, clientId } | null }
+app.MapGet("/api/auth/providers", (AuthService authService) =>
+{
+    return Results.Ok(new { oidc = authService.GetOidcClientSettings() });
+});
+
+// Auth endpoints: every response is an AuthResponse (tokens + user)
+app.MapPost("/api/auth/guest", (GuestLoginRequest request, AuthService authService) =>
+{
+    var response = authService.SignInGuest(request);
+    return response != null ? Results.Ok(response) : Results.BadRequest("A guest secret of at least 16 characters is required.");
+});
+
+app.MapPost("/api/auth/oidc/callback", async (OidcCallbackRequest request, AuthService authService) =>
+{
+    var response = await authService.SignInWithOidcCodeAsync(request);
+    return response != null ? Results.Ok(response) : Results.Unauthorized();
+});
+
+app.MapPost("/api/auth/refresh", (RefreshRequest request, AuthService authService) =>
+{
+    var response = authService.Refresh(request.RefreshToken);
+    return response != null ? Results.Ok(response) : Results.Unauthorized();
+});
+
+app.MapPost("/api/auth/logout", (RefreshRequest request, AuthService authService) =>
+{
+    authService.RevokeRefreshToken(request.RefreshToken);
+    return Results.NoContent();
+});
+
+// Leaderboard endpoints: pages of LeaderboardEntry ranked by rating
+app.MapGet("/api/leaderboard", async (int? offset, int? limit, LeaderboardService leaderboardService) =>
+{
+    return Results.Ok(await leaderboardService.GetTopAsync(Math.Max(0, offset ?? 0), Math.Clamp(limit ?? 20, 1, 100)));
+});
+
+app.MapGet("/api/leaderboard/me", async (int? radius, System.Security.Claims.ClaimsPrincipal user, LeaderboardService leaderboardService) =>
+{
+    var userId = user.FindFirst(Microsoft.IdentityModel.JsonWebTokens.JwtRegisteredClaimNames.Sub)?.Value;
+    if (string.IsNullOrEmpty(userId))
+    {
+        return Results.Unauthorized();
+    }
+    return Results.Ok(await leaderboardService.GetAroundAsync(userId, Math.Clamp(radius ?? 5, 0, 25)));
+}).RequireAuthorization();
+
+// Local stand-in for a real identity provider (never enabled outside Development)
+if (app.Environment.IsDevelopment() && builder.Configuration.GetValue("Auth:MockIdp:Enabled", false))
+{
+    app.MapMockIdentityProvider();
+}
+
 // Map PongHub endpoint
 app.MapHub<AzureOnlinePongGame.PongHub>("/pong");
 
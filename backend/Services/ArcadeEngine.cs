@@ -0,0 +1,151 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using AzureOnlinePongGame.Models;
+
+namespace AzureOnlinePongGame.Services
+{
+    // Power-ups of arcade matches (MatchRules.Arcade). The server owns spawns and effects; the client
+    // simulation (frontend/src/game/physics.js) runs the same rules for local games, so keep the constants in sync.
+    public static class ArcadeEngine
+    {
+        public const string GROW = "grow";
+        public const string SHRINK = "shrink";
+        public const string MULTI_BALL = "multiBall";
+        public const string SPEED_BOOST = "speedBoost";
+        public const string CURVE = "curve";
+        public const string SHIELD = "shield";
+        public static readonly string[] POWER_UP_TYPES = { GROW, SHRINK, MULTI_BALL, SPEED_BOOST, CURVE, SHIELD };
+
+        public const float POWER_UP_SIZE = 30;
+        public const float SPAWN_INTERVAL_MS = 6000;
+        public const float POWER_UP_LIFETIME_MS = 12000;
+        public const int MAX_POWER_UPS = 2;
+        public const int MAX_BALLS = 3;
+        public const float GROWN_PADDLE_HEIGHT = 150;
+        public const float SHRUNK_PADDLE_HEIGHT = 60;
+        public const float SPEED_BOOST_FACTOR = 1.5f;
+        public const float CURVE_ACCEL = 0.05f; // Added to VelocityY every 60 Hz frame
+        public const float MULTI_BALL_ANGLE = 30; // Degrees off the collecting ball's course
+
+        private static float EffectDuration(string type) => type == SHIELD ? 8000 : 10000;
+
+        public static bool HasEffect(GameState state, string type, int side)
+        {
+            return state.Effects.Any(e => e.Type == type && e.Side == side);
+        }
+
+        // Use up the side's shield, if it has one
+        public static bool TryUseShield(GameState state, int side)
+        {
+            return state.Effects.RemoveAll(e => e.Type == SHIELD && e.Side == side) > 0;
+        }
+
+        // Paddle height for a side under the running effects; grow and shrink cancel out
+        public static float GetPaddleHeight(GameState state, int side)
+        {
+            bool grown = HasEffect(state, GROW, side);
+            bool shrunk = HasEffect(state, SHRINK, side);
+            if (grown && !shrunk) return GROWN_PADDLE_HEIGHT;
+            if (shrunk && !grown) return SHRUNK_PADDLE_HEIGHT;
+            return GameEngine.PADDLE_HEIGHT;
+        }
+
+        // One tick: collect power-ups hit by balls, run down timers, spawn new power-ups and resize the paddles.
+        // balls holds the balls still in play and gains any multi-ball extras.
+        public static void Update(GameState state, List<BallState> balls, float deltaTime)
+        {
+            float ms = deltaTime * 1000;
+            foreach (var effect in state.Effects) effect.Remaining -= ms;
+            state.Effects.RemoveAll(e => e.Remaining <= 0);
+            foreach (var powerUp in state.PowerUps) powerUp.Remaining -= ms;
+            state.PowerUps.RemoveAll(p => p.Remaining <= 0);
+
+            // A power-up goes to the side that last hit the ball touching it
+            foreach (var powerUp in state.PowerUps.ToList())
+            {
+                int index = balls.FindIndex(ball => ball.LastHitBy != 0 &&
+                    ball.X + GameEngine.BALL_SIZE >= powerUp.X && ball.X <= powerUp.X + POWER_UP_SIZE &&
+                    ball.Y + GameEngine.BALL_SIZE >= powerUp.Y && ball.Y <= powerUp.Y + POWER_UP_SIZE);
+                if (index < 0) continue;
+
+                state.PowerUps.Remove(powerUp);
+                Apply(state, powerUp.Type, balls, index);
+            }
+
+            // Spawn on a fixed cadence while there is room on the court, in the middle away from the paddles
+            state.NextPowerUpIn -= ms;
+            if (state.NextPowerUpIn <= 0)
+            {
+                state.NextPowerUpIn = SPAWN_INTERVAL_MS;
+                if (state.PowerUps.Count < MAX_POWER_UPS)
+                {
+                    state.PowerUps.Add(new PowerUpState
+                    {
+                        Id = state.NextPowerUpId++,
+                        Type = POWER_UP_TYPES[Random.Shared.Next(POWER_UP_TYPES.Length)],
+                        X = MathF.Round(GameEngine.CANVAS_WIDTH / 4 + Random.Shared.NextSingle() * (GameEngine.CANVAS_WIDTH / 2 - POWER_UP_SIZE)),
+                        Y = MathF.Round(POWER_UP_SIZE + Random.Shared.NextSingle() * (GameEngine.CANVAS_HEIGHT - 3 * POWER_UP_SIZE)),
+                        Remaining = POWER_UP_LIFETIME_MS
+                    });
+                }
+            }
+
+            Resize(state.LeftPaddle, GetPaddleHeight(state, 1));
+            Resize(state.RightPaddle, GetPaddleHeight(state, 2));
+        }
+
+        private static void Apply(GameState state, string type, List<BallState> balls, int index)
+        {
+            var ball = balls[index];
+            int side = ball.LastHitBy;
+            switch (type)
+            {
+                case GROW:
+                case CURVE:
+                case SHIELD:
+                    AddEffect(state, type, side);
+                    break;
+                case SHRINK:
+                    AddEffect(state, SHRINK, side == 1 ? 2 : 1);
+                    break;
+                case SPEED_BOOST:
+                    ball.VelocityX *= SPEED_BOOST_FACTOR;
+                    ball.VelocityY *= SPEED_BOOST_FACTOR;
+                    break;
+                case MULTI_BALL:
+                    // Two more balls fanning out from the collecting one
+                    float speed = MathF.Sqrt(ball.VelocityX * ball.VelocityX + ball.VelocityY * ball.VelocityY);
+                    float course = MathF.Atan2(ball.VelocityY, ball.VelocityX);
+                    float spread = MULTI_BALL_ANGLE * MathF.PI / 180f;
+                    var fan = new[] { course - spread, course + spread }.Select(angle => new BallState
+                    {
+                        X = ball.X,
+                        Y = ball.Y,
+                        VelocityX = speed * MathF.Cos(angle),
+                        VelocityY = speed * MathF.Sin(angle),
+                        LastHitBy = ball.LastHitBy,
+                        Curve = ball.Curve
+                    });
+                    balls.InsertRange(index + 1, fan);
+                    if (balls.Count > MAX_BALLS) balls.RemoveRange(MAX_BALLS, balls.Count - MAX_BALLS);
+                    break;
+            }
+        }
+
+        // A second pickup of the same effect restarts its timer
+        private static void AddEffect(GameState state, string type, int side)
+        {
+            state.Effects.RemoveAll(e => e.Type == type && e.Side == side);
+            state.Effects.Add(new EffectState { Type = type, Side = side, Remaining = EffectDuration(type) });
+        }
+
+        // Change the paddle height around its center
+        private static void Resize(PaddleState paddle, float height)
+        {
+            if (paddle.Height == height) return;
+            paddle.Y = Math.Clamp(paddle.Y + (paddle.Height - height) / 2, 0, GameEngine.CANVAS_HEIGHT - height);
+            paddle.Height = height;
+        }
+    }
+}
@@ -0,0 +1,276 @@
+using AzureOnlinePongGame.Models;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Microsoft.IdentityModel.JsonWebTokens;
+using Microsoft.IdentityModel.Tokens;
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net.Http;
+using System.Security.Claims;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using System.Threading.Tasks;
+
+namespace AzureOnlinePongGame.Services
+{
+    // Hub user ID (Context.UserIdentifier) is the token's subject
+    public class SubjectUserIdProvider : IUserIdProvider
+    {
+        public string? GetUserId(HubConnectionContext connection)
+        {
+            return connection.User?.FindFirst(JwtRegisteredClaimNames.Sub)?.Value;
+        }
+    }
+
+    // Issues the backend's own access/refresh tokens for guests and for users signed in through OIDC.
+    // The access token is what the SignalR hub sees (Context.UserIdentifier and the "name" claim).
+    public class AuthService
+    {
+        public const string DisplayNameClaim = "name";
+        public const string ProviderClaim = "provider";
+        private const int MAX_DISPLAY_NAME_LENGTH = 24;
+        // Appended to every guest name, so a guest cannot pass for a signed-in player of the same name
+        public const string GuestNameSuffix = " (guest)";
+        private static readonly TimeSpan RefreshTokenPruneInterval = TimeSpan.FromMinutes(1);
+
+        private readonly ILogger<AuthService> _logger;
+        private readonly IHttpClientFactory _httpClientFactory;
+        private readonly SymmetricSecurityKey _signingKey;
+        private readonly string _issuer;
+        private readonly string _audience;
+        private readonly TimeSpan _accessTokenLifetime;
+        private readonly TimeSpan _refreshTokenLifetime;
+        private readonly string? _oidcAuthority;
+        private readonly string _oidcClientId;
+        private readonly string? _oidcClientSecret;
+        private readonly JsonWebTokenHandler _tokenHandler = new JsonWebTokenHandler();
+
+        // Refresh tokens are opaque and kept in memory; a restart signs everyone out to a fresh token.
+        // Abandoned ones are dropped once expired (see PruneExpiredRefreshTokens).
+        private readonly ConcurrentDictionary<string, (AuthUser User, DateTime ExpiresAt)> _refreshTokens = new();
+        private readonly object _pruneLock = new object();
+        private DateTime _nextPruneAt = DateTime.MinValue;
+
+        public AuthService(IConfiguration configuration, ILogger<AuthService> logger, IHttpClientFactory httpClientFactory)
+        {
+            _logger = logger;
+            _httpClientFactory = httpClientFactory;
+            _issuer = configuration.GetValue("Auth:Issuer", "azure-online-pong")!;
+            _audience = configuration.GetValue("Auth:Audience", "pong-clients")!;
+            _accessTokenLifetime = TimeSpan.FromMinutes(configuration.GetValue("Auth:AccessTokenMinutes", 15));
+            _refreshTokenLifetime = TimeSpan.FromDays(configuration.GetValue("Auth:RefreshTokenDays", 14));
+            _oidcAuthority = configuration.GetValue<string>("Auth:Oidc:Authority");
+            _oidcClientId = configuration.GetValue("Auth:Oidc:ClientId", "pong-web")!;
+            _oidcClientSecret = configuration.GetValue<string>("Auth:Oidc:ClientSecret");
+
+            var configuredKey = configuration.GetValue<string>("Auth:SigningKey");
+            if (string.IsNullOrEmpty(configuredKey) || configuredKey == "<TBD>" || Encoding.UTF8.GetByteCount(configuredKey) < 32)
+            {
+                // Tokens will not survive a restart, which is fine for development only
+                _logger.LogWarning("Auth:SigningKey is not configured (or shorter than 32 bytes). Using a random signing key.");
+                _signingKey = new SymmetricSecurityKey(RandomNumberGenerator.GetBytes(32));
+            }
+            else
+            {
+                _signingKey = new SymmetricSecurityKey(Encoding.UTF8.GetBytes(configuredKey));
+            }
+        }
+
+        // OIDC provider the client signs in with, or null when only guest sign-in is available
+        public object? GetOidcClientSettings()
+        {
+            if (string.IsNullOrEmpty(_oidcAuthority))
+            {
+                return null;
+            }
+            return new { authority = _oidcAuthority.TrimEnd('/'), clientId = _oidcClientId };
+        }
+
+        // Validation settings for the JwtBearer handler (see Program.cs)
+        public TokenValidationParameters GetValidationParameters()
+        {
+            return new TokenValidationParameters
+            {
+                ValidIssuer = _issuer,
+                ValidAudience = _audience,
+                IssuerSigningKey = _signingKey,
+                NameClaimType = DisplayNameClaim,
+                ClockSkew = TimeSpan.FromSeconds(30)
+            };
+        }
+
+        // Sign in (or back in) as a guest. The user ID is derived from the browser's secret, so it is stable
+        // across visits without the server storing anything.
+        public AuthResponse? SignInGuest(GuestLoginRequest request)
+        {
+            if (string.IsNullOrEmpty(request.GuestSecret) || request.GuestSecret.Length < 16)
+            {
+                return null;
+            }
+            var hash = SHA256.HashData(Encoding.UTF8.GetBytes(request.GuestSecret));
+            var user = new AuthUser
+            {
+                Id = $"guest:{Convert.ToHexString(hash, 0, 12).ToLowerInvariant()}",
+                DisplayName = CleanDisplayName(request.DisplayName, "Guest") + GuestNameSuffix,
+                Provider = "guest"
+            };
+            return IssueTokens(user);
+        }
+
+        // Finish the OIDC authorization code flow: redeem the code (with its PKCE verifier) at the identity
+        // provider's token endpoint and sign the user in from the returned ID token
+        public async Task<AuthResponse?> SignInWithOidcCodeAsync(OidcCallbackRequest request)
+        {
+            if (string.IsNullOrEmpty(_oidcAuthority))
+            {
+                _logger.LogWarning("OIDC sign-in attempted but Auth:Oidc:Authority is not configured.");
+                return null;
+            }
+            try
+            {
+                var client = _httpClientFactory.CreateClient();
+                var discovery = await client.GetStringAsync($"{_oidcAuthority.TrimEnd('/')}/.well-known/openid-configuration");
+                using var discoveryDoc = JsonDocument.Parse(discovery);
+                var tokenEndpoint = discoveryDoc.RootElement.GetProperty("token_endpoint").GetString();
+                var expectedIssuer = discoveryDoc.RootElement.GetProperty("issuer").GetString();
+
+                var form = new Dictionary<string, string>
+                {
+                    ["grant_type"] = "authorization_code",
+                    ["code"] = request.Code,
+                    ["code_verifier"] = request.CodeVerifier,
+                    ["redirect_uri"] = request.RedirectUri,
+                    ["client_id"] = _oidcClientId
+                };
+                if (!string.IsNullOrEmpty(_oidcClientSecret))
+                {
+                    form["client_secret"] = _oidcClientSecret;
+                }
+                var response = await client.PostAsync(tokenEndpoint, new FormUrlEncodedContent(form));
+                if (!response.IsSuccessStatusCode)
+                {
+                    _logger.LogWarning($"OIDC code exchange failed with status {(int)response.StatusCode}.");
+                    return null;
+                }
+                using var tokenDoc = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+                var idToken = tokenDoc.RootElement.GetProperty("id_token").GetString();
+
+                // The ID token came straight from the token endpoint over TLS, so issuer, audience and
+                // expiry are checked here without verifying its signature (OIDC Core 3.1.3.7)
+                var jwt = new JsonWebToken(idToken);
+                if (jwt.Issuer != expectedIssuer || !jwt.Audiences.Contains(_oidcClientId) || jwt.ValidTo < DateTime.UtcNow)
+                {
+                    _logger.LogWarning("OIDC ID token rejected: issuer, audience or expiry mismatch.");
+                    return null;
+                }
+
+                jwt.TryGetPayloadValue<string>("name", out var name);
+                jwt.TryGetPayloadValue<string>("preferred_username", out var username);
+                var user = new AuthUser
+                {
+                    Id = $"oidc:{jwt.Subject}",
+                    DisplayName = CleanDisplayName(name ?? username, "Player"),
+                    Provider = "oidc"
+                };
+                return IssueTokens(user);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error completing OIDC sign-in.");
+                return null;
+            }
+        }
+
+        // Swap a refresh token for a new token pair; the old refresh token stops working
+        public AuthResponse? Refresh(string refreshToken)
+        {
+            if (string.IsNullOrEmpty(refreshToken) || !_refreshTokens.TryRemove(refreshToken, out var entry))
+            {
+                return null;
+            }
+            if (entry.ExpiresAt < DateTime.UtcNow)
+            {
+                return null;
+            }
+            return IssueTokens(entry.User);
+        }
+
+        public void RevokeRefreshToken(string refreshToken)
+        {
+            if (!string.IsNullOrEmpty(refreshToken))
+            {
+                _refreshTokens.TryRemove(refreshToken, out _);
+            }
+        }
+
+        private AuthResponse IssueTokens(AuthUser user)
+        {
+            var now = DateTime.UtcNow;
+            var descriptor = new SecurityTokenDescriptor
+            {
+                Issuer = _issuer,
+                Audience = _audience,
+                IssuedAt = now,
+                Expires = now + _accessTokenLifetime,
+                Subject = new ClaimsIdentity(new[]
+                {
+                    new Claim(JwtRegisteredClaimNames.Sub, user.Id),
+                    new Claim(DisplayNameClaim, user.DisplayName),
+                    new Claim(ProviderClaim, user.Provider)
+                }),
+                SigningCredentials = new SigningCredentials(_signingKey, SecurityAlgorithms.HmacSha256)
+            };
+
+            PruneExpiredRefreshTokens(now);
+            var refreshToken = Base64UrlEncoder.Encode(RandomNumberGenerator.GetBytes(32));
+            _refreshTokens[refreshToken] = (user, now + _refreshTokenLifetime);
+
+            return new AuthResponse
+            {
+                AccessToken = _tokenHandler.CreateToken(descriptor),
+                RefreshToken = refreshToken,
+                ExpiresIn = (int)_accessTokenLifetime.TotalSeconds,
+                User = user
+            };
+        }
+
+        // Refresh tokens nobody came back for would otherwise stay forever; sweep them at most once a minute
+        private void PruneExpiredRefreshTokens(DateTime now)
+        {
+            lock (_pruneLock)
+            {
+                if (now < _nextPruneAt)
+                {
+                    return;
+                }
+                _nextPruneAt = now + RefreshTokenPruneInterval;
+            }
+            foreach (var entry in _refreshTokens)
+            {
+                if (entry.Value.ExpiresAt < now)
+                {
+                    _refreshTokens.TryRemove(entry.Key, out _);
+                }
+            }
+        }
+
+        // Strips control characters and the guest suffix (added back for guests only), then limits the length
+        private static string CleanDisplayName(string? name, string fallback)
+        {
+            var cleaned = new string((name ?? string.Empty).Where(c => !char.IsControl(c)).ToArray()).Trim();
+            while (cleaned.EndsWith(GuestNameSuffix.Trim(), StringComparison.OrdinalIgnoreCase))
+            {
+                cleaned = cleaned.Substring(0, cleaned.Length - GuestNameSuffix.Trim().Length).TrimEnd();
+            }
+            if (cleaned.Length == 0)
+            {
+                cleaned = $"{fallback} {RandomNumberGenerator.GetInt32(1000, 10000)}";
+            }
+            return cleaned.Length > MAX_DISPLAY_NAME_LENGTH ? cleaned.Substring(0, MAX_DISPLAY_NAME_LENGTH) : cleaned;
+        }
+    }
+}
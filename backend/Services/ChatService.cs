@@ -0,0 +1,102 @@
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Concurrent;
+using System.Collections.Generic;
+using System.Linq;
+using System.Text.RegularExpressions;
+
+namespace AzureOnlinePongGame.Services
+{
+    // Hook for moderating chat text; register a different implementation to swap the filter
+    public interface IChatFilter
+    {
+        // Returns the text to deliver (e.g. with words masked), or null to drop the message
+        string? Filter(string text);
+    }
+
+    // Masks every word from the Chat:BlockedWords configuration list
+    public class BlockedWordsChatFilter : IChatFilter
+    {
+        private readonly Regex? _blockedWords;
+
+        public BlockedWordsChatFilter(IConfiguration configuration)
+        {
+            var words = configuration.GetSection("Chat:BlockedWords").Get<string[]>() ?? Array.Empty<string>();
+            if (words.Length > 0)
+            {
+                var pattern = $@"\b({string.Join("|", words.Select(Regex.Escape))})\b";
+                _blockedWords = new Regex(pattern, RegexOptions.IgnoreCase | RegexOptions.Compiled);
+            }
+        }
+
+        public string? Filter(string text)
+        {
+            if (_blockedWords == null)
+                return text;
+            return _blockedWords.Replace(text, match => new string('*', match.Length));
+        }
+    }
+
+    // Validates in-match chat messages and emotes: length, per-player rate limit and the chat filter
+    public class ChatService
+    {
+        // Emote IDs clients may send; the client maps them to the glyph drawn over the paddle
+        public static readonly HashSet<string> Emotes = new HashSet<string> { "wave", "thumbsUp", "laugh", "wow", "angry", "gg" };
+
+        private readonly IChatFilter _filter;
+        private readonly ILogger<ChatService> _logger;
+        private readonly int _maxMessageLength;
+        private readonly int _maxMessagesPerWindow;
+        private readonly TimeSpan _rateLimitWindow;
+
+        // Recent send times per connection (chat messages and emotes share the budget)
+        private readonly ConcurrentDictionary<string, Queue<DateTime>> _recentMessages = new();
+
+        public ChatService(IChatFilter filter, IConfiguration configuration, ILogger<ChatService> logger)
+        {
+            _filter = filter;
+            _logger = logger;
+            _maxMessageLength = configuration.GetValue("Chat:MaxMessageLength", 200);
+            _maxMessagesPerWindow = configuration.GetValue("Chat:MaxMessagesPerWindow", 5);
+            _rateLimitWindow = TimeSpan.FromSeconds(configuration.GetValue("Chat:RateLimitWindowSeconds", 10));
+        }
+
+        // Returns false if the sender used up its budget for the current window
+        public bool TryConsumeRateLimit(string connectionId)
+        {
+            var now = DateTime.UtcNow;
+            var recent = _recentMessages.GetOrAdd(connectionId, _ => new Queue<DateTime>());
+            lock (recent)
+            {
+                while (recent.Count > 0 && now - recent.Peek() > _rateLimitWindow)
+                {
+                    recent.Dequeue();
+                }
+                if (recent.Count >= _maxMessagesPerWindow)
+                {
+                    _logger.LogDebug($"Chat rate limit hit for {connectionId}.");
+                    return false;
+                }
+                recent.Enqueue(now);
+                return true;
+            }
+        }
+
+        // Trim, shorten and filter a chat message; null if nothing is left to send
+        public string? PrepareMessage(string? text)
+        {
+            if (string.IsNullOrWhiteSpace(text))
+                return null;
+            var trimmed = text.Trim();
+            if (trimmed.Length > _maxMessageLength)
+                trimmed = trimmed.Substring(0, _maxMessageLength);
+            return _filter.Filter(trimmed);
+        }
+
+        public void ForgetSender(string connectionId)
+        {
+            _recentMessages.TryRemove(connectionId, out _);
+        }
+    }
+}
@@ -1,4 +1,6 @@
 using System;
+using System.Collections.Generic;
+using System.Linq;
 using AzureOnlinePongGame.Models;
 
 namespace AzureOnlinePongGame.Services
@@ -12,12 +14,19 @@ namespace AzureOnlinePongGame.Services
         public const float BALL_SIZE = 16;
         public const float PADDLE_SPEED = 6;
         public const float BOT_PADDLE_SPEED_FACTOR = 0.85f;
-        public const float BALL_SPEED = 6;
-        public const int WIN_SCORE = 5;
         
         // Added buffer for collision detection to be more forgiving
         private const float COLLISION_BUFFER = 4.0f; // Increased from 2.0f
 
+        // Fresh state for a match under the given rules (default rules if null); a random side serves first
+        public static GameState CreateInitialState(MatchRules? rules = null)
+        {
+            var state = new GameState { Rules = (rules ?? new MatchRules()).Clamped() };
+            state.ServingSide = Random.Shared.Next(1, 3);
+            ResetBall(state);
+            return state;
+        }
+
         // Move paddle towards target
         private static float MoveTowards(float current, float target, float maxDelta)
         {
@@ -33,99 +42,161 @@ namespace AzureOnlinePongGame.Services
             // Move paddles towards their targets
             state.LeftPaddle.Y = MoveTowards(state.LeftPaddle.Y, state.LeftPaddleTargetY, PADDLE_SPEED * deltaTime * 60);
             state.RightPaddle.Y = MoveTowards(state.RightPaddle.Y, state.RightPaddleTargetY, PADDLE_SPEED * deltaTime * 60);
-            state.LeftPaddle.Y = Math.Max(0, Math.Min(CANVAS_HEIGHT - PADDLE_HEIGHT, state.LeftPaddle.Y));
-            state.RightPaddle.Y = Math.Max(0, Math.Min(CANVAS_HEIGHT - PADDLE_HEIGHT, state.RightPaddle.Y));
+            state.LeftPaddle.Y = Math.Max(0, Math.Min(CANVAS_HEIGHT - state.LeftPaddle.Height, state.LeftPaddle.Y));
+            state.RightPaddle.Y = Math.Max(0, Math.Min(CANVAS_HEIGHT - state.RightPaddle.Height, state.RightPaddle.Y));
+
+            // Move every ball in play; each one that goes in scores a point
+            var inPlay = new List<BallState>();
+            int lastScorer = 0;
+            foreach (var ball in new[] { state.Ball }.Concat(state.ExtraBalls))
+            {
+                int scorer = MoveBall(state, ball, deltaTime);
+                if (scorer == 0)
+                {
+                    inPlay.Add(ball);
+                    continue;
+                }
+                lastScorer = scorer;
+                if (scorer == 1)
+                    state.LeftScore++;
+                else
+                    state.RightScore++;
+            }
+
+            if (state.Rules.Arcade)
+            {
+                ArcadeEngine.Update(state, inPlay, deltaTime);
+            }
+
+            if (lastScorer != 0)
+            {
+                int winner = state.Rules.GetWinner(state.LeftScore, state.RightScore);
+                if (winner != 0)
+                {
+                    state.GameOver = true;
+                    state.Winner = winner;
+                }
+            }
+
+            if (inPlay.Count == 0)
+            {
+                // The last ball went in: serve the next rally
+                state.ServingSide = state.Rules.GetNextServer(state.ServingSide, lastScorer, Random.Shared);
+                ResetBall(state);
+            }
+            else
+            {
+                state.Ball = inPlay[0];
+                state.ExtraBalls = inPlay.Skip(1).ToList();
+            }
+
+            state.SequenceNumber++;
+            return state;
+        }
 
+        // Move one ball for a tick off the walls, paddles and shields; returns the side that scored with it, 0 if still in play
+        private static int MoveBall(GameState state, BallState ball, float deltaTime)
+        {
             // Store previous ball position for continuous collision detection
-            float prevBallX = state.Ball.X;
-            float prevBallY = state.Ball.Y;
+            float prevBallX = ball.X;
+            float prevBallY = ball.Y;
 
-            // Ball movement
-            state.Ball.X += state.Ball.VelocityX * deltaTime * 60;
-            state.Ball.Y += state.Ball.VelocityY * deltaTime * 60;
+            // Ball movement; a curve shot bends it
+            ball.X += ball.VelocityX * deltaTime * 60;
+            ball.Y += ball.VelocityY * deltaTime * 60;
+            ball.VelocityY += ball.Curve * deltaTime * 60;
 
             // Ball collision with top and bottom walls
-            if (state.Ball.Y <= 0 || state.Ball.Y >= CANVAS_HEIGHT - BALL_SIZE)
+            if (ball.Y <= 0 || ball.Y >= CANVAS_HEIGHT - BALL_SIZE)
             {
-                state.Ball.VelocityY = -state.Ball.VelocityY;
-                state.Ball.Y = Math.Max(0, Math.Min(CANVAS_HEIGHT - BALL_SIZE, state.Ball.Y));
+                ball.VelocityY = -ball.VelocityY;
+                ball.Y = Math.Max(0, Math.Min(CANVAS_HEIGHT - BALL_SIZE, ball.Y));
+                ball.Curve = 0;
+                RecordCollision(state, ball, CollisionInfo.WALL, 0, 0);
             }
 
             // Improved collision detection for the left paddle
             bool hitLeftPaddle = CheckContinuousCollision(
-                prevBallX, prevBallY, state.Ball.X, state.Ball.Y,
+                prevBallX, prevBallY, ball.X, ball.Y,
                 state.LeftPaddle.X, state.LeftPaddle.Y,
-                PADDLE_WIDTH, PADDLE_HEIGHT);
+                PADDLE_WIDTH, state.LeftPaddle.Height);
 
             if (hitLeftPaddle)
             {
-                // Calculate angle based on where the ball hit the paddle
-                float relativeIntersectY = (state.LeftPaddle.Y + (PADDLE_HEIGHT / 2)) - (state.Ball.Y + (BALL_SIZE / 2));
-                float normalizedRelativeIntersectY = relativeIntersectY / (PADDLE_HEIGHT / 2);
-                float bounceAngle = normalizedRelativeIntersectY * 0.8f; // Max 0.8 radians (about 45 degrees)
-                
-                // Calculate new velocities for more realistic physics
-                float speed = (float)Math.Sqrt(state.Ball.VelocityX * state.Ball.VelocityX + state.Ball.VelocityY * state.Ball.VelocityY);
-                state.Ball.VelocityX = Math.Abs(speed * (float)Math.Cos(bounceAngle));
-                state.Ball.VelocityY = -speed * (float)Math.Sin(bounceAngle);
+                BounceOffPaddle(state, ball, state.LeftPaddle, 1);
                 
                 // Prevent sticking by moving ball just outside paddle
-                state.Ball.X = state.LeftPaddle.X + PADDLE_WIDTH + 0.1f;
+                ball.X = state.LeftPaddle.X + PADDLE_WIDTH + 0.1f;
+                RecordCollision(state, ball, CollisionInfo.PADDLE, 1, state.LeftPaddle.Y);
             }
 
             // Improved collision detection for the right paddle
             bool hitRightPaddle = CheckContinuousCollision(
-                prevBallX, prevBallY, state.Ball.X, state.Ball.Y,
+                prevBallX, prevBallY, ball.X, ball.Y,
                 state.RightPaddle.X, // Corrected: Use the actual X position of the right paddle
                 state.RightPaddle.Y,
-                PADDLE_WIDTH, PADDLE_HEIGHT);
+                PADDLE_WIDTH, state.RightPaddle.Height);
 
             if (hitRightPaddle)
             {
-                // Calculate angle based on where the ball hit the paddle
-                float relativeIntersectY = (state.RightPaddle.Y + (PADDLE_HEIGHT / 2)) - (state.Ball.Y + (BALL_SIZE / 2));
-                float normalizedRelativeIntersectY = relativeIntersectY / (PADDLE_HEIGHT / 2);
-                float bounceAngle = normalizedRelativeIntersectY * 0.8f; // Max 0.8 radians (about 45 degrees)
-                
-                // Calculate new velocities for more realistic physics
-                float speed = (float)Math.Sqrt(state.Ball.VelocityX * state.Ball.VelocityX + state.Ball.VelocityY * state.Ball.VelocityY);
-                state.Ball.VelocityX = -Math.Abs(speed * (float)Math.Cos(bounceAngle));
-                state.Ball.VelocityY = -speed * (float)Math.Sin(bounceAngle);
+                BounceOffPaddle(state, ball, state.RightPaddle, -1);
                 
                 // Prevent sticking by moving ball just outside paddle
-                state.Ball.X = state.RightPaddle.X - BALL_SIZE - 0.1f;
+                ball.X = state.RightPaddle.X - BALL_SIZE - 0.1f;
+                RecordCollision(state, ball, CollisionInfo.PADDLE, 2, state.RightPaddle.Y);
             }
 
-            // Ball out of bounds
-            if (state.Ball.X < 0)
+            // Ball out of bounds, unless a shield sends it back (once)
+            if (ball.X < 0)
             {
-                state.RightScore++;
-                ResetBall(state, 1);
-                
-                // Check for game over
-                if (state.RightScore >= WIN_SCORE)
-                {
-                    state.GameOver = true;
-                    state.Winner = 2; // Right player wins
-                }
+                if (!ArcadeEngine.TryUseShield(state, 1)) return 2;
+                ball.X = 0;
+                ball.VelocityX = Math.Abs(ball.VelocityX);
             }
-            else if (state.Ball.X > CANVAS_WIDTH)
+            else if (ball.X > CANVAS_WIDTH)
             {
-                state.LeftScore++;
-                ResetBall(state, -1);
-                
-                // Check for game over
-                if (state.LeftScore >= WIN_SCORE)
-                {
-                    state.GameOver = true;
-                    state.Winner = 1; // Left player wins
-                }
+                if (!ArcadeEngine.TryUseShield(state, 2)) return 1;
+                ball.X = CANVAS_WIDTH - BALL_SIZE;
+                ball.VelocityX = -Math.Abs(ball.VelocityX);
             }
-
-            state.SequenceNumber++;
-            return state;
+            return 0;
         }
         
+        private static void RecordCollision(GameState state, BallState ball, string type, int side, float paddleY)
+        {
+            state.LastCollision = new CollisionInfo
+            {
+                Time = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds(),
+                Type = type,
+                Side = side,
+                BallX = ball.X,
+                BallY = ball.Y,
+                PaddleY = paddleY,
+                Speed = MathF.Sqrt(ball.VelocityX * ball.VelocityX + ball.VelocityY * ball.VelocityY)
+            };
+        }
+
+        // Deflect the ball off a paddle: the further from the center it hits, the steeper the return (up to
+        // Rules.MaxBounceAngle), and every hit speeds the rally up by Rules.SpeedUpPerHit. direction: 1 = to the right
+        private static void BounceOffPaddle(GameState state, BallState ball, PaddleState paddle, int direction)
+        {
+            float relativeIntersectY = (paddle.Y + (paddle.Height / 2)) - (ball.Y + (BALL_SIZE / 2));
+            float normalizedRelativeIntersectY = Math.Clamp(relativeIntersectY / (paddle.Height / 2), -1f, 1f);
+            float bounceAngle = normalizedRelativeIntersectY * state.Rules.MaxBounceAngle * (float)Math.PI / 180f;
+
+            float speed = (float)Math.Sqrt(ball.VelocityX * ball.VelocityX + ball.VelocityY * ball.VelocityY);
+            speed = Math.Min(state.Rules.MaxBallSpeed, speed + state.Rules.SpeedUpPerHit);
+            ball.VelocityX = direction * Math.Abs(speed * (float)Math.Cos(bounceAngle));
+            ball.VelocityY = -speed * (float)Math.Sin(bounceAngle);
+
+            // The hitter's curve effect bends the return back towards the middle
+            int side = direction == 1 ? 1 : 2;
+            ball.LastHitBy = side;
+            ball.Curve = ArcadeEngine.HasEffect(state, ArcadeEngine.CURVE, side)
+                ? ArcadeEngine.CURVE_ACCEL * (ball.VelocityY >= 0 ? -1 : 1)
+                : 0;
+        }
+
         // Continuous collision detection to check if the ball crossed through the paddle
         private static bool CheckContinuousCollision(
             float prevBallX, float prevBallY, float currBallX, float currBallY,
@@ -166,24 +237,31 @@ namespace AzureOnlinePongGame.Services
         {
             if (state.GameOver || !state.PlayersReady) return state;
             
+            // With several balls in play, follow the one closest to the bot's goal that is heading its way
+            var ball = new[] { state.Ball }.Concat(state.ExtraBalls)
+                .OrderByDescending(b => b.VelocityX > 0)
+                .ThenByDescending(b => b.X)
+                .First();
+
             // Add slight prediction to make the bot more challenging
-            float predictedY = state.Ball.Y;
+            float predictedY = ball.Y;
             
             // If ball is moving toward the bot, predict where it will be
-            if (state.Ball.VelocityX > 0)
+            if (ball.VelocityX > 0)
             {
                 // Simple prediction based on distance and velocity
-                float distanceToBot = state.RightPaddle.X - state.Ball.X;
-                float timeToReach = distanceToBot / Math.Abs(state.Ball.VelocityX);
-                predictedY = state.Ball.Y + (state.Ball.VelocityY * timeToReach);
+                float distanceToBot = state.RightPaddle.X - ball.X;
+                float timeToReach = distanceToBot / Math.Abs(ball.VelocityX);
+                predictedY = ball.Y + (ball.VelocityY * timeToReach);
                 
                 // Keep prediction within bounds
                 predictedY = Math.Max(0, Math.Min(CANVAS_HEIGHT - BALL_SIZE, predictedY));
             }
             
             // Target the center of the ball with the center of the paddle
-            float targetY = predictedY - (PADDLE_HEIGHT / 2) + (BALL_SIZE / 2);
-            targetY = Math.Max(0, Math.Min(CANVAS_HEIGHT - PADDLE_HEIGHT, targetY));
+            float paddleHeight = state.RightPaddle.Height;
+            float targetY = predictedY - (paddleHeight / 2) + (BALL_SIZE / 2);
+            targetY = Math.Max(0, Math.Min(CANVAS_HEIGHT - paddleHeight, targetY));
             
             // Adjust bot difficulty by limiting speed
             state.RightPaddleTargetY = MoveTowards(state.RightPaddle.Y, targetY, 
@@ -192,19 +270,24 @@ namespace AzureOnlinePongGame.Services
             return state;
         }
 
-        public static void ResetBall(GameState state, int direction)
+        // Serve a single ball from the center, away from state.ServingSide, at the rules' serve speed
+        public static void ResetBall(GameState state)
         {
+            state.ExtraBalls.Clear();
+            state.Ball.LastHitBy = 0;
+            state.Ball.Curve = 0;
+
             // Add slight randomness to ball velocity for variety
-            Random random = new Random();
-            float angle = (float)((random.NextDouble() * Math.PI / 4) - Math.PI / 8); // -22.5° to +22.5°
+            float angle = (float)((Random.Shared.NextDouble() * Math.PI / 4) - Math.PI / 8); // -22.5° to +22.5°
+            int direction = state.ServingSide == 2 ? -1 : 1;
             
             // Set ball position to center
             state.Ball.X = CANVAS_WIDTH / 2 - BALL_SIZE / 2;
             state.Ball.Y = CANVAS_HEIGHT / 2 - BALL_SIZE / 2;
             
             // Set velocity based on angle and direction
-            state.Ball.VelocityX = BALL_SPEED * direction * (float)Math.Cos(angle);
-            state.Ball.VelocityY = BALL_SPEED * (float)Math.Sin(angle);
+            state.Ball.VelocityX = state.Rules.BallSpeed * direction * (float)Math.Cos(angle);
+            state.Ball.VelocityY = state.Rules.BallSpeed * (float)Math.Sin(angle);
         }
     }
 }
\ No newline at end of file
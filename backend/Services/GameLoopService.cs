@@ -1,3 +1,4 @@
+using Microsoft.Extensions.Configuration;
 using Microsoft.Extensions.Hosting;
 using Microsoft.Extensions.Logging;
 using System;
@@ -13,8 +14,10 @@ namespace AzureOnlinePongGame.Services
 {
     public class GameLoopService : BackgroundService
     {private readonly GameStateService _gameStateService;
+        private readonly LeaderboardService _leaderboardService;
         private readonly IHubContext<PongHub> _hubContext;
         private readonly ILogger<GameLoopService> _logger;
+        private readonly int _resumeCountdownSeconds;
         
         // Default interval at ~30 FPS
         private TimeSpan _baseInterval = TimeSpan.FromMilliseconds(33);
@@ -27,7 +30,9 @@ namespace AzureOnlinePongGame.Services
         
         private DateTime _lastStateSyncTime = DateTime.MinValue;
         private DateTime _lastRedisUpdateTime = DateTime.MinValue; // Track last Redis update
-        private const float DELTA_TIME = 0.033f; // 33ms per tick
+        private DateTime _lastTickTime = DateTime.MinValue;
+        private const float DELTA_TIME = 0.033f; // Nominal 33ms per tick
+        private const float MAX_DELTA_TIME = 0.1f; // Clamp long pauses so the ball never skips through a paddle
         
         // Cache of active sessions to reduce Redis calls
         private readonly Dictionary<string, (GameSession Session, DateTime LastUpdate)> _sessionCache = 
@@ -40,11 +45,13 @@ namespace AzureOnlinePongGame.Services
         // Track sessions that need to be persisted to Redis
         private readonly HashSet<string> _sessionsWithCriticalChanges = new HashSet<string>();
 
-        public GameLoopService(GameStateService gameStateService, IHubContext<PongHub> hubContext, ILogger<GameLoopService> logger)
+        public GameLoopService(GameStateService gameStateService, LeaderboardService leaderboardService, IHubContext<PongHub> hubContext, IConfiguration configuration, ILogger<GameLoopService> logger)
         {
             _gameStateService = gameStateService;
+            _leaderboardService = leaderboardService;
             _hubContext = hubContext;
             _logger = logger;
+            _resumeCountdownSeconds = configuration.GetValue("Game:ResumeCountdownSeconds", 3);
         }
 
         // Calculate optimal interval based on number of active games
@@ -72,12 +79,22 @@ namespace AzureOnlinePongGame.Services
                 try
                 {
                     var now = DateTime.UtcNow;
+                    
+                    // Advance the simulation by the real elapsed time: the loop interval varies with load
+                    // (see CalculateOptimalInterval), and clients predict using the same time base
+                    float deltaTime = _lastTickTime == DateTime.MinValue
+                        ? DELTA_TIME
+                        : Math.Min((float)(now - _lastTickTime).TotalSeconds, MAX_DELTA_TIME);
+                    _lastTickTime = now;
+                    
                     bool shouldSyncState = (now - _lastStateSyncTime) >= _stateSyncInterval;
                     bool shouldUpdateRedis = (now - _lastRedisUpdateTime) >= _stateUpdateInterval;
                     bool shouldRefreshCache = (now - _lastCacheRefresh) >= _cacheRefreshInterval;
                     
-                    // Refresh our cache of active sessions only periodically
-                    if (shouldRefreshCache || _sessionCache.Count == 0)
+                    // Refresh our cache of active sessions only periodically, and right away when a match was
+                    // created so its ready check and start countdown run on time
+                    if (shouldRefreshCache || _sessionCache.Count == 0 ||
+                        _gameStateService.GetActiveGameCount() > _sessionCache.Count)
                     {
                         await RefreshSessionCacheAsync();
                         _lastCacheRefresh = now;
@@ -91,9 +108,46 @@ namespace AzureOnlinePongGame.Services
                     {
                         var session = cacheEntry.Value.Session;
                         var sessionId = session.SessionId;
+                        long nowMs = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+
+                        // Somebody did not press Ready in time, or left during the ready check
+                        if (!session.State.GameOver && !session.State.PlayersReady &&
+                            session.State.ReadyDeadline > 0 && nowMs >= session.State.ReadyDeadline)
+                        {
+                            await CancelUnreadyMatchAsync(session);
+                            continue;
+                        }
+
+                        // A player gave up: the match ends, whatever else is going on
+                        if (!session.State.GameOver && session.State.ForfeitedBy != 0)
+                        {
+                            await EndForfeitedMatchAsync(session);
+                            continue;
+                        }
 
-                        // Skip inactive or non-existent games
-                        if (session.State.GameOver || !session.State.PlayersReady)
+                        // The pause budget of the player who paused ran out
+                        if (session.State.PausedBy != 0 && nowMs >= session.State.PauseEndsAt)
+                        {
+                            await EndPauseAsync(session, nowMs);
+                        }
+
+                        // A player dropped and did not rejoin in time
+                        if (!session.State.GameOver && session.State.Paused &&
+                            session.State.ReconnectDeadline > 0 && nowMs >= session.State.ReconnectDeadline)
+                        {
+                            await EndAbandonedMatchAsync(session);
+                            continue;
+                        }
+
+                        // The resume countdown is over
+                        if (session.State.ResumeAt > 0 && nowMs >= session.State.ResumeAt)
+                        {
+                            session.State.ResumeAt = 0;
+                        }
+
+                        // Skip inactive, paused or non-existent games
+                        if (session.State.GameOver || !session.State.PlayersReady ||
+                            session.State.Paused || session.State.PausedBy != 0 || session.State.ResumeAt > 0)
                         {
                             // Optional: Clean up ended sessions from cache if not handled by RefreshSessionCacheAsync timely
                             if (session.State.GameOver && (now - cacheEntry.Value.LastUpdate) > TimeSpan.FromSeconds(30)) // Example cleanup delay
@@ -112,16 +166,18 @@ namespace AzureOnlinePongGame.Services
                             
                         bool stateChangedByInput = false;
                         
-                        // Apply inputs if provided
-                        if (player1Input.HasValue)
+                        // Apply new inputs and acknowledge their sequence numbers
+                        if (player1Input.HasValue && player1Input.Value.Sequence != session.State.LeftInputSequence)
                         {
-                            session.State.LeftPaddleTargetY = player1Input.Value;
+                            session.State.LeftPaddleTargetY = player1Input.Value.TargetY;
+                            session.State.LeftInputSequence = player1Input.Value.Sequence;
                             stateChangedByInput = true;
                         }
                         
-                        if (player2Input.HasValue) // Bot inputs are handled by UpdateBotPaddle
+                        if (player2Input.HasValue && player2Input.Value.Sequence != session.State.RightInputSequence) // Bot inputs are handled by UpdateBotPaddle
                         {
-                            session.State.RightPaddleTargetY = player2Input.Value;
+                            session.State.RightPaddleTargetY = player2Input.Value.TargetY;
+                            session.State.RightInputSequence = player2Input.Value.Sequence;
                             stateChangedByInput = true;
                         }
                         
@@ -139,14 +195,18 @@ namespace AzureOnlinePongGame.Services
                         var oldLeftScore = session.State.LeftScore;
                         var oldRightScore = session.State.RightScore;
                         var oldGameOver = session.State.GameOver;
+                        var oldPowerUps = session.State.PowerUps.Count;
+                        var oldEffects = session.State.Effects.Count;
                         
-                        session.State = GameEngine.UpdateGameState(session.State, DELTA_TIME);
+                        session.State = GameEngine.UpdateGameState(session.State, deltaTime);
                         
                         bool criticalStateChange = false;
                         // Check if score or game state changed - these are critical changes
                         if (oldLeftScore != session.State.LeftScore || 
                             oldRightScore != session.State.RightScore || 
-                            oldGameOver != session.State.GameOver)
+                            oldGameOver != session.State.GameOver ||
+                            oldPowerUps != session.State.PowerUps.Count || // Power-ups spawned, collected or expired
+                            oldEffects != session.State.Effects.Count)
                         {
                             criticalStateChange = true;
                             _sessionsWithCriticalChanges.Add(session.SessionId);
@@ -167,16 +227,17 @@ namespace AzureOnlinePongGame.Services
                             // If something significant changed (critical or new input affecting paddles), update the client immediately
                             if (criticalStateChange || stateChangedByInput)
                             {
-                                if (!string.IsNullOrEmpty(session.Player1Id))
-                                    await _hubContext.Clients.Client(session.Player1Id).SendAsync("GameUpdate", session.State);
-                                    
-                                if (!isBot && !string.IsNullOrEmpty(session.Player2Id))
-                                    await _hubContext.Clients.Client(session.Player2Id).SendAsync("GameUpdate", session.State);
-                                    
+                                await SendGameUpdateAsync(session);
                                 session.State.LastClientSyncTime = now;
                             }
                         }
                         
+                        // Rate the match once the players have seen its final state
+                        if (!oldGameOver && session.State.GameOver)
+                        {
+                            await RecordResultAsync(session);
+                        }
+                        
                         // Update session in cache
                         _sessionCache[cacheEntry.Key] = (session, now);
                     }
@@ -189,13 +250,7 @@ namespace AzureOnlinePongGame.Services
                             // Send updates to clients at a lower frequency
                             if ((now - session.State.LastClientSyncTime) >= _stateSyncInterval)
                             {
-                                if (!string.IsNullOrEmpty(session.Player1Id))
-                                    await _hubContext.Clients.Client(session.Player1Id).SendAsync("GameUpdate", session.State);
-                                    
-                                bool isBot = session.Player2Id != null && session.Player2Id.StartsWith("bot_");
-                                if (!isBot && !string.IsNullOrEmpty(session.Player2Id))
-                                    await _hubContext.Clients.Client(session.Player2Id).SendAsync("GameUpdate", session.State);
-                                    
+                                await SendGameUpdateAsync(session);
                                 session.State.LastClientSyncTime = now;
                             }
                         }
@@ -233,6 +288,117 @@ namespace AzureOnlinePongGame.Services
             _logger.LogInformation("Game loop background service stopped.");
         }
         
+        // Push the state to both players and to the match's spectators
+        private async Task SendGameUpdateAsync(GameSession session)
+        {
+            session.State.ServerTime = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            session.State.ViewerCount = session.SpectatorCount;
+            if (!string.IsNullOrEmpty(session.Player1Id))
+                await _hubContext.Clients.Client(session.Player1Id).SendAsync("GameUpdate", session.State);
+                
+            if (!session.IsBotMatch && !string.IsNullOrEmpty(session.Player2Id))
+                await _hubContext.Clients.Client(session.Player2Id).SendAsync("GameUpdate", session.State);
+                
+            if (session.SpectatorCount > 0)
+                await _hubContext.Clients.Group(PongHub.SpectatorGroup(session.MatchId)).SendAsync("GameUpdate", session.State);
+        }
+        
+        // End a match whose disconnected player never came back; whoever is still connected wins
+        private async Task EndAbandonedMatchAsync(GameSession session)
+        {
+            _logger.LogInformation($"Reconnect deadline passed for session {session.SessionId}. Ending match.");
+            session.State.Paused = false;
+            session.State.ReconnectDeadline = 0;
+            session.State.GameOver = true;
+            if (session.Player1Disconnected && !session.Player2Disconnected)
+                session.State.Winner = 2;
+            else if (session.Player2Disconnected && !session.Player1Disconnected)
+                session.State.Winner = 1;
+            else
+                session.State.Winner = 0;
+
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+
+            if (!session.Player1Disconnected && !session.Player1Id.StartsWith("bot_"))
+                await _hubContext.Clients.Client(session.Player1Id).SendAsync("OpponentDisconnected", session.State);
+            if (!session.Player2Disconnected && !session.Player2Id.StartsWith("bot_"))
+                await _hubContext.Clients.Client(session.Player2Id).SendAsync("OpponentDisconnected", session.State);
+            if (session.SpectatorCount > 0)
+                await _hubContext.Clients.Group(PongHub.SpectatorGroup(session.MatchId)).SendAsync("GameUpdate", session.State);
+
+            await RecordResultAsync(session);
+        }
+        
+        // Resume a paused match after the usual countdown
+        private async Task EndPauseAsync(GameSession session, long nowMs)
+        {
+            long resumeInMs = _resumeCountdownSeconds * 1000L;
+            session.EndPause(nowMs, resumeInMs);
+            session.State.ResumeAt = nowMs + resumeInMs;
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+
+            await _hubContext.Clients.Client(session.Player1Id).SendAsync("GameResumed", new { resumeInMs });
+            if (!session.IsBotMatch)
+                await _hubContext.Clients.Client(session.Player2Id).SendAsync("GameResumed", new { resumeInMs });
+        }
+
+        // End a match a player forfeited: the opponent wins and the result is rated as usual
+        private async Task EndForfeitedMatchAsync(GameSession session)
+        {
+            _logger.LogInformation($"Side {session.State.ForfeitedBy} forfeited session {session.SessionId}. Ending match.");
+            if (session.State.PausedBy != 0)
+                session.EndPause(DateTimeOffset.UtcNow.ToUnixTimeMilliseconds(), 0);
+            session.State.Paused = false;
+            session.State.ReconnectDeadline = 0;
+            session.State.ResumeAt = 0;
+            session.State.GameOver = true;
+            session.State.Winner = session.State.ForfeitedBy == 1 ? 2 : 1;
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+
+            await SendGameUpdateAsync(session);
+            await RecordResultAsync(session);
+        }
+
+        // Call off a match that never started: nobody is rated and the players go back to the menu
+        private async Task CancelUnreadyMatchAsync(GameSession session)
+        {
+            _logger.LogInformation($"Ready check of session {session.SessionId} timed out. Cancelling match.");
+            _sessionCache.Remove(session.SessionId);
+            _sessionsWithCriticalChanges.Remove(session.SessionId);
+            await _gameStateService.RemoveSessionAsync(session);
+
+            var seats = new[]
+            {
+                (Id: session.Player1Id, Ready: session.State.LeftPlayerReady, Disconnected: session.Player1Disconnected),
+                (Id: session.Player2Id, Ready: session.State.RightPlayerReady, Disconnected: session.Player2Disconnected)
+            };
+            foreach (var seat in seats)
+            {
+                if (seat.Disconnected || seat.Id.StartsWith("bot_"))
+                    continue;
+                await _hubContext.Groups.RemoveFromGroupAsync(seat.Id, PongHub.MatchGroup(session.MatchId));
+                await _hubContext.Clients.Client(seat.Id).SendAsync("ReadyCheckFailed", new { ready = seat.Ready });
+            }
+        }
+        
+        // Rate a finished game once and tell both players their new rating
+        private async Task RecordResultAsync(GameSession session)
+        {
+            if (session.ResultRecorded)
+                return;
+            session.ResultRecorded = true;
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+
+            var record = await _leaderboardService.RecordMatchAsync(session);
+            if (record == null)
+                return;
+
+            if (!session.Player1Disconnected)
+                await _hubContext.Clients.Client(session.Player1Id).SendAsync("RatingChanged", new { rating = record.Player1Rating, change = record.Player1RatingChange });
+            if (!session.Player2Disconnected)
+                await _hubContext.Clients.Client(session.Player2Id).SendAsync("RatingChanged", new { rating = record.Player2Rating, change = record.Player2RatingChange });
+        }
+        
         // Refresh the cache of active game sessions from Redis
         private async Task RefreshSessionCacheAsync()
         {
@@ -12,6 +12,9 @@ using Newtonsoft.Json;
 
 namespace AzureOnlinePongGame.Services // Changed namespace
 {
+    // Who is behind a hub connection, taken from the access token when the connection opens
+    public readonly record struct PlayerIdentity(string UserId, string DisplayName);
+
     // Made class non-static
     public class GameStateService : IDisposable
     {
@@ -20,7 +23,7 @@ namespace AzureOnlinePongGame.Services // Changed namespace
         private readonly string _redisConnectionString;
         private readonly PaddlePositionCache _paddlePositionCache;
 
-        private const string MATCHMAKING_QUEUE_KEY = "pong:matchmaking_queue";
+        private const string MATCHMAKING_TICKETS_KEY = "pong:matchmaking_tickets"; // Hash: connection ID -> MatchmakingTicket JSON
         private const string ACTIVE_GAMES_KEY_PREFIX = "pong:game:";
         private const string PLAYER_SESSION_MAP_KEY_PREFIX = "pong:player_session:";
         private const string PLAYER_INPUT_KEY_PREFIX = "pong:player_input:";
@@ -54,7 +57,8 @@ namespace AzureOnlinePongGame.Services // Changed namespace
             });
         }
 
-        private IDatabase GetDatabase()
+        // Shared with the other Redis-backed services (LeaderboardService)
+        public IDatabase GetDatabase()
         {
             if (!_lazyConnection.Value.IsConnected)
             {
@@ -67,18 +71,18 @@ namespace AzureOnlinePongGame.Services // Changed namespace
 
         // --- Methods are now instance methods (removed static) ---
 
-        public async Task AddToMatchmakingAsync(string playerId)
+        // Queue a player, or refresh their ticket if they are already waiting
+        public async Task AddToMatchmakingAsync(MatchmakingTicket ticket)
         {
             try
             {
                 var db = GetDatabase();
-                // Use ListRightPush to add to the end of the queue
-                await db.ListRightPushAsync(MATCHMAKING_QUEUE_KEY, playerId).ConfigureAwait(false);
-                _logger.LogInformation($"Player {playerId} added to matchmaking queue.");
+                await db.HashSetAsync(MATCHMAKING_TICKETS_KEY, ticket.PlayerId, JsonConvert.SerializeObject(ticket)).ConfigureAwait(false);
+                _logger.LogInformation($"Player {ticket.PlayerId} added to matchmaking queue (rating {ticket.Rating}, region {ticket.Region}).");
             }
             catch (Exception ex)
             {
-                _logger.LogError(ex, $"Error adding player {playerId} to matchmaking queue.");
+                _logger.LogError(ex, $"Error adding player {ticket.PlayerId} to matchmaking queue.");
                 throw; // Rethrow to indicate failure
             }
         }
@@ -88,11 +92,9 @@ namespace AzureOnlinePongGame.Services // Changed namespace
             try
             {
                 var db = GetDatabase();
-                // Remove all occurrences of the player ID from the list
-                long removedCount = await db.ListRemoveAsync(MATCHMAKING_QUEUE_KEY, playerId).ConfigureAwait(false);
-                if (removedCount > 0)
+                if (await db.HashDeleteAsync(MATCHMAKING_TICKETS_KEY, playerId).ConfigureAwait(false))
                 {
-                    _logger.LogInformation($"Player {playerId} removed from matchmaking queue ({removedCount} instances).");
+                    _logger.LogInformation($"Player {playerId} removed from matchmaking queue.");
                 }
             }
             catch (Exception ex)
@@ -102,107 +104,67 @@ namespace AzureOnlinePongGame.Services // Changed namespace
             }
         }
 
-        public async Task<GameSession?> TryMatchPlayersAsync()
+        // Everyone waiting, oldest ticket first
+        public async Task<List<MatchmakingTicket>> GetMatchmakingTicketsAsync()
         {
-            IDatabase db = GetDatabase();
-            string? player1Id = null;
-            string? player2Id = null;
+            try
+            {
+                var entries = await GetDatabase().HashGetAllAsync(MATCHMAKING_TICKETS_KEY).ConfigureAwait(false);
+                return entries
+                    .Select(e => JsonConvert.DeserializeObject<MatchmakingTicket>(e.Value.ToString()))
+                    .Where(t => t != null)
+                    .Select(t => t!)
+                    .OrderBy(t => t.JoinedAt)
+                    .ToList();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error reading the matchmaking queue.");
+                return new List<MatchmakingTicket>();
+            }
+        }
 
+        // Take two waiting players out of the queue and create their session. The pair is claimed atomically,
+        // so when several server instances pick the same players only one of them gets the match.
+        public async Task<GameSession?> TryMatchPlayersAsync(MatchmakingTicket ticket1, MatchmakingTicket ticket2)
+        {
+            IDatabase db = GetDatabase();
             try
             {
-                // Use Lua script for atomic pop of two players if available
-                // This prevents race conditions where two server instances might grab the same players
                 var script = @"
-                    local p1 = redis.call('LPOP', KEYS[1])
-                    if not p1 then return nil end
-                    local p2 = redis.call('LPOP', KEYS[1])
-                    if not p2 then
-                        redis.call('LPUSH', KEYS[1], p1) -- Put p1 back if no p2
-                        return nil
+                    if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 1 and redis.call('HEXISTS', KEYS[1], ARGV[2]) == 1 then
+                        redis.call('HDEL', KEYS[1], ARGV[1], ARGV[2])
+                        return 1
                     end
-                    return {p1, p2}";
-
-                var result = (RedisResult[]?)await db.ScriptEvaluateAsync(script, new RedisKey[] { MATCHMAKING_QUEUE_KEY }).ConfigureAwait(false);
-
-                if (result != null && result.Length == 2)
-                {
-                    player1Id = (string?)result[0];
-                    player2Id = (string?)result[1];
-
-                    if (player1Id != null && player2Id != null)
-                    {
-                        _logger.LogInformation($"Atomically matched players: {player1Id} and {player2Id}");
-                        var session = new GameSession { Player1Id = player1Id, Player2Id = player2Id };
-                        // Initialize basic state immediately after matching
-                        session.State = new GameState();
-                        session.LastUpdateTime = DateTime.UtcNow;
-                        // Store the initial session state right away
-                        if (await UpdateSessionForBothPlayersAsync(session).ConfigureAwait(false))
-                        {
-                            return session;
-                        }
-                        else
-                        {
-                            _logger.LogError($"Failed to store initial session for matched players {player1Id} and {player2Id}. Putting them back in queue.");
-                            // Attempt to put players back in the queue if session storage fails
-                            await db.ListRightPushAsync(MATCHMAKING_QUEUE_KEY, new RedisValue[] { player1Id, player2Id }).ConfigureAwait(false);
-                            return null;
-                        }
-                    }
-                }
-                // Fallback or if Lua script fails/returns null
-                _logger.LogDebug("Lua script didn't match players or is unavailable. Checking queue length.");
-                long queueLength = await db.ListLengthAsync(MATCHMAKING_QUEUE_KEY).ConfigureAwait(false);
-                if (queueLength < 2)
+                    return 0";
+                var claimed = (int)await db.ScriptEvaluateAsync(script,
+                    new RedisKey[] { MATCHMAKING_TICKETS_KEY },
+                    new RedisValue[] { ticket1.PlayerId, ticket2.PlayerId }).ConfigureAwait(false);
+                if (claimed != 1)
                 {
-                    _logger.LogInformation($"Matchmaking queue length ({queueLength}) is less than 2. No match found.");
+                    _logger.LogDebug($"Players {ticket1.PlayerId} and {ticket2.PlayerId} are no longer both queued.");
                     return null;
                 }
 
-                // Less atomic way (potential race condition without Lua)
-                player1Id = await db.ListLeftPopAsync(MATCHMAKING_QUEUE_KEY).ConfigureAwait(false);
-                player2Id = await db.ListLeftPopAsync(MATCHMAKING_QUEUE_KEY).ConfigureAwait(false);
-
-                if (player1Id != null && player2Id != null)
-                {
-                     _logger.LogWarning($"Matched players using non-atomic LPOP: {player1Id} and {player2Id}. Potential race condition exists.");
-                     var session = new GameSession { Player1Id = player1Id, Player2Id = player2Id };
-                     session.State = new GameState();
-                     session.LastUpdateTime = DateTime.UtcNow;
-                     if (await UpdateSessionForBothPlayersAsync(session).ConfigureAwait(false))
-                     {
-                         return session;
-                     }
-                     else
-                     {
-                         _logger.LogError($"Failed to store initial session for matched players {player1Id} and {player2Id} (non-atomic). Putting them back in queue.");
-                         await db.ListRightPushAsync(MATCHMAKING_QUEUE_KEY, new RedisValue[] { player1Id, player2Id }).ConfigureAwait(false);
-                         return null;
-                     }
-                }
-                else
+                _logger.LogInformation($"Atomically matched players: {ticket1.PlayerId} and {ticket2.PlayerId}");
+                var session = new GameSession { Player1Id = ticket1.PlayerId, Player2Id = ticket2.PlayerId };
+                // Initialize basic state immediately after matching
+                session.State = GameEngine.CreateInitialState();
+                session.LastUpdateTime = DateTime.UtcNow;
+                // Store the initial session state right away
+                if (await UpdateSessionForBothPlayersAsync(session).ConfigureAwait(false))
                 {
-                    // Put player1 back if player2 couldn't be popped
-                    if (player1Id != null)
-                    {
-                        await db.ListLeftPushAsync(MATCHMAKING_QUEUE_KEY, player1Id).ConfigureAwait(false);
-                        _logger.LogWarning($"Popped player {player1Id} but no second player available. Put player 1 back.");
-                    }
-                    return null;
+                    return session;
                 }
+
+                _logger.LogError($"Failed to store initial session for matched players {ticket1.PlayerId} and {ticket2.PlayerId}. Putting them back in queue.");
+                await AddToMatchmakingAsync(ticket1).ConfigureAwait(false);
+                await AddToMatchmakingAsync(ticket2).ConfigureAwait(false);
+                return null;
             }
             catch (Exception ex)
             {
                 _logger.LogError(ex, "Error during matchmaking attempt.");
-                // Attempt to put players back if they were popped but an error occurred
-                if (player1Id != null && player2Id != null)
-                {
-                     await db.ListRightPushAsync(MATCHMAKING_QUEUE_KEY, new RedisValue[] { player1Id, player2Id }).ConfigureAwait(false);
-                }
-                else if (player1Id != null)
-                {
-                     await db.ListLeftPushAsync(MATCHMAKING_QUEUE_KEY, player1Id).ConfigureAwait(false);
-                }
                 return null;
             }
         }
@@ -280,6 +242,142 @@ namespace AzureOnlinePongGame.Services // Changed namespace
             }
         }
 
+        public Task<GameSession?> GetSessionByTokenAsync(string sessionToken)
+        {
+            if (string.IsNullOrEmpty(sessionToken))
+            {
+                return Task.FromResult<GameSession?>(null);
+            }
+            var found = _activeSessions.Values.FirstOrDefault(s => s.Player1Token == sessionToken || s.Player2Token == sessionToken);
+            return Task.FromResult(found);
+        }
+
+        // Move a player's seat to a new connection ID (after a reconnect) and re-key the session
+        public Task<bool> ReplacePlayerConnectionAsync(GameSession session, string oldPlayerId, string newPlayerId)
+        {
+            try
+            {
+                string oldKey = GetSessionKey(session.Player1Id, session.Player2Id);
+                if (session.Player1Id == oldPlayerId)
+                    session.Player1Id = newPlayerId;
+                else if (session.Player2Id == oldPlayerId)
+                    session.Player2Id = newPlayerId;
+                else
+                    return Task.FromResult(false);
+
+                _activeSessions.TryRemove(oldKey, out _);
+                _activeSessions[GetSessionKey(session.Player1Id, session.Player2Id)] = session;
+                _paddlePositionCache.RemovePaddlePosition(oldPlayerId);
+                _logger.LogInformation($"Session {oldKey} moved player {oldPlayerId} to connection {newPlayerId}.");
+                return Task.FromResult(true);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error replacing connection {oldPlayerId} with {newPlayerId}.");
+                return Task.FromResult(false);
+            }
+        }
+
+        // Drop a finished session once its players have left it
+        public Task<bool> RemoveSessionAsync(GameSession session)
+        {
+            try
+            {
+                string sessionKey = GetSessionKey(session.Player1Id, session.Player2Id);
+                bool removed = _activeSessions.TryRemove(sessionKey, out _);
+                _paddlePositionCache.RemovePaddlePosition(session.Player1Id);
+                _paddlePositionCache.RemovePaddlePosition(session.Player2Id);
+                _logger.LogInformation($"Session {sessionKey} removed from memory.");
+                return Task.FromResult(removed);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error removing session {session.SessionId} from memory.");
+                return Task.FromResult(false);
+            }
+        }
+
+        // Connection ID -> signed-in identity of the player using it
+        private readonly ConcurrentDictionary<string, PlayerIdentity> _playerIdentities = new();
+
+        public void RegisterPlayerIdentity(string connectionId, PlayerIdentity identity)
+        {
+            _playerIdentities[connectionId] = identity;
+        }
+
+        public void RemovePlayerIdentity(string connectionId)
+        {
+            _playerIdentities.TryRemove(connectionId, out _);
+        }
+
+        public string? GetPlayerDisplayName(string connectionId)
+        {
+            return _playerIdentities.TryGetValue(connectionId, out var identity) ? identity.DisplayName : null;
+        }
+
+        // Copy the user IDs and display names of both seats into a new session
+        public void ApplyPlayerIdentities(GameSession session)
+        {
+            if (_playerIdentities.TryGetValue(session.Player1Id, out var player1))
+            {
+                session.Player1UserId = player1.UserId;
+                session.Player1Name = player1.DisplayName;
+            }
+            if (_playerIdentities.TryGetValue(session.Player2Id, out var player2))
+            {
+                session.Player2UserId = player2.UserId;
+                session.Player2Name = player2.DisplayName;
+            }
+        }
+
+        // Spectator connection ID -> MatchId of the match it watches
+        private readonly ConcurrentDictionary<string, string> _spectators = new();
+
+        public Task<GameSession?> GetSessionByMatchIdAsync(string matchId)
+        {
+            if (string.IsNullOrEmpty(matchId))
+            {
+                return Task.FromResult<GameSession?>(null);
+            }
+            var found = _activeSessions.Values.FirstOrDefault(s => s.MatchId == matchId);
+            return Task.FromResult(found);
+        }
+
+        // Running matches that can be watched
+        public Task<List<GameSession>> GetLiveSessionsAsync()
+        {
+            var sessions = _activeSessions.Values
+                .Where(s => s.State != null && !s.State.GameOver && s.State.PlayersReady && !s.IsPrivate)
+                .ToList();
+            return Task.FromResult(sessions);
+        }
+
+        // Register a connection as spectator of a session (a connection watches at most one match)
+        public Task AddSpectatorAsync(string connectionId, GameSession session)
+        {
+            _spectators[connectionId] = session.MatchId;
+            session.SpectatorCount = CountSpectators(session.MatchId);
+            _logger.LogInformation($"Spectator {connectionId} joined match {session.MatchId} ({session.SpectatorCount} watching).");
+            return Task.CompletedTask;
+        }
+
+        // Forget a spectator; returns the session it was watching, if that still exists
+        public async Task<GameSession?> RemoveSpectatorAsync(string connectionId)
+        {
+            if (!_spectators.TryRemove(connectionId, out var matchId))
+            {
+                return null;
+            }
+            var session = await GetSessionByMatchIdAsync(matchId);
+            if (session != null)
+            {
+                session.SpectatorCount = CountSpectators(matchId);
+            }
+            return session;
+        }
+
+        private int CountSpectators(string matchId) => _spectators.Values.Count(id => id == matchId);
+
         public Task<List<GameSession>> GetAllActiveSessionsAsync()
         {
             try
@@ -340,13 +438,13 @@ namespace AzureOnlinePongGame.Services // Changed namespace
             }
         }
 
-        public void StorePlayerInputAsync(string playerId, float targetY)
+        public void StorePlayerInputAsync(string playerId, float targetY, int sequence)
         {
             try
             {
                 // Use memory cache instead of Redis for paddle positions
-                _paddlePositionCache.StorePaddlePosition(playerId, targetY);
-                _logger.LogDebug($"Stored input for player {playerId}: {targetY}");
+                _paddlePositionCache.StorePaddlePosition(playerId, targetY, sequence);
+                _logger.LogDebug($"Stored input for player {playerId}: {targetY} (seq {sequence})");
             }
             catch (Exception ex)
             {
@@ -354,7 +452,7 @@ namespace AzureOnlinePongGame.Services // Changed namespace
             }
         }
 
-        public Task<(float? Player1Input, float? Player2Input)> GetAndClearPlayerInputsAsync(string sessionId, string? player1Id, string? player2Id)
+        public Task<(PaddleInput? Player1Input, PaddleInput? Player2Input)> GetAndClearPlayerInputsAsync(string sessionId, string? player1Id, string? player2Id)
         {
             try
             {
@@ -363,7 +461,7 @@ namespace AzureOnlinePongGame.Services // Changed namespace
 
                 if (p1Input.HasValue || p2Input.HasValue)
                 {
-                    _logger.LogDebug($"Inputs for session {sessionId}: P1: {p1Input?.ToString() ?? "N/A"}, P2: {p2Input?.ToString() ?? "N/A"}");
+                    _logger.LogDebug($"Inputs for session {sessionId}: P1: {p1Input?.TargetY.ToString() ?? "N/A"}, P2: {p2Input?.TargetY.ToString() ?? "N/A"}");
                 }
 
                 // We don't need to remove the paddle positions here, they'll be overwritten with new positions
@@ -374,7 +472,7 @@ namespace AzureOnlinePongGame.Services // Changed namespace
             catch (Exception ex)
             {
                 _logger.LogError(ex, $"Error retrieving and clearing inputs for session {sessionId}.");
-                return Task.FromResult<(float? Player1Input, float? Player2Input)>((null, null));
+                return Task.FromResult<(PaddleInput? Player1Input, PaddleInput? Player2Input)>((null, null));
             }
         }
 
@@ -382,7 +480,7 @@ namespace AzureOnlinePongGame.Services // Changed namespace
         {
             try
             {
-                return GetDatabase().ListLengthAsync(MATCHMAKING_QUEUE_KEY);
+                return GetDatabase().HashLengthAsync(MATCHMAKING_TICKETS_KEY);
             }
             catch (Exception ex)
             {
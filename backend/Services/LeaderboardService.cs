@@ -0,0 +1,200 @@
+using AzureOnlinePongGame.Models;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Newtonsoft.Json;
+using StackExchange.Redis;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace AzureOnlinePongGame.Services
+{
+    // Elo ratings, win/loss records and match history of signed-in (and guest) players, kept in Redis
+    // so they outlive the in-memory game sessions
+    public class LeaderboardService
+    {
+        private const string RATINGS_KEY = "pong:leaderboard:ratings"; // Sorted set: userId -> rating
+        private const string PLAYER_KEY_PREFIX = "pong:player:"; // Hash per player: name, wins, losses, form
+        private const string MATCH_HISTORY_KEY = "pong:matches"; // List of MatchRecord JSON, newest first
+        private const int MATCH_HISTORY_LENGTH = 1000;
+        private const int RECENT_FORM_LENGTH = 10;
+        public const int INITIAL_RATING = 1200;
+
+        private readonly GameStateService _gameStateService;
+        private readonly ILogger<LeaderboardService> _logger;
+        private readonly int _kFactor;
+
+        // Ratings are read, adjusted and written back; serialize that on this instance
+        private readonly SemaphoreSlim _updateLock = new SemaphoreSlim(1, 1);
+
+        public LeaderboardService(GameStateService gameStateService, IConfiguration configuration, ILogger<LeaderboardService> logger)
+        {
+            _gameStateService = gameStateService;
+            _logger = logger;
+            _kFactor = configuration.GetValue("Leaderboard:KFactor", 32);
+        }
+
+        // Record a finished match and update both players' ratings.
+        // Bot games, private games, unknown players and games without a winner are not rated; returns null for those.
+        public async Task<MatchRecord?> RecordMatchAsync(GameSession session)
+        {
+            if (session.IsBotMatch || session.IsPrivate || session.State.Winner == 0 ||
+                string.IsNullOrEmpty(session.Player1UserId) || string.IsNullOrEmpty(session.Player2UserId) ||
+                session.Player1UserId == session.Player2UserId)
+            {
+                return null;
+            }
+
+            await _updateLock.WaitAsync();
+            try
+            {
+                IDatabase db = _gameStateService.GetDatabase();
+                double rating1 = await db.SortedSetScoreAsync(RATINGS_KEY, session.Player1UserId) ?? INITIAL_RATING;
+                double rating2 = await db.SortedSetScoreAsync(RATINGS_KEY, session.Player2UserId) ?? INITIAL_RATING;
+                int change1 = CalculateRatingChange(rating1, rating2, session.State.Winner == 1);
+
+                var record = new MatchRecord
+                {
+                    MatchId = session.MatchId,
+                    Player1UserId = session.Player1UserId,
+                    Player2UserId = session.Player2UserId,
+                    LeftScore = session.State.LeftScore,
+                    RightScore = session.State.RightScore,
+                    Winner = session.State.Winner,
+                    Player1Rating = (int)Math.Round(rating1) + change1,
+                    Player2Rating = (int)Math.Round(rating2) - change1,
+                    Player1RatingChange = change1,
+                    Player2RatingChange = -change1,
+                    FinishedAt = DateTime.UtcNow
+                };
+
+                await db.SortedSetAddAsync(RATINGS_KEY, session.Player1UserId, record.Player1Rating);
+                await db.SortedSetAddAsync(RATINGS_KEY, session.Player2UserId, record.Player2Rating);
+                await UpdatePlayerStatsAsync(db, session.Player1UserId, session.GetDisplayName(1), record.Winner == 1);
+                await UpdatePlayerStatsAsync(db, session.Player2UserId, session.GetDisplayName(2), record.Winner == 2);
+                await db.ListLeftPushAsync(MATCH_HISTORY_KEY, JsonConvert.SerializeObject(record));
+                await db.ListTrimAsync(MATCH_HISTORY_KEY, 0, MATCH_HISTORY_LENGTH - 1);
+
+                _logger.LogInformation($"Match {record.MatchId} recorded: {record.Player1UserId} {record.Player1RatingChange:+#;-#;0}, {record.Player2UserId} {record.Player2RatingChange:+#;-#;0}.");
+                return record;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error recording result of match {session.MatchId}.");
+                return null;
+            }
+            finally
+            {
+                _updateLock.Release();
+            }
+        }
+
+        // Elo change for the first player; the second player's change is the negative (zero-sum)
+        public int CalculateRatingChange(double rating, double opponentRating, bool won)
+        {
+            double expected = 1.0 / (1.0 + Math.Pow(10, (opponentRating - rating) / 400.0));
+            return (int)Math.Round(_kFactor * ((won ? 1.0 : 0.0) - expected));
+        }
+
+        // Current rating of a player; unrated players and lookup failures count as a new player
+        public async Task<int> GetRatingAsync(string userId)
+        {
+            if (string.IsNullOrEmpty(userId))
+            {
+                return INITIAL_RATING;
+            }
+            try
+            {
+                double? rating = await _gameStateService.GetDatabase().SortedSetScoreAsync(RATINGS_KEY, userId);
+                return rating.HasValue ? (int)rating.Value : INITIAL_RATING;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error reading the rating of {userId}.");
+                return INITIAL_RATING;
+            }
+        }
+
+        // Highest rated players, offset/limit paged
+        public async Task<LeaderboardPage> GetTopAsync(int offset, int limit)
+        {
+            try
+            {
+                IDatabase db = _gameStateService.GetDatabase();
+                var page = new LeaderboardPage { Total = await db.SortedSetLengthAsync(RATINGS_KEY) };
+                var ratings = await db.SortedSetRangeByRankWithScoresAsync(RATINGS_KEY, offset, offset + limit - 1, Order.Descending);
+                page.Entries = await BuildEntriesAsync(db, ratings, offset);
+                return page;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Error reading the leaderboard.");
+                return new LeaderboardPage();
+            }
+        }
+
+        // The player's own entry with up to `radius` players above and below; no entries if unrated
+        public async Task<LeaderboardPage> GetAroundAsync(string userId, int radius)
+        {
+            try
+            {
+                IDatabase db = _gameStateService.GetDatabase();
+                var page = new LeaderboardPage { Total = await db.SortedSetLengthAsync(RATINGS_KEY) };
+                long? rank = await db.SortedSetRankAsync(RATINGS_KEY, userId, Order.Descending);
+                if (rank == null)
+                {
+                    return page;
+                }
+                long start = Math.Max(0, rank.Value - radius);
+                var ratings = await db.SortedSetRangeByRankWithScoresAsync(RATINGS_KEY, start, rank.Value + radius, Order.Descending);
+                page.Entries = await BuildEntriesAsync(db, ratings, start);
+                return page;
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, $"Error reading the leaderboard around {userId}.");
+                return new LeaderboardPage();
+            }
+        }
+
+        private static async Task<List<LeaderboardEntry>> BuildEntriesAsync(IDatabase db, SortedSetEntry[] ratings, long firstRankIndex)
+        {
+            var entries = new List<LeaderboardEntry>();
+            for (int i = 0; i < ratings.Length; i++)
+            {
+                string userId = ratings[i].Element!;
+                var stats = (await db.HashGetAllAsync(PLAYER_KEY_PREFIX + userId)).ToDictionary(e => e.Name.ToString(), e => e.Value);
+                entries.Add(new LeaderboardEntry
+                {
+                    Rank = firstRankIndex + i + 1,
+                    UserId = userId,
+                    DisplayName = stats.TryGetValue("name", out var name) ? name.ToString() : userId,
+                    Rating = (int)ratings[i].Score,
+                    Wins = stats.TryGetValue("wins", out var wins) ? (int)wins : 0,
+                    Losses = stats.TryGetValue("losses", out var losses) ? (int)losses : 0,
+                    RecentForm = stats.TryGetValue("form", out var form) ? form.ToString() : string.Empty
+                });
+            }
+            return entries;
+        }
+
+        private static async Task UpdatePlayerStatsAsync(IDatabase db, string userId, string displayName, bool won)
+        {
+            string key = PLAYER_KEY_PREFIX + userId;
+            string form = (await db.HashGetAsync(key, "form")).ToString() ?? string.Empty;
+            form = (won ? "W" : "L") + form;
+            if (form.Length > RECENT_FORM_LENGTH)
+            {
+                form = form.Substring(0, RECENT_FORM_LENGTH);
+            }
+            await db.HashSetAsync(key, new[]
+            {
+                new HashEntry("name", displayName),
+                new HashEntry("form", form)
+            });
+            await db.HashIncrementAsync(key, won ? "wins" : "losses");
+        }
+    }
+}
@@ -0,0 +1,123 @@
+using AzureOnlinePongGame.Models;
+using Microsoft.Extensions.Logging;
+using System.Collections.Concurrent;
+using System.Security.Cryptography;
+
+namespace AzureOnlinePongGame.Services
+{
+    // Private lobbies: the host gets a short invite code, one friend joins with it, and the host starts
+    // the match with their rules. Lobbies live in memory and close when the host leaves.
+    public class LobbyService
+    {
+        private const string CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // No 0/O or 1/I look-alikes
+        private const int CODE_LENGTH = 6;
+
+        private readonly GameStateService _gameStateService;
+        private readonly ILogger<LobbyService> _logger;
+        private readonly ConcurrentDictionary<string, Lobby> _lobbies = new();
+        // Connection ID -> code of the lobby it is in (as host or guest)
+        private readonly ConcurrentDictionary<string, string> _members = new();
+
+        public LobbyService(GameStateService gameStateService, ILogger<LobbyService> logger)
+        {
+            _gameStateService = gameStateService;
+            _logger = logger;
+        }
+
+        public Lobby CreateLobby(string hostId)
+        {
+            while (true)
+            {
+                var lobby = new Lobby { Code = GenerateCode(), HostId = hostId };
+                if (_lobbies.TryAdd(lobby.Code, lobby))
+                {
+                    _members[hostId] = lobby.Code;
+                    _logger.LogInformation($"Player {hostId} created private lobby {lobby.Code}.");
+                    return lobby;
+                }
+            }
+        }
+
+        // Take the free seat of a lobby; null if the code is unknown, the lobby is full or it is the caller's own
+        public Lobby? TryJoin(string code, string guestId)
+        {
+            if (string.IsNullOrEmpty(code) || !_lobbies.TryGetValue(code.Trim().ToUpperInvariant(), out var lobby))
+            {
+                return null;
+            }
+            lock (lobby)
+            {
+                if (lobby.HostId == guestId || !string.IsNullOrEmpty(lobby.GuestId))
+                {
+                    return null;
+                }
+                lobby.GuestId = guestId;
+            }
+            _members[guestId] = lobby.Code;
+            _logger.LogInformation($"Player {guestId} joined private lobby {lobby.Code}.");
+            return lobby;
+        }
+
+        public Lobby? GetLobbyOf(string connectionId)
+        {
+            return _members.TryGetValue(connectionId, out var code) && _lobbies.TryGetValue(code, out var lobby) ? lobby : null;
+        }
+
+        // Leave whatever lobby the connection is in. A leaving host closes the lobby; returns the lobby that was left.
+        public Lobby? Leave(string connectionId)
+        {
+            var lobby = GetLobbyOf(connectionId);
+            _members.TryRemove(connectionId, out _);
+            if (lobby == null)
+            {
+                return null;
+            }
+            if (lobby.HostId == connectionId)
+            {
+                Close(lobby);
+                _logger.LogInformation($"Host {connectionId} closed private lobby {lobby.Code}.");
+            }
+            else
+            {
+                lock (lobby)
+                {
+                    lobby.GuestId = string.Empty;
+                }
+                _logger.LogInformation($"Player {connectionId} left private lobby {lobby.Code}.");
+            }
+            return lobby;
+        }
+
+        // Remove a lobby once its match starts or its host leaves
+        public void Close(Lobby lobby)
+        {
+            _lobbies.TryRemove(lobby.Code, out _);
+            _members.TryRemove(lobby.HostId, out _);
+            if (!string.IsNullOrEmpty(lobby.GuestId))
+            {
+                _members.TryRemove(lobby.GuestId, out _);
+            }
+        }
+
+        public LobbyInfo GetInfo(Lobby lobby)
+        {
+            return new LobbyInfo
+            {
+                Code = lobby.Code,
+                Host = _gameStateService.GetPlayerDisplayName(lobby.HostId) ?? "Host",
+                Guest = string.IsNullOrEmpty(lobby.GuestId) ? null : _gameStateService.GetPlayerDisplayName(lobby.GuestId) ?? "Guest",
+                Rules = lobby.Rules
+            };
+        }
+
+        private static string GenerateCode()
+        {
+            var chars = new char[CODE_LENGTH];
+            for (int i = 0; i < chars.Length; i++)
+            {
+                chars[i] = CODE_ALPHABET[RandomNumberGenerator.GetInt32(CODE_ALPHABET.Length)];
+            }
+            return new string(chars);
+        }
+    }
+}
@@ -0,0 +1,221 @@
+using AzureOnlinePongGame.Models;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Hosting;
+using Microsoft.Extensions.Logging;
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+
+namespace AzureOnlinePongGame.Services
+{
+    // Rating-aware matchmaking. Each waiting player accepts opponents within a rating gap that widens the
+    // longer they wait, and opponents from other regions once they have waited long enough. The queue is
+    // re-checked every second so widening gaps can produce a match without anybody new joining; waiting
+    // players get a QueueStatus on every pass and are offered a bot after Matchmaking:BotFallbackSeconds.
+    public class MatchmakingService : BackgroundService
+    {
+        private const int RECENT_WAIT_SAMPLES = 20; // Matches the wait estimate is averaged over
+        private readonly TimeSpan _passInterval = TimeSpan.FromSeconds(1);
+
+        private readonly GameStateService _gameStateService;
+        private readonly LeaderboardService _leaderboardService;
+        private readonly IHubContext<PongHub> _hubContext;
+        private readonly ILogger<MatchmakingService> _logger;
+        private readonly int _initialRatingGap;
+        private readonly int _ratingGapGrowthPerSecond;
+        private readonly int _maxRatingGap;
+        private readonly int _crossRegionAfterSeconds;
+        private readonly int _botFallbackSeconds;
+        private readonly int _readyTimeoutSeconds;
+
+        // Passes from the hub and the timer must not pair the same players twice
+        private readonly SemaphoreSlim _passLock = new SemaphoreSlim(1, 1);
+        // How long recently matched players waited, newest last
+        private readonly Queue<double> _recentWaitSeconds = new Queue<double>();
+
+        public MatchmakingService(GameStateService gameStateService, LeaderboardService leaderboardService, IHubContext<PongHub> hubContext,
+            IConfiguration configuration, ILogger<MatchmakingService> logger)
+        {
+            _gameStateService = gameStateService;
+            _leaderboardService = leaderboardService;
+            _hubContext = hubContext;
+            _logger = logger;
+            _initialRatingGap = configuration.GetValue("Matchmaking:InitialRatingGap", 100);
+            _ratingGapGrowthPerSecond = configuration.GetValue("Matchmaking:RatingGapGrowthPerSecond", 10);
+            _maxRatingGap = configuration.GetValue("Matchmaking:MaxRatingGap", 800);
+            _crossRegionAfterSeconds = configuration.GetValue("Matchmaking:CrossRegionAfterSeconds", 20);
+            _botFallbackSeconds = configuration.GetValue("Matchmaking:BotFallbackSeconds", 30);
+            _readyTimeoutSeconds = configuration.GetValue("Game:ReadyTimeoutSeconds", 30);
+        }
+
+        // Queue a player and try to pair them right away; returns true if they were matched
+        public async Task<bool> EnqueueAsync(string playerId, string userId, string region)
+        {
+            var ticket = new MatchmakingTicket
+            {
+                PlayerId = playerId,
+                UserId = userId,
+                Rating = await _leaderboardService.GetRatingAsync(userId),
+                Region = region,
+                JoinedAt = DateTime.UtcNow
+            };
+            await _gameStateService.AddToMatchmakingAsync(ticket);
+
+            var waiting = await RunPassAsync();
+            return !waiting.Any(t => t.PlayerId == playerId);
+        }
+
+        public Task CancelAsync(string playerId)
+        {
+            return _gameStateService.RemoveFromMatchmakingAsync(playerId);
+        }
+
+        // Tell a queued player how the search is going
+        public async Task SendQueueStatusAsync(string playerId)
+        {
+            var tickets = await _gameStateService.GetMatchmakingTicketsAsync();
+            var ticket = tickets.FirstOrDefault(t => t.PlayerId == playerId);
+            if (ticket != null)
+            {
+                await SendQueueStatusAsync(ticket, tickets.Count, DateTime.UtcNow);
+            }
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            _logger.LogInformation("Matchmaking service started.");
+            while (!stoppingToken.IsCancellationRequested)
+            {
+                try
+                {
+                    var waiting = await RunPassAsync();
+                    var now = DateTime.UtcNow;
+                    foreach (var ticket in waiting)
+                    {
+                        await SendQueueStatusAsync(ticket, waiting.Count, now);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error in matchmaking pass.");
+                }
+                await Task.Delay(_passInterval, stoppingToken);
+            }
+            _logger.LogInformation("Matchmaking service stopped.");
+        }
+
+        // Pair up whoever can be paired, longest waiting first, each with the closest rated acceptable
+        // opponent. Returns the tickets still waiting afterwards.
+        private async Task<List<MatchmakingTicket>> RunPassAsync()
+        {
+            await _passLock.WaitAsync();
+            try
+            {
+                var tickets = await _gameStateService.GetMatchmakingTicketsAsync();
+                var now = DateTime.UtcNow;
+                var matched = new HashSet<string>();
+
+                foreach (var ticket in tickets)
+                {
+                    if (matched.Contains(ticket.PlayerId))
+                        continue;
+
+                    var opponent = tickets
+                        .Where(t => t.PlayerId != ticket.PlayerId && !matched.Contains(t.PlayerId) && CanMatch(ticket, t, now))
+                        .OrderBy(t => Math.Abs(t.Rating - ticket.Rating))
+                        .FirstOrDefault();
+                    if (opponent == null)
+                        continue;
+
+                    var session = await _gameStateService.TryMatchPlayersAsync(ticket, opponent);
+                    if (session == null)
+                        continue;
+
+                    matched.Add(ticket.PlayerId);
+                    matched.Add(opponent.PlayerId);
+                    RecordWait(ticket.GetWaitedSeconds(now));
+                    RecordWait(opponent.GetWaitedSeconds(now));
+                    await StartMatchAsync(session, ticket.Rating, opponent.Rating);
+                }
+
+                return tickets.Where(t => !matched.Contains(t.PlayerId)).ToList();
+            }
+            finally
+            {
+                _passLock.Release();
+            }
+        }
+
+        private bool CanMatch(MatchmakingTicket a, MatchmakingTicket b, DateTime now)
+        {
+            // The same account queued from two tabs
+            if (!string.IsNullOrEmpty(a.UserId) && a.UserId == b.UserId)
+                return false;
+
+            // The longer waiting player's (wider) limits apply, so a newcomer never holds them back
+            double waited = Math.Max(a.GetWaitedSeconds(now), b.GetWaitedSeconds(now));
+            if (a.Region != b.Region && waited < _crossRegionAfterSeconds)
+                return false;
+            return Math.Abs(a.Rating - b.Rating) <= GetAllowedRatingGap(waited);
+        }
+
+        private int GetAllowedRatingGap(double waitedSeconds)
+        {
+            return (int)Math.Min(_maxRatingGap, _initialRatingGap + _ratingGapGrowthPerSecond * waitedSeconds);
+        }
+
+        // Ratings are passed so each player sees the other's rating in the ready check
+        private async Task StartMatchAsync(GameSession session, int player1Rating, int player2Rating)
+        {
+            _logger.LogInformation($"Match found: {session.Player1Id} vs {session.Player2Id}. Initializing session.");
+            _gameStateService.ApplyPlayerIdentities(session);
+            long readyTimeoutMs = _readyTimeoutSeconds * 1000L;
+            session.State.ReadyDeadline = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds() + readyTimeoutMs;
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+            await _hubContext.Groups.AddToGroupAsync(session.Player1Id, PongHub.MatchGroup(session.MatchId));
+            await _hubContext.Groups.AddToGroupAsync(session.Player2Id, PongHub.MatchGroup(session.MatchId));
+            // Notify both players
+            await _hubContext.Clients.Client(session.Player1Id).SendAsync("MatchFound", new { opponent = session.GetDisplayName(2), opponentRating = player2Rating, side = 1, sessionToken = session.Player1Token, readyTimeoutMs, rules = session.State.Rules });
+            await _hubContext.Clients.Client(session.Player2Id).SendAsync("MatchFound", new { opponent = session.GetDisplayName(1), opponentRating = player1Rating, side = 2, sessionToken = session.Player2Token, readyTimeoutMs, rules = session.State.Rules });
+        }
+
+        private async Task SendQueueStatusAsync(MatchmakingTicket ticket, int playersInQueue, DateTime now)
+        {
+            double waited = ticket.GetWaitedSeconds(now);
+            int allowedGap = GetAllowedRatingGap(waited);
+            await _hubContext.Clients.Client(ticket.PlayerId).SendAsync("QueueStatus", new
+            {
+                playersInQueue,
+                waitedSeconds = (int)waited,
+                estimatedWaitSeconds = EstimateRemainingWait(waited),
+                minRating = ticket.Rating - allowedGap,
+                maxRating = ticket.Rating + allowedGap,
+                botFallbackAvailable = waited >= _botFallbackSeconds
+            });
+        }
+
+        // Average wait of recent matches minus the time already waited; null until there is any history
+        private int? EstimateRemainingWait(double waitedSeconds)
+        {
+            lock (_recentWaitSeconds)
+            {
+                if (_recentWaitSeconds.Count == 0)
+                    return null;
+                return (int)Math.Ceiling(Math.Max(0, _recentWaitSeconds.Average() - waitedSeconds));
+            }
+        }
+
+        private void RecordWait(double waitedSeconds)
+        {
+            lock (_recentWaitSeconds)
+            {
+                _recentWaitSeconds.Enqueue(waitedSeconds);
+                while (_recentWaitSeconds.Count > RECENT_WAIT_SAMPLES)
+                    _recentWaitSeconds.Dequeue();
+            }
+        }
+    }
+}
@@ -0,0 +1,128 @@
+using Microsoft.AspNetCore.Builder;
+using Microsoft.AspNetCore.Http;
+using Microsoft.IdentityModel.JsonWebTokens;
+using Microsoft.IdentityModel.Tokens;
+using System;
+using System.Collections.Concurrent;
+using System.Net;
+using System.Security.Claims;
+using System.Security.Cryptography;
+using System.Text;
+
+namespace AzureOnlinePongGame.Services
+{
+    // Minimal OpenID Connect provider for local development: a name form instead of a real login,
+    // authorization codes with PKCE, and ID tokens the backend can redeem like a real provider's.
+    // Only mapped when Auth:MockIdp:Enabled is set in Development (see Program.cs).
+    public static class MockIdentityProvider
+    {
+        private const string BASE_PATH = "/mock-idp";
+        private static readonly TimeSpan CodeLifetime = TimeSpan.FromMinutes(2);
+        private static readonly SymmetricSecurityKey SigningKey = new SymmetricSecurityKey(RandomNumberGenerator.GetBytes(32));
+        private static readonly ConcurrentDictionary<string, PendingCode> Codes = new();
+
+        private record PendingCode(string ClientId, string RedirectUri, string CodeChallenge, string Name, DateTime ExpiresAt);
+
+        public static void MapMockIdentityProvider(this WebApplication app)
+        {
+            app.MapGet($"{BASE_PATH}/.well-known/openid-configuration", (HttpRequest request) =>
+            {
+                var issuer = GetIssuer(request);
+                return Results.Ok(new
+                {
+                    issuer,
+                    authorization_endpoint = $"{issuer}/authorize",
+                    token_endpoint = $"{issuer}/token",
+                    response_types_supported = new[] { "code" },
+                    code_challenge_methods_supported = new[] { "S256" },
+                    subject_types_supported = new[] { "public" },
+                    id_token_signing_alg_values_supported = new[] { "HS256" }
+                });
+            });
+
+            // Login page: the user just picks a name
+            app.MapGet($"{BASE_PATH}/authorize", (HttpRequest request) =>
+            {
+                var query = request.Query;
+                if (query["response_type"] != "code" || query["code_challenge_method"] != "S256" ||
+                    string.IsNullOrEmpty(query["code_challenge"]) || string.IsNullOrEmpty(query["redirect_uri"]))
+                {
+                    return Results.BadRequest("Expected an authorization code request with PKCE (S256).");
+                }
+
+                string Hidden(string name) => $"<input type=\"hidden\" name=\"{name}\" value=\"{WebUtility.HtmlEncode(query[name])}\">";
+                var html = $@"<!DOCTYPE html>
+<html><head><title>Mock Identity Provider</title></head>
+<body style=""font-family: sans-serif; background: #1e1e1e; color: #fff; text-align: center; padding-top: 80px;"">
+<h2>Mock Identity Provider</h2>
+<p>Development only: sign in as any name.</p>
+<form method=""post"" action=""{BASE_PATH}/authorize"">
+{Hidden("client_id")}{Hidden("redirect_uri")}{Hidden("state")}{Hidden("code_challenge")}
+<input name=""name"" placeholder=""Display name"" maxlength=""24"" required autofocus>
+<button type=""submit"">Sign in</button>
+</form>
+</body></html>";
+                return Results.Content(html, "text/html");
+            });
+
+            app.MapPost($"{BASE_PATH}/authorize", async (HttpRequest request) =>
+            {
+                var form = await request.ReadFormAsync();
+                var redirectUri = form["redirect_uri"].ToString();
+                var code = Base64UrlEncoder.Encode(RandomNumberGenerator.GetBytes(24));
+                Codes[code] = new PendingCode(
+                    form["client_id"].ToString(),
+                    redirectUri,
+                    form["code_challenge"].ToString(),
+                    form["name"].ToString(),
+                    DateTime.UtcNow + CodeLifetime);
+
+                var separator = redirectUri.Contains('?') ? "&" : "?";
+                var state = Uri.EscapeDataString(form["state"].ToString());
+                return Results.Redirect($"{redirectUri}{separator}code={Uri.EscapeDataString(code)}&state={state}");
+            });
+
+            app.MapPost($"{BASE_PATH}/token", async (HttpRequest request) =>
+            {
+                var form = await request.ReadFormAsync();
+                if (form["grant_type"] != "authorization_code" ||
+                    !Codes.TryRemove(form["code"].ToString(), out var pending) ||
+                    pending.ExpiresAt < DateTime.UtcNow ||
+                    pending.ClientId != form["client_id"] ||
+                    pending.RedirectUri != form["redirect_uri"] ||
+                    !VerifyCodeChallenge(form["code_verifier"].ToString(), pending.CodeChallenge))
+                {
+                    return Results.BadRequest(new { error = "invalid_grant" });
+                }
+
+                var now = DateTime.UtcNow;
+                // Same name, same subject: signing in twice with a name gives the same account
+                var subject = Convert.ToHexString(SHA256.HashData(Encoding.UTF8.GetBytes(pending.Name.ToLowerInvariant())), 0, 12).ToLowerInvariant();
+                var idToken = new JsonWebTokenHandler().CreateToken(new SecurityTokenDescriptor
+                {
+                    Issuer = GetIssuer(request),
+                    Audience = pending.ClientId,
+                    IssuedAt = now,
+                    Expires = now.AddMinutes(5),
+                    Subject = new ClaimsIdentity(new[]
+                    {
+                        new Claim(JwtRegisteredClaimNames.Sub, subject),
+                        new Claim("name", pending.Name)
+                    }),
+                    SigningCredentials = new SigningCredentials(SigningKey, SecurityAlgorithms.HmacSha256)
+                });
+                return Results.Ok(new { id_token = idToken, token_type = "Bearer", expires_in = 300 });
+            });
+        }
+
+        private static string GetIssuer(HttpRequest request) => $"{request.Scheme}://{request.Host}{BASE_PATH}";
+
+        private static bool VerifyCodeChallenge(string codeVerifier, string codeChallenge)
+        {
+            if (string.IsNullOrEmpty(codeVerifier))
+                return false;
+            var computed = Base64UrlEncoder.Encode(SHA256.HashData(Encoding.ASCII.GetBytes(codeVerifier)));
+            return computed == codeChallenge;
+        }
+    }
+}
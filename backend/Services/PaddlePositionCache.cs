@@ -7,6 +7,9 @@ using System.Threading.Tasks;
 
 namespace AzureOnlinePongGame.Services
 {
+    // A paddle target sent by a client together with its input sequence number
+    public readonly record struct PaddleInput(float TargetY, int Sequence);
+
     public class PaddlePositionCache
     {
         private readonly IMemoryCache _memoryCache;
@@ -27,7 +30,7 @@ namespace AzureOnlinePongGame.Services
             return $"{PLAYER_PADDLE_KEY_PREFIX}{playerId}";
         }
         
-        public void StorePaddlePosition(string playerId, float targetY)
+        public void StorePaddlePosition(string playerId, float targetY, int sequence)
         {
             try
             {
@@ -36,8 +39,14 @@ namespace AzureOnlinePongGame.Services
                 var cacheOptions = new MemoryCacheEntryOptions()
                     .SetSlidingExpiration(_paddleCacheExpiry);
                 
-                _memoryCache.Set(paddleKey, targetY, cacheOptions);
-                _logger.LogDebug($"Stored paddle position for player {playerId}: {targetY}");
+                // Ignore inputs that arrive out of order
+                if (_memoryCache.TryGetValue(paddleKey, out PaddleInput existing) && existing.Sequence > sequence)
+                {
+                    return;
+                }
+                
+                _memoryCache.Set(paddleKey, new PaddleInput(targetY, sequence), cacheOptions);
+                _logger.LogDebug($"Stored paddle position for player {playerId}: {targetY} (seq {sequence})");
             }
             catch (Exception ex)
             {
@@ -45,28 +54,28 @@ namespace AzureOnlinePongGame.Services
             }
         }
         
-        public (float? Player1Input, float? Player2Input) GetPlayerInputs(string? player1Id, string? player2Id)
+        public (PaddleInput? Player1Input, PaddleInput? Player2Input) GetPlayerInputs(string? player1Id, string? player2Id)
         {
-            float? p1Input = null;
-            float? p2Input = null;
+            PaddleInput? p1Input = null;
+            PaddleInput? p2Input = null;
             
             try
             {
                 if (!string.IsNullOrEmpty(player1Id))
                 {
                     var paddleKey1 = GetPaddleKey(player1Id);
-                    if (_memoryCache.TryGetValue(paddleKey1, out float p1TargetY))
+                    if (_memoryCache.TryGetValue(paddleKey1, out PaddleInput p1Target))
                     {
-                        p1Input = p1TargetY;
+                        p1Input = p1Target;
                     }
                 }
                 
                 if (!string.IsNullOrEmpty(player2Id) && !player2Id.StartsWith("bot_"))
                 {
                     var paddleKey2 = GetPaddleKey(player2Id);
-                    if (_memoryCache.TryGetValue(paddleKey2, out float p2TargetY))
+                    if (_memoryCache.TryGetValue(paddleKey2, out PaddleInput p2Target))
                     {
-                        p2Input = p2TargetY;
+                        p2Input = p2Target;
                     }
                 }
             }
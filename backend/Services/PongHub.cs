@@ -1,33 +1,69 @@
 using Microsoft.AspNetCore.SignalR;
+using Microsoft.AspNetCore.Authorization;
 using AzureOnlinePongGame.Services;
 using Microsoft.Extensions.Logging;
 using System.Threading.Tasks;
 using Microsoft.Extensions.Caching.Memory;
 using System.Collections.Concurrent;
 using System;
+using Microsoft.Extensions.Configuration;
+using System.Collections.Generic;
+using System.Linq;
 
 namespace AzureOnlinePongGame
 {
+    // Every connection carries an access token (guest or signed-in user, see AuthService)
+    [Authorize]
     public class PongHub : Hub
     {
         private readonly GameStateService _gameStateService;
         private readonly ILogger<PongHub> _logger;
         private readonly IMemoryCache _memoryCache;
-        
-        // In-memory mapping of player connections to sessions for faster lookups
-        private static readonly ConcurrentDictionary<string, string> _playerSessionMap = new();
-        
-        // Track paddle positions in memory to avoid Redis reads
-        private static readonly ConcurrentDictionary<string, (string SessionId, int Side, float Position)> _playerPaddlePositions = new();
+        private readonly ChatService _chatService;
+        private readonly MatchmakingService _matchmakingService;
+        private readonly LobbyService _lobbyService;
+        private readonly int _reconnectGraceSeconds;
+        private readonly int _resumeCountdownSeconds;
+        private readonly int _readyTimeoutSeconds;
+        private readonly int _startCountdownSeconds;
+        private readonly int _pauseBudgetSeconds;
 
-        public PongHub(GameStateService gameStateService, ILogger<PongHub> logger, IMemoryCache memoryCache)
+        public PongHub(GameStateService gameStateService, ILogger<PongHub> logger, IMemoryCache memoryCache, IConfiguration configuration, ChatService chatService, MatchmakingService matchmakingService, LobbyService lobbyService)
         {
             _gameStateService = gameStateService;
             _logger = logger;
             _memoryCache = memoryCache;
+            _chatService = chatService;
+            _matchmakingService = matchmakingService;
+            _lobbyService = lobbyService;
+            _reconnectGraceSeconds = configuration.GetValue("Game:ReconnectGraceSeconds", 30);
+            _resumeCountdownSeconds = configuration.GetValue("Game:ResumeCountdownSeconds", 3);
+            _readyTimeoutSeconds = configuration.GetValue("Game:ReadyTimeoutSeconds", 30);
+            _startCountdownSeconds = configuration.GetValue("Game:StartCountdownSeconds", 3);
+            _pauseBudgetSeconds = configuration.GetValue("Game:PauseBudgetSeconds", 60);
         }
 
-        public async Task JoinMatchmaking()
+        // SignalR group that receives the GameUpdate stream of a match for its spectators
+        public static string SpectatorGroup(string matchId) => $"spectate:{matchId}";
+
+        // SignalR group of the two players of a match, used for chat and emotes
+        public static string MatchGroup(string matchId) => $"match:{matchId}";
+
+        public override async Task OnConnectedAsync()
+        {
+            var userId = Context.UserIdentifier;
+            if (!string.IsNullOrEmpty(userId))
+            {
+                var displayName = Context.User?.FindFirst(AuthService.DisplayNameClaim)?.Value ?? "Player";
+                _gameStateService.RegisterPlayerIdentity(Context.ConnectionId, new PlayerIdentity(userId, displayName));
+                _logger.LogInformation($"Client connected: {Context.ConnectionId} as {userId} ({displayName})");
+            }
+            await base.OnConnectedAsync();
+        }
+
+        // region: where the player is (the client derives it from its time zone); players are paired within
+        // their region first and across regions after Matchmaking:CrossRegionAfterSeconds
+        public async Task JoinMatchmaking(string region)
         {
             var playerId = Context.ConnectionId;
             _logger.LogInformation($"Player {playerId} requested matchmaking.");
@@ -39,28 +75,114 @@ namespace AzureOnlinePongGame
                 await Clients.Caller.SendAsync("AlreadyInGame");
                 return;
             }
+            if (existingSession != null)
+            {
+                await LeaveFinishedMatchAsync(existingSession, playerId);
+            }
 
-            await _gameStateService.AddToMatchmakingAsync(playerId);
-            _logger.LogInformation($"Player {playerId} added to matchmaking queue.");
-
-            var matchedSession = await _gameStateService.TryMatchPlayersAsync();
-            if (matchedSession != null)
+            region = string.IsNullOrWhiteSpace(region) ? "global" : region.Trim();
+            if (region.Length > 32)
             {
-                _logger.LogInformation($"Match found: {matchedSession.Player1Id} vs {matchedSession.Player2Id}. Initializing session.");
-                // Game state is initialized in TryMatchPlayersAsync
-                await _gameStateService.UpdateSessionForBothPlayersAsync(matchedSession);
-                // Notify both players
-                await Clients.Client(matchedSession.Player1Id).SendAsync("MatchFound", new { opponent = matchedSession.Player2Id, side = 1 });
-                await Clients.Client(matchedSession.Player2Id).SendAsync("MatchFound", new { opponent = matchedSession.Player1Id, side = 2 });
+                region = region.Substring(0, 32);
             }
-            else
+
+            await LeaveLobbyAsync(playerId);
+
+            // MatchmakingService sends MatchFound to both players when the caller is paired right away
+            bool matched = await _matchmakingService.EnqueueAsync(playerId, Context.UserIdentifier ?? string.Empty, region);
+            if (!matched)
             {
                 _logger.LogInformation($"Player {playerId} is waiting for an opponent.");
                 await Clients.Caller.SendAsync("WaitingForOpponent");
+                await _matchmakingService.SendQueueStatusAsync(playerId);
             }
         }
 
-        public async Task StartBotMatch()
+        public async Task CancelMatchmaking()
+        {
+            _logger.LogInformation($"Player {Context.ConnectionId} left the matchmaking queue.");
+            await _matchmakingService.CancelAsync(Context.ConnectionId);
+        }
+
+        // Open a private lobby; the returned code lets one friend join through JoinPrivateLobby
+        public async Task<Models.LobbyInfo?> CreatePrivateLobby()
+        {
+            var playerId = Context.ConnectionId;
+            if (!await CanEnterLobbyAsync(playerId))
+            {
+                return null;
+            }
+            var lobby = _lobbyService.CreateLobby(playerId);
+            return _lobbyService.GetInfo(lobby);
+        }
+
+        // Join a friend's lobby by its code; null if the code is unknown or the lobby is full
+        public async Task<Models.LobbyInfo?> JoinPrivateLobby(string code)
+        {
+            var playerId = Context.ConnectionId;
+            if (!await CanEnterLobbyAsync(playerId))
+            {
+                return null;
+            }
+            var lobby = _lobbyService.TryJoin(code, playerId);
+            if (lobby == null)
+            {
+                _logger.LogInformation($"Player {playerId} could not join private lobby {code}.");
+                return null;
+            }
+            var info = _lobbyService.GetInfo(lobby);
+            await Clients.Client(lobby.HostId).SendAsync("LobbyUpdated", info);
+            return info;
+        }
+
+        // Host only: change the rules of the match before starting it
+        public async Task SetLobbyRules(Models.MatchRules rules)
+        {
+            var lobby = _lobbyService.GetLobbyOf(Context.ConnectionId);
+            if (lobby == null || lobby.HostId != Context.ConnectionId || rules == null)
+            {
+                return;
+            }
+            lobby.Rules = rules.Clamped();
+            await SendLobbyUpdateAsync(lobby);
+        }
+
+        // Host only: start the match once a friend has joined
+        public async Task StartPrivateMatch()
+        {
+            var lobby = _lobbyService.GetLobbyOf(Context.ConnectionId);
+            if (lobby == null || lobby.HostId != Context.ConnectionId || string.IsNullOrEmpty(lobby.GuestId))
+            {
+                return;
+            }
+            _lobbyService.Close(lobby);
+
+            var session = new Models.GameSession
+            {
+                Player1Id = lobby.HostId,
+                Player2Id = lobby.GuestId,
+                State = GameEngine.CreateInitialState(lobby.Rules),
+                IsPrivate = true,
+                LastUpdateTime = System.DateTime.UtcNow
+            };
+            long readyTimeoutMs = StartReadyCheck(session);
+            _gameStateService.ApplyPlayerIdentities(session);
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+            await Groups.AddToGroupAsync(session.Player1Id, MatchGroup(session.MatchId));
+            await Groups.AddToGroupAsync(session.Player2Id, MatchGroup(session.MatchId));
+            _logger.LogInformation($"Private lobby {lobby.Code} started match {session.MatchId} to {lobby.Rules.PointsToWin} points.");
+
+            await Clients.Client(session.Player1Id).SendAsync("MatchFound", new { opponent = session.GetDisplayName(2), side = 1, sessionToken = session.Player1Token, readyTimeoutMs, rules = session.State.Rules });
+            await Clients.Client(session.Player2Id).SendAsync("MatchFound", new { opponent = session.GetDisplayName(1), side = 2, sessionToken = session.Player2Token, readyTimeoutMs, rules = session.State.Rules });
+        }
+
+        public async Task LeavePrivateLobby()
+        {
+            await LeaveLobbyAsync(Context.ConnectionId);
+        }
+
+        // rules: rules picked in the browser, null for the defaults
+        public async Task StartBotMatch(Models.MatchRules? rules)
         {
             var playerId = Context.ConnectionId;
             var botId = $"bot_{System.Guid.NewGuid()}";
@@ -73,106 +195,443 @@ namespace AzureOnlinePongGame
                 await Clients.Caller.SendAsync("AlreadyInGame");
                 return;
             }
+            if (existingSession != null)
+            {
+                await LeaveFinishedMatchAsync(existingSession, playerId);
+            }
+            // Falling back to a bot from the matchmaking queue
+            await _matchmakingService.CancelAsync(playerId);
+            await LeaveLobbyAsync(playerId);
 
-            var session = new Models.GameSession { Player1Id = playerId, Player2Id = botId, State = new Models.GameState(), LastUpdateTime = System.DateTime.UtcNow };
-            // Mark both as ready for bot match
-            session.State.LeftPlayerReady = true;
+            var session = new Models.GameSession { Player1Id = playerId, Player2Id = botId, State = GameEngine.CreateInitialState(rules), LastUpdateTime = System.DateTime.UtcNow };
+            // The bot is always ready; the player still has to press Ready
             session.State.RightPlayerReady = true;
+            long readyTimeoutMs = StartReadyCheck(session);
+            _gameStateService.ApplyPlayerIdentities(session);
             await _gameStateService.StoreSessionAsync(playerId, session);
+            await Groups.AddToGroupAsync(playerId, MatchGroup(session.MatchId));
             _logger.LogInformation($"Bot session created for {playerId}. Notifying player.");
-            await Clients.Caller.SendAsync("MatchFound", new { opponent = "Bot", side = 1, isBot = true });
+            await Clients.Caller.SendAsync("MatchFound", new { opponent = "Bot", side = 1, isBot = true, sessionToken = session.Player1Token, readyTimeoutMs, rules = session.State.Rules });
         }
 
-        public async Task SendPaddleInput(float targetY)
+        // inputSequence increases with every input a client sends; the game loop echoes the last applied
+        // value back in GameState so the client can drop acknowledged inputs and replay the rest
+        public Task SendPaddleInput(float targetY, int inputSequence)
         {
             var playerId = Context.ConnectionId;
-              // Clamp to valid range
-            targetY = Math.Max(0, Math.Min(600 - 100, targetY));
-            
-            // Store player input directly using GameStateService for GameLoopService to pick up
-            _gameStateService.StorePlayerInputAsync(playerId, targetY);
+            // Clamp to the range of the smallest paddle; the engine clamps to the paddle's current height
+            targetY = Math.Max(0, Math.Min(GameEngine.CANVAS_HEIGHT - ArcadeEngine.SHRUNK_PADDLE_HEIGHT, targetY));
             
-            // The rest of this method is for direct opponent visual updates, which is fine.
-            // Get the player's session info from memory if available
-            if (!_playerPaddlePositions.TryGetValue(playerId, out var paddleInfo))
+            // Store player input directly using GameStateService for GameLoopService to pick up.
+            // The opponent sees the paddle through the authoritative GameUpdate stream.
+            _gameStateService.StorePlayerInputAsync(playerId, targetY, inputSequence);
+            return Task.CompletedTask;
+        }
+
+        public async Task KeepAlive()
+        {
+            _logger.LogDebug($"Received keepalive from {Context.ConnectionId}");
+            await Clients.Caller.SendAsync("Pong", System.DateTime.UtcNow);
+        }
+
+        // The caller pressed Ready; once both players are ready the start countdown runs
+        public async Task RequestStartGame()
+        {
+            var playerId = Context.ConnectionId;
+            var session = await _gameStateService.GetSessionAsync(playerId);
+            if (session == null || session.State.GameOver || session.State.PlayersReady)
             {
-                // If not in memory, get from Redis (should only happen once per connection)
-                var session = await _gameStateService.GetSessionAsync(playerId);
-                if (session == null)
-                {
-                    _logger.LogDebug($"No active session found for player {playerId}");
-                    return;
-                }
-                
-                // Store in our in-memory map for future lookups
-                int side = session.Player1Id == playerId ? 1 : 2;
-                paddleInfo = (session.SessionId, side, targetY);
-                _playerPaddlePositions[playerId] = paddleInfo;
-                _playerSessionMap[playerId] = session.SessionId;
+                return;
+            }
+
+            if (session.Player1Id == playerId)
+                session.State.LeftPlayerReady = true;
+            else if (session.Player2Id == playerId)
+                session.State.RightPlayerReady = true;
+
+            if (session.State.PlayersReady)
+            {
+                var started = BeginStartCountdown(session);
+                await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+                await SendGameStartedAsync(session, started);
+                return;
+            }
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+            var status = new { leftReady = session.State.LeftPlayerReady, rightReady = session.State.RightPlayerReady };
+            await Clients.Client(session.Player1Id).SendAsync("ReadyStatus", status);
+            await Clients.Client(session.Player2Id).SendAsync("ReadyStatus", status);
+        }
+
+        // Open the ready check of a new match; returns the time the players have to press Ready
+        private long StartReadyCheck(Models.GameSession session)
+        {
+            long readyTimeoutMs = _readyTimeoutSeconds * 1000L;
+            session.State.ReadyDeadline = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds() + readyTimeoutMs;
+            return readyTimeoutMs;
+        }
+
+        // Both players are ready: GameLoopService starts play at ResumeAt. Returns the GameStarted payload;
+        // clients count down to the same server time (startAt), converted with their clock offset.
+        private object BeginStartCountdown(Models.GameSession session)
+        {
+            long now = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            session.State.ReadyDeadline = 0;
+            session.State.ResumeAt = now + _startCountdownSeconds * 1000L;
+            _logger.LogInformation($"Both players ready in session {session.SessionId}, starting in {_startCountdownSeconds}s.");
+            return new { startAt = session.State.ResumeAt, serverTime = now };
+        }
+
+        private async Task SendGameStartedAsync(Models.GameSession session, object started)
+        {
+            await Clients.Client(session.Player1Id).SendAsync("GameStarted", started);
+            if (!session.IsBotMatch)
+                await Clients.Client(session.Player2Id).SendAsync("GameStarted", started);
+        }
+
+        // Pause the caller's running match for at most the rest of their pause budget (Game:PauseBudgetSeconds).
+        // GameLoopService resumes it when that runs out; the caller can resume earlier with ResumeGame.
+        public async Task PauseGame()
+        {
+            var playerId = Context.ConnectionId;
+            var session = await _gameStateService.GetSessionAsync(playerId);
+            if (session == null || session.State.GameOver || !session.State.PlayersReady ||
+                session.State.Paused || session.State.PausedBy != 0 || session.State.ResumeAt > 0 ||
+                session.State.ForfeitedBy != 0)
+            {
+                return;
+            }
+
+            int side = session.Player1Id == playerId ? 1 : 2;
+            long usedMs = side == 1 ? session.Player1PauseUsedMs : session.Player2PauseUsedMs;
+            // The resume countdown after the pause is charged too (see GameSession.EndPause)
+            long pauseMs = _pauseBudgetSeconds * 1000L - usedMs - _resumeCountdownSeconds * 1000L;
+            if (pauseMs < GameSession.MIN_PAUSE_MS)
+            {
+                await Clients.Caller.SendAsync("PauseRejected", new { reason = "budgetUsed" });
+                return;
+            }
+
+            long now = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            session.State.PausedBy = side;
+            session.State.PauseEndsAt = now + pauseMs;
+            session.State.ResumeAt = 0;
+            session.PauseStartedAt = now;
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+            _logger.LogInformation($"Player {playerId} paused session {session.SessionId} for up to {pauseMs}ms.");
+
+            var paused = new { side, pauseMs };
+            await Clients.Client(session.Player1Id).SendAsync("GamePaused", paused);
+            if (!session.IsBotMatch)
+                await Clients.Client(session.Player2Id).SendAsync("GamePaused", paused);
+        }
+
+        // End the caller's own pause early; play resumes after the usual countdown
+        public async Task ResumeGame()
+        {
+            var playerId = Context.ConnectionId;
+            var session = await _gameStateService.GetSessionAsync(playerId);
+            if (session == null || session.State.PausedBy != (session.Player1Id == playerId ? 1 : 2))
+            {
+                return;
+            }
+
+            long now = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+            long resumeInMs = _resumeCountdownSeconds * 1000L;
+            session.EndPause(now, resumeInMs);
+            session.State.ResumeAt = now + resumeInMs;
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+
+            await Clients.Client(session.Player1Id).SendAsync("GameResumed", new { resumeInMs });
+            if (!session.IsBotMatch)
+                await Clients.Client(session.Player2Id).SendAsync("GameResumed", new { resumeInMs });
+        }
+
+        // Give up the running match: the opponent wins and the result is rated like any finished game.
+        // GameLoopService ends the match on its next tick (see EndForfeitedMatchAsync).
+        public async Task ForfeitMatch()
+        {
+            var playerId = Context.ConnectionId;
+            var session = await _gameStateService.GetSessionAsync(playerId);
+            if (session == null || session.State.GameOver || !session.State.PlayersReady || session.State.ForfeitedBy != 0)
+            {
+                return;
+            }
+
+            session.State.ForfeitedBy = session.Player1Id == playerId ? 1 : 2;
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+            _logger.LogInformation($"Player {playerId} forfeited session {session.SessionId}.");
+        }
+
+        // Reclaim a seat in a running match from a new connection (after an automatic reconnect)
+        public async Task RejoinMatch(string sessionToken)
+        {
+            var playerId = Context.ConnectionId;
+            var session = await _gameStateService.GetSessionByTokenAsync(sessionToken);
+            if (session == null || session.State.GameOver)
+            {
+                _logger.LogInformation($"Player {playerId} tried to rejoin with an unknown or finished session.");
+                await Clients.Caller.SendAsync("RejoinFailed");
+                return;
             }
+
+            int side = session.Player1Token == sessionToken ? 1 : 2;
+            string expectedUserId = side == 1 ? session.Player1UserId : session.Player2UserId;
+            if (!string.IsNullOrEmpty(expectedUserId) && expectedUserId != Context.UserIdentifier)
+            {
+                _logger.LogWarning($"Player {playerId} presented a session token that belongs to another user.");
+                await Clients.Caller.SendAsync("RejoinFailed");
+                return;
+            }
+            string oldPlayerId = side == 1 ? session.Player1Id : session.Player2Id;
+            if (oldPlayerId != playerId)
+            {
+                await _gameStateService.ReplacePlayerConnectionAsync(session, oldPlayerId, playerId);
+                await Groups.AddToGroupAsync(playerId, MatchGroup(session.MatchId));
+            }
+
+            // Resume with a countdown once nobody is missing any more
+            if (side == 1)
+                session.Player1Disconnected = false;
             else
+                session.Player2Disconnected = false;
+            long resumeInMs = 0;
+            if (!session.Player1Disconnected && !session.Player2Disconnected && session.State.Paused)
             {
-                // Update the cached position
-                paddleInfo.Position = targetY;
-                _playerPaddlePositions[playerId] = paddleInfo;
+                resumeInMs = _resumeCountdownSeconds * 1000L;
+                session.State.Paused = false;
+                session.State.ReconnectDeadline = 0;
+                session.State.ResumeAt = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds() + resumeInMs;
             }
-            
-            // OPTIMIZATION: Directly notify opponent of paddle movement for real-time updates
-            // This happens every time without throttling for best responsiveness
-            if (!string.IsNullOrEmpty(_playerSessionMap[playerId]))
-            {
-                // Find the opponent
-                var sessionId = _playerSessionMap[playerId];
-                string? opponentId = null;
-                
-                // Get opponent based on our side
-                if (paddleInfo.Side == 1)
-                {
-                    // We're player 1, find player 2
-                    opponentId = _playerSessionMap.FirstOrDefault(p => 
-                        p.Value == sessionId && p.Key != playerId).Key;
-                }
-                else
-                {
-                    // We're player 2, find player 1
-                    opponentId = _playerSessionMap.FirstOrDefault(p => 
-                        p.Value == sessionId && p.Key != playerId).Key;
-                }
-                
-                // If found, send paddle update directly
-                if (!string.IsNullOrEmpty(opponentId) && opponentId != null && !opponentId.StartsWith("bot_"))
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+            _logger.LogInformation($"Player {playerId} rejoined session {session.SessionId} as side {side}.");
+
+            string opponentId = side == 1 ? session.Player2Id : session.Player1Id;
+            bool isBot = opponentId.StartsWith("bot_");
+            await Clients.Caller.SendAsync("MatchResumed", new
+            {
+                side,
+                opponent = session.GetDisplayName(side == 1 ? 2 : 1),
+                isBot,
+                sessionToken,
+                resumeInMs,
+                state = session.State
+            });
+            if (!isBot)
+            {
+                await Clients.Client(opponentId).SendAsync("OpponentReconnected", new { resumeInMs });
+            }
+        }
+
+        // A player can be in one lobby and not in a running match or the matchmaking queue at the same time
+        private async Task<bool> CanEnterLobbyAsync(string playerId)
+        {
+            var existingSession = await _gameStateService.GetSessionAsync(playerId);
+            if (existingSession != null && !existingSession.State.GameOver)
+            {
+                await Clients.Caller.SendAsync("AlreadyInGame");
+                return false;
+            }
+            if (existingSession != null)
+            {
+                await LeaveFinishedMatchAsync(existingSession, playerId);
+            }
+            await _matchmakingService.CancelAsync(playerId);
+            await LeaveLobbyAsync(playerId);
+            return true;
+        }
+
+        private async Task LeaveLobbyAsync(string connectionId)
+        {
+            var lobby = _lobbyService.Leave(connectionId);
+            if (lobby == null)
+            {
+                return;
+            }
+            if (lobby.HostId == connectionId)
+            {
+                if (!string.IsNullOrEmpty(lobby.GuestId))
                 {
-                    await Clients.Client(opponentId).SendAsync("OpponentPaddleInput", targetY);
+                    await Clients.Client(lobby.GuestId).SendAsync("LobbyClosed");
                 }
             }
+            else
+            {
+                await Clients.Client(lobby.HostId).SendAsync("LobbyUpdated", _lobbyService.GetInfo(lobby));
+            }
         }
 
-        public async Task KeepAlive()
+        private async Task SendLobbyUpdateAsync(Models.Lobby lobby)
         {
-            _logger.LogDebug($"Received keepalive from {Context.ConnectionId}");
-            await Clients.Caller.SendAsync("Pong", System.DateTime.UtcNow);
+            var info = _lobbyService.GetInfo(lobby);
+            await Clients.Client(lobby.HostId).SendAsync("LobbyUpdated", info);
+            if (!string.IsNullOrEmpty(lobby.GuestId))
+            {
+                await Clients.Client(lobby.GuestId).SendAsync("LobbyUpdated", info);
+            }
         }
 
-        public async Task RequestStartGame()
+        // Ask for another game against the same opponent once the match is over.
+        // The rematch starts when both players asked (immediately against the bot).
+        public async Task RequestRematch()
         {
             var playerId = Context.ConnectionId;
             var session = await _gameStateService.GetSessionAsync(playerId);
-            if (session != null)
+            if (session == null || !session.State.GameOver || session.Player1Disconnected || session.Player2Disconnected)
             {
-                if (session.Player1Id == playerId)
-                    session.State.LeftPlayerReady = true;
-                else if (session.Player2Id == playerId)
-                    session.State.RightPlayerReady = true;
+                // The opponent already left or never came back (or there is nothing to rematch)
+                await Clients.Caller.SendAsync("RematchDeclined");
+                return;
+            }
 
+            int side = session.Player1Id == playerId ? 1 : 2;
+            if (side == 1)
+                session.Player1WantsRematch = true;
+            else
+                session.Player2WantsRematch = true;
+
+            string opponentId = side == 1 ? session.Player2Id : session.Player1Id;
+            bool isBot = opponentId.StartsWith("bot_");
+            if (!isBot && !(session.Player1WantsRematch && session.Player2WantsRematch))
+            {
                 await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+                _logger.LogInformation($"Player {playerId} requested a rematch in session {session.SessionId}.");
+                await Clients.Client(opponentId).SendAsync("RematchRequested");
+                return;
+            }
 
-                // Optionally notify both players when both are ready
-                if (session.State.PlayersReady)
-                {
-                    await Clients.Client(session.Player1Id).SendAsync("GameStarted");
-                    if (!session.Player2Id.StartsWith("bot_"))
-                        await Clients.Client(session.Player2Id).SendAsync("GameStarted");
-                }
+            // Same seats, fresh state; both players already agreed, so there is no ready check, only the countdown
+            _logger.LogInformation($"Starting rematch for session {session.SessionId}.");
+            // Keep the match rules (bot and private matches may use their own)
+            session.State = GameEngine.CreateInitialState(session.State.Rules);
+            session.Player1WantsRematch = false;
+            session.Player2WantsRematch = false;
+            session.ResultRecorded = false;
+            session.Player1PauseUsedMs = 0;
+            session.Player2PauseUsedMs = 0;
+            session.State.LeftPlayerReady = true;
+            session.State.RightPlayerReady = true;
+            var started = BeginStartCountdown(session);
+            await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+
+            await Clients.Client(session.Player1Id).SendAsync("MatchFound", new
+            {
+                opponent = session.GetDisplayName(2),
+                side = 1,
+                isBot,
+                sessionToken = session.Player1Token,
+                rematch = true
+            });
+            if (!isBot)
+            {
+                await Clients.Client(session.Player2Id).SendAsync("MatchFound", new { opponent = session.GetDisplayName(1), side = 2, sessionToken = session.Player2Token, rematch = true });
+            }
+            await SendGameStartedAsync(session, started);
+        }
+
+        // Leave a finished match (back to the lobby or on to a new opponent)
+        public async Task LeaveMatch()
+        {
+            var playerId = Context.ConnectionId;
+            var session = await _gameStateService.GetSessionAsync(playerId);
+            if (session != null && session.State.GameOver)
+            {
+                await LeaveFinishedMatchAsync(session, playerId);
+            }
+        }
+
+        // Remove a finished session and tell a waiting opponent that no rematch is coming
+        private async Task LeaveFinishedMatchAsync(Models.GameSession session, string playerId)
+        {
+            string opponentId = session.Player1Id == playerId ? session.Player2Id : session.Player1Id;
+            await _gameStateService.RemoveSessionAsync(session);
+            await Groups.RemoveFromGroupAsync(playerId, MatchGroup(session.MatchId));
+            _logger.LogInformation($"Player {playerId} left finished session {session.SessionId}.");
+            if (!opponentId.StartsWith("bot_"))
+            {
+                await Clients.Client(opponentId).SendAsync("RematchDeclined");
+            }
+        }
+
+        // Chat message to both players of the caller's match (rate limited and filtered)
+        public async Task SendChatMessage(string text)
+        {
+            var playerId = Context.ConnectionId;
+            var session = await _gameStateService.GetSessionAsync(playerId);
+            if (session == null)
+                return;
+
+            if (!_chatService.TryConsumeRateLimit(playerId))
+            {
+                await Clients.Caller.SendAsync("ChatRejected", new { reason = "rateLimited" });
+                return;
+            }
+            var message = _chatService.PrepareMessage(text);
+            if (message == null)
+            {
+                await Clients.Caller.SendAsync("ChatRejected", new { reason = "filtered" });
+                return;
+            }
+
+            int side = session.Player1Id == playerId ? 1 : 2;
+            await Clients.Group(MatchGroup(session.MatchId)).SendAsync("ChatMessage", new
+            {
+                side,
+                sender = session.GetDisplayName(side),
+                text = message,
+                sentAt = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds()
+            });
+        }
+
+        // Quick emote shown over the sender's paddle; shares the chat rate limit
+        public async Task SendEmote(string emote)
+        {
+            var playerId = Context.ConnectionId;
+            var session = await _gameStateService.GetSessionAsync(playerId);
+            if (session == null || !ChatService.Emotes.Contains(emote))
+                return;
+
+            if (!_chatService.TryConsumeRateLimit(playerId))
+            {
+                await Clients.Caller.SendAsync("ChatRejected", new { reason = "rateLimited" });
+                return;
+            }
+
+            int side = session.Player1Id == playerId ? 1 : 2;
+            await Clients.Group(MatchGroup(session.MatchId)).SendAsync("Emote", new { side, emote });
+        }
+
+        public async Task<List<Models.LiveMatchInfo>> GetLiveMatches()
+        {
+            var sessions = await _gameStateService.GetLiveSessionsAsync();
+            return sessions.Select(Models.LiveMatchInfo.FromSession).ToList();
+        }
+
+        // Watch a match read-only: the caller joins the match's spectator group and gets its GameUpdates.
+        // Returns the match summary and current state, or null if the match is not live (or is the caller's own).
+        public async Task<object?> SpectateMatch(string matchId)
+        {
+            var connectionId = Context.ConnectionId;
+            var session = await _gameStateService.GetSessionByMatchIdAsync(matchId);
+            if (session == null || session.State.GameOver ||
+                session.Player1Id == connectionId || session.Player2Id == connectionId)
+            {
+                return null;
+            }
+
+            await StopSpectating();
+            await Groups.AddToGroupAsync(connectionId, SpectatorGroup(session.MatchId));
+            await _gameStateService.AddSpectatorAsync(connectionId, session);
+            return new { match = Models.LiveMatchInfo.FromSession(session), state = session.State };
+        }
+
+        public async Task StopSpectating()
+        {
+            var connectionId = Context.ConnectionId;
+            var session = await _gameStateService.RemoveSpectatorAsync(connectionId);
+            if (session != null)
+            {
+                await Groups.RemoveFromGroupAsync(connectionId, SpectatorGroup(session.MatchId));
+                _logger.LogInformation($"Spectator {connectionId} left match {session.MatchId}.");
             }
         }
 
@@ -181,29 +640,56 @@ namespace AzureOnlinePongGame
             var connectionId = Context.ConnectionId;
             _logger.LogInformation($"Client disconnected: {connectionId}");
 
-            // Clean up cached paddle updates and mappings
-            _playerPaddlePositions.TryRemove(connectionId, out _);
-            _playerSessionMap.TryRemove(connectionId, out _);
-
             await _gameStateService.RemoveFromMatchmakingAsync(connectionId);
+            await _gameStateService.RemoveSpectatorAsync(connectionId);
+            _chatService.ForgetSender(connectionId);
+            await LeaveLobbyAsync(connectionId);
 
             var session = await _gameStateService.GetSessionAsync(connectionId);
-            if (session != null && !session.State.GameOver)
+            if (session != null && !session.State.GameOver && session.State.ReadyDeadline > 0)
             {
-                _logger.LogInformation($"Player {connectionId} disconnected during active game session. Ending session.");
-                session.State.GameOver = true;
-                session.State.Winner = session.Player1Id == connectionId ? 2 : 1;
+                // Nothing to hold before play started: end the ready check now, GameLoopService cancels the match
+                _logger.LogInformation($"Player {connectionId} disconnected during the ready check of session {session.SessionId}.");
+                if (session.Player1Id == connectionId)
+                    session.Player1Disconnected = true;
+                else
+                    session.Player2Disconnected = true;
+                session.State.ReadyDeadline = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+                await _gameStateService.UpdateSessionForBothPlayersAsync(session);
+            }
+            else if (session != null && !session.State.GameOver)
+            {
+                // Hold the match instead of ending it: the player may come back through RejoinMatch.
+                // GameLoopService ends the match if the reconnect deadline passes.
+                _logger.LogInformation($"Player {connectionId} disconnected during active game session. Pausing for {_reconnectGraceSeconds}s.");
+                int side = session.Player1Id == connectionId ? 1 : 2;
+                long reconnectInMs = _reconnectGraceSeconds * 1000L;
+                if (side == 1)
+                    session.Player1Disconnected = true;
+                else
+                    session.Player2Disconnected = true;
+                // A running pause gives way to the reconnect hold
+                if (session.State.PausedBy != 0)
+                    session.EndPause(DateTimeOffset.UtcNow.ToUnixTimeMilliseconds(), _resumeCountdownSeconds * 1000L);
+                session.State.Paused = true;
+                session.State.ResumeAt = 0;
+                session.State.ReconnectDeadline = DateTimeOffset.UtcNow.ToUnixTimeMilliseconds() + reconnectInMs;
                 session.LastUpdateTime = System.DateTime.UtcNow;
 
-                string opponentId = session.Player1Id == connectionId ? session.Player2Id : session.Player1Id;
+                string opponentId = side == 1 ? session.Player2Id : session.Player1Id;
                 if (!opponentId.StartsWith("bot_"))
                 {
-                    await Clients.Client(opponentId).SendAsync("OpponentDisconnected", session.State);
+                    await Clients.Client(opponentId).SendAsync("OpponentReconnecting", new { reconnectInMs });
                 }
 
                 await _gameStateService.UpdateSessionForBothPlayersAsync(session);
             }
+            else if (session != null)
+            {
+                await LeaveFinishedMatchAsync(session, connectionId);
+            }
 
+            _gameStateService.RemovePlayerIdentity(connectionId);
             await base.OnDisconnectedAsync(exception);
         }
     }
@@ -0,0 +1,34 @@
+// Screen-reader announcements through visually hidden live regions (#announcer, #announcer-alert):
+// goals and match results from the board, which a canvas cannot expose, and match and connection news.
+
+import { setAnnouncer } from '../game/game.js';
+
+const FLUSH_DELAY_MS = 100; // Regions are emptied first so an identical message is read again
+
+const queued = { polite: [], urgent: [] };
+let flushTimer = null;
+
+export function setupAnnouncer() {
+    setAnnouncer((text) => announce(text));
+}
+
+// urgent: interrupt whatever the screen reader is reading; otherwise the message waits its turn.
+// Messages within the same moment (a goal that ends the match) are read together.
+export function announce(text, { urgent = false } = {}) {
+    queued[urgent ? 'urgent' : 'polite'].push(text);
+    if (flushTimer !== null) return;
+    for (const id of ['announcer', 'announcer-alert']) {
+        const region = document.getElementById(id);
+        if (region) region.textContent = '';
+    }
+    flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+}
+
+function flush() {
+    flushTimer = null;
+    for (const [id, key] of [['announcer', 'polite'], ['announcer-alert', 'urgent']]) {
+        const region = document.getElementById(id);
+        if (region && queued[key].length > 0) region.textContent = queued[key].join(' ');
+        queued[key] = [];
+    }
+}
@@ -0,0 +1,108 @@
+// In-match chat panel and quick emotes
+// Messages and emotes go through the hub, which rate limits and filters them and fans them out to the match group.
+
+import { showEmote } from '../game/game.js';
+import { subscribeToMatch, sendChatMessage, sendEmote, HubEvents } from '../services/signalr.js';
+import { showToast } from './ui.js';
+
+// Emote IDs (validated by ChatService.Emotes on the server) with their number key and glyph
+export const EMOTES = [
+    { id: 'wave', key: '1', text: '\u{1F44B}' },
+    { id: 'thumbsUp', key: '2', text: '\u{1F44D}' },
+    { id: 'laugh', key: '3', text: '\u{1F602}' },
+    { id: 'wow', key: '4', text: '\u{1F62E}' },
+    { id: 'angry', key: '5', text: '\u{1F620}' },
+    { id: 'gg', key: '6', text: 'GG' }
+];
+
+const MAX_CHAT_MESSAGES = 50; // Older messages are dropped from the panel
+
+let ownSide = null; // Our side in the current match, null while no chat is open
+let unsubscribeChat = null;
+
+// Wire the chat input once; the panel stays hidden until a match opens it
+export function setupChat() {
+    const input = document.getElementById('message-input');
+    const sendButton = document.getElementById('send-message');
+    if (!input || !sendButton) return;
+
+    input.maxLength = 200;
+    sendButton.onclick = submitMessage;
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submitMessage();
+        // Keep typing from steering the paddle
+        e.stopPropagation();
+    });
+    document.addEventListener('keydown', onEmoteKey);
+}
+
+// Show the chat for a match we play in; side: 1 = left, 2 = right
+export function openChat(side) {
+    ownSide = side;
+    if (unsubscribeChat) unsubscribeChat();
+    unsubscribeChat = subscribeToMatch({
+        [HubEvents.ChatMessage]: appendMessage,
+        [HubEvents.Emote]: onEmote,
+        [HubEvents.ChatRejected]: ({ reason }) => {
+            showToast(reason === 'rateLimited' ? 'Slow down! Too many messages.' : 'Message not sent', 3000, 'error');
+        }
+    });
+
+    const chat = document.getElementById('chat');
+    if (chat) chat.style.display = 'block';
+}
+
+// Hide the chat and forget the messages of the match
+export function closeChat() {
+    ownSide = null;
+    if (unsubscribeChat) {
+        unsubscribeChat();
+        unsubscribeChat = null;
+    }
+
+    const chat = document.getElementById('chat');
+    if (chat) chat.style.display = 'none';
+    const messages = document.getElementById('messages');
+    if (messages) messages.innerHTML = '';
+}
+
+function submitMessage() {
+    const input = document.getElementById('message-input');
+    const text = input.value.trim();
+    if (!text || ownSide === null) return;
+    sendChatMessage(text);
+    input.value = '';
+}
+
+function appendMessage({ side, sender, text }) {
+    const messages = document.getElementById('messages');
+    if (!messages) return;
+
+    const entry = document.createElement('div');
+    entry.className = side === ownSide ? 'chat-message own' : 'chat-message';
+    const name = document.createElement('strong');
+    name.textContent = side === ownSide ? 'You: ' : `${sender}: `;
+    entry.appendChild(name);
+    entry.appendChild(document.createTextNode(text));
+    messages.appendChild(entry);
+
+    while (messages.children.length > MAX_CHAT_MESSAGES) {
+        messages.removeChild(messages.firstChild);
+    }
+    messages.scrollTop = messages.scrollHeight;
+}
+
+function onEmote({ side, emote }) {
+    const match = EMOTES.find((e) => e.id === emote);
+    if (match) showEmote(side, match.text);
+}
+
+// Number keys send emotes while a match chat is open (not while typing)
+function onEmoteKey(e) {
+    if (ownSide === null || e.repeat) return;
+    const target = e.target;
+    if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT')) return;
+
+    const emote = EMOTES.find((candidate) => candidate.key === e.key);
+    if (emote) sendEmote(emote.id);
+}
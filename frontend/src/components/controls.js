@@ -0,0 +1,50 @@
+// Controls panel: remap the paddle keys (remembered in this browser, see game/input.js).
+// Mouse or touch drag, the on-screen touch zones and gamepads need no setup.
+
+import { KEY_ACTIONS, getKeyBindings, setKeyBinding, resetKeyBindings, describeKey, captureNextKey } from '../game/input.js';
+
+// Wire the controls panel once; it stays hidden until the Controls button opens it
+export function setupControls() {
+    const onClick = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.onclick = handler;
+    };
+    onClick('controls-button', () => {
+        const panel = document.getElementById('controls-panel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        captureNextKey(null);
+        renderBindings();
+    });
+    onClick('close-controls', () => {
+        document.getElementById('controls-panel').style.display = 'none';
+        captureNextKey(null);
+    });
+    onClick('reset-key-bindings', () => {
+        captureNextKey(null);
+        resetKeyBindings();
+        renderBindings();
+    });
+    renderBindings();
+}
+
+function renderBindings() {
+    const container = document.getElementById('key-bindings');
+    if (!container) return;
+    const bindings = getKeyBindings();
+    container.innerHTML = '';
+    for (const { action, label } of KEY_ACTIONS) {
+        const row = document.createElement('label');
+        row.append(label, ' ');
+        const button = document.createElement('button');
+        button.textContent = describeKey(bindings[action]);
+        button.onclick = () => {
+            button.textContent = 'Press a key...';
+            captureNextKey((key) => {
+                if (key) setKeyBinding(action, key);
+                renderBindings();
+            });
+        };
+        row.appendChild(button);
+        container.appendChild(row);
+    }
+}
@@ -0,0 +1,396 @@
+// Debug analyzer: plots a downloaded pong-debug-*.json file (or the live debug history) on a timeline -
+// server vs. predicted ball, per-update latency, prediction corrections, paddle hits, near misses and goals -
+// and replays the frames recorded before a goal. Meant for "the ball went through my paddle" reports.
+
+import { getDebugData, setDebugGoalHandler } from '../game/game.js';
+import { FIELD } from '../game/physics.js';
+import { showToast } from './ui.js';
+
+const LIVE_REFRESH_MS = 500;
+const TIMELINE_PADDING = 40; // Left margin for the lane labels
+const GOAL_REPLAY_SCALE = 0.5;
+
+// Timeline lanes, top to bottom
+const LANES = [
+    { key: 'x', label: 'Ball X', height: 90 },
+    { key: 'y', label: 'Ball Y', height: 90 },
+    { key: 'latency', label: 'Latency', height: 60 },
+    { key: 'events', label: 'Events', height: 40 }
+];
+
+const COLORS = {
+    predicted: '#f9a825',
+    server: '#4dd0e1',
+    latency: '#7986cb',
+    ballCorrection: '#ff9800',
+    paddleCorrection: '#ba68c8',
+    hit: '#4caf50',
+    nearMiss: '#e57373',
+    goal: '#fff'
+};
+
+let data = null; // Debug data being shown (file contents or live snapshot)
+let sourceLabel = '';
+let liveTimer = null;
+let goalReplayFrame = null; // requestAnimationFrame id of the running goal replay
+
+// Wire the analyzer once; it stays hidden until opened from the debug panel
+export function setupDebugAnalyzer() {
+    const onClick = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.onclick = handler;
+    };
+    onClick('open-debug-analyzer', () => showDebugAnalyzer());
+    onClick('debug-analyzer-live', () => showDebugAnalyzer());
+    onClick('close-debug-analyzer', hideDebugAnalyzer);
+
+    const fileInput = document.getElementById('debug-analyzer-file');
+    if (fileInput) {
+        fileInput.onchange = () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (file) loadFile(file);
+            fileInput.value = '';
+        };
+    }
+
+    const timeline = document.getElementById('debug-timeline');
+    if (timeline) timeline.onmousemove = (e) => describeTimelinePoint(e);
+
+    // Goals clicked in the debug panel open here, on the live data
+    setDebugGoalHandler((goal, index) => {
+        showDebugAnalyzer();
+        selectGoal(goal, index);
+    });
+}
+
+// Open the analyzer on the live debug history
+export function showDebugAnalyzer() {
+    const panel = document.getElementById('debug-analyzer');
+    if (!panel) return;
+    panel.style.display = 'block';
+    startLive();
+}
+
+export function hideDebugAnalyzer() {
+    stopLive();
+    stopGoalReplay();
+    const panel = document.getElementById('debug-analyzer');
+    if (panel) panel.style.display = 'none';
+}
+
+function startLive() {
+    stopLive();
+    sourceLabel = 'live';
+    refreshLive();
+    liveTimer = setInterval(refreshLive, LIVE_REFRESH_MS);
+    document.getElementById('debug-analyzer-live').classList.add('active');
+}
+
+function stopLive() {
+    if (liveTimer !== null) {
+        clearInterval(liveTimer);
+        liveTimer = null;
+    }
+    const liveButton = document.getElementById('debug-analyzer-live');
+    if (liveButton) liveButton.classList.remove('active');
+}
+
+function refreshLive() {
+    showData(getDebugData());
+}
+
+async function loadFile(file) {
+    let parsed;
+    try {
+        parsed = JSON.parse(await file.text());
+    } catch (err) {
+        showToast('Not a debug file: ' + err.message, 5000, 'error');
+        return;
+    }
+    if (!parsed || !Array.isArray(parsed.ballHistory)) {
+        showToast('Not a debug file: ballHistory is missing', 5000, 'error');
+        return;
+    }
+    stopLive();
+    stopGoalReplay();
+    sourceLabel = file.name;
+    showData(parsed);
+    document.getElementById('debug-goal-details').textContent = '';
+}
+
+// Files from older builds lack serverUpdates and corrections; treat them as empty
+function showData(debugData) {
+    data = {
+        ...debugData,
+        goals: debugData.goals || [],
+        ballHistory: debugData.ballHistory || [],
+        paddleHistory: debugData.paddleHistory || [],
+        collisionChecks: debugData.collisionChecks || [],
+        serverUpdates: debugData.serverUpdates || [],
+        corrections: debugData.corrections || []
+    };
+    document.getElementById('debug-analyzer-source').textContent = sourceLabel;
+    drawTimeline();
+    renderGoalList();
+}
+
+// Time range covered by the data: { start, end } in ms
+function getTimeRange() {
+    const times = [
+        ...data.ballHistory.map((b) => b.time),
+        ...data.serverUpdates.map((u) => u.time),
+        ...data.collisionChecks.map((c) => c.time),
+        ...data.corrections.map((c) => c.time)
+    ];
+    if (times.length === 0) return null;
+    let start = Infinity;
+    let end = -Infinity;
+    for (const time of times) {
+        if (time < start) start = time;
+        if (time > end) end = time;
+    }
+    return { start, end: Math.max(end, start + 1) };
+}
+
+function drawTimeline() {
+    const canvas = document.getElementById('debug-timeline');
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    const range = getTimeRange();
+    ctx.font = '11px monospace';
+    if (!range) {
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'center';
+        ctx.fillText('No debug history yet - play a match with Debug Mode on', canvas.width / 2, canvas.height / 2);
+        return;
+    }
+
+    const plotWidth = canvas.width - TIMELINE_PADDING;
+    const toX = (time) => TIMELINE_PADDING + ((time - range.start) / (range.end - range.start)) * plotWidth;
+
+    let top = 0;
+    const lanes = {};
+    for (const lane of LANES) {
+        lanes[lane.key] = { top, height: lane.height };
+        ctx.strokeStyle = '#333';
+        ctx.strokeRect(TIMELINE_PADDING, top, plotWidth, lane.height);
+        ctx.fillStyle = '#888';
+        ctx.textAlign = 'left';
+        ctx.fillText(lane.label, 2, top + 12);
+        top += lane.height;
+    }
+
+    // Ball position: what we rendered (predicted) vs. what the server sent
+    const plotLine = (lane, points, max, color) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        let started = false;
+        for (const [time, value] of points) {
+            if (value === null || value === undefined) continue;
+            const y = lane.top + lane.height - (value / max) * lane.height;
+            if (started) ctx.lineTo(toX(time), y);
+            else ctx.moveTo(toX(time), y);
+            started = true;
+        }
+        ctx.stroke();
+    };
+    plotLine(lanes.x, data.ballHistory.map((b) => [b.time, b.x]), FIELD.width, COLORS.predicted);
+    plotLine(lanes.x, data.serverUpdates.map((u) => [u.time, u.serverX]), FIELD.width, COLORS.server);
+    plotLine(lanes.y, data.ballHistory.map((b) => [b.time, b.y]), FIELD.height, COLORS.predicted);
+    plotLine(lanes.y, data.serverUpdates.map((u) => [u.time, u.serverY]), FIELD.height, COLORS.server);
+
+    // Latency per server update
+    const maxLatency = Math.max(100, ...data.serverUpdates.map((u) => u.latency || 0));
+    ctx.fillStyle = COLORS.latency;
+    for (const update of data.serverUpdates) {
+        const barHeight = (Math.max(0, update.latency || 0) / maxLatency) * (lanes.latency.height - 14);
+        ctx.fillRect(toX(update.time), lanes.latency.top + lanes.latency.height - barHeight, 1.5, barHeight);
+    }
+    ctx.fillStyle = '#888';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${maxLatency}ms`, canvas.width - 4, lanes.latency.top + 12);
+
+    // Events: corrections on the top half, paddle hits and near misses on the bottom half
+    const events = lanes.events;
+    const half = events.height / 2;
+    for (const correction of data.corrections) {
+        ctx.fillStyle = correction.type === 'ball' ? COLORS.ballCorrection : COLORS.paddleCorrection;
+        ctx.fillRect(toX(correction.time) - 1, events.top + 2, 2, half - 4);
+    }
+    for (const check of data.collisionChecks) {
+        ctx.fillStyle = check.nearMiss ? COLORS.nearMiss : COLORS.hit;
+        ctx.fillRect(toX(check.time) - 1, events.top + half + 2, 2, half - 4);
+    }
+
+    // Goals across all lanes
+    ctx.strokeStyle = COLORS.goal;
+    ctx.setLineDash([4, 4]);
+    data.goals.forEach((goal, index) => {
+        const time = Date.parse(goal.timestamp);
+        if (time < range.start || time > range.end) return;
+        const x = toX(time);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, top);
+        ctx.stroke();
+        ctx.fillStyle = COLORS.goal;
+        ctx.textAlign = 'center';
+        ctx.fillText(`G${index + 1}`, x, top + 12);
+    });
+    ctx.setLineDash([]);
+
+    // Time axis in seconds from the start of the data
+    ctx.fillStyle = '#888';
+    ctx.textAlign = 'left';
+    ctx.fillText('0s', TIMELINE_PADDING, canvas.height - 4);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${((range.end - range.start) / 1000).toFixed(1)}s`, canvas.width - 4, canvas.height - 4);
+}
+
+// Show the server update under the mouse: server vs. predicted ball and its latency
+function describeTimelinePoint(e) {
+    const info = document.getElementById('debug-timeline-info');
+    const range = data && getTimeRange();
+    if (!info || !range) return;
+
+    const canvas = e.currentTarget;
+    const bounds = canvas.getBoundingClientRect();
+    const x = ((e.clientX - bounds.left) / bounds.width) * canvas.width;
+    if (x < TIMELINE_PADDING) return;
+    const time = range.start + ((x - TIMELINE_PADDING) / (canvas.width - TIMELINE_PADDING)) * (range.end - range.start);
+    const seconds = ((time - range.start) / 1000).toFixed(2);
+
+    let nearest = null;
+    for (const update of data.serverUpdates) {
+        if (!nearest || Math.abs(update.time - time) < Math.abs(nearest.time - time)) nearest = update;
+    }
+    if (!nearest) {
+        info.textContent = `${seconds}s - no server updates (local game)`;
+        return;
+    }
+    let text = `${seconds}s - server ball ${Math.round(nearest.serverX)},${Math.round(nearest.serverY)}`;
+    if (nearest.predictedX !== null && nearest.predictedX !== undefined) {
+        const deviation = Math.hypot(nearest.serverX - nearest.predictedX, nearest.serverY - nearest.predictedY);
+        text += `, predicted ${Math.round(nearest.predictedX)},${Math.round(nearest.predictedY)} (off by ${Math.round(deviation)}px)`;
+    }
+    info.textContent = `${text}, latency ${nearest.latency}ms`;
+}
+
+function renderGoalList() {
+    const list = document.getElementById('debug-analyzer-goals');
+    list.innerHTML = '';
+    if (data.goals.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'No goals recorded';
+        list.appendChild(empty);
+        return;
+    }
+    data.goals.forEach((goal, index) => {
+        const item = document.createElement('li');
+        const time = goal.timestamp ? goal.timestamp.split('T')[1].slice(0, 8) : '';
+        item.textContent = `G${index + 1}. ${goal.scorer} scored ${time}`;
+        item.onclick = () => selectGoal(goal, index);
+        list.appendChild(item);
+    });
+}
+
+// Show a goal's details and replay the frames recorded before it
+function selectGoal(goal, index) {
+    const lines = [
+        `Goal ${index + 1}: ${goal.scorer} scored`,
+        `Ball: ${Math.round(goal.ballX)},${Math.round(goal.ballY)} moving ${goal.ballVX.toFixed(2)},${goal.ballVY.toFixed(2)}`,
+        `Paddle Y (frontend): ${Math.round(goal.playerY)}`
+    ];
+    if (goal.serverPaddleY !== undefined && goal.serverPaddleY !== null) {
+        lines.push(`Paddle Y (backend): ${Math.round(goal.serverPaddleY)}, delta ${Math.abs(Math.round(goal.playerY) - Math.round(goal.serverPaddleY))}`);
+    }
+    const checks = goal.recentCollisionChecks || [];
+    const nearMisses = checks.filter((c) => c.nearMiss);
+    lines.push(`Collision checks before the goal: ${checks.length - nearMisses.length} hits, ${nearMisses.length} near misses`);
+    for (const miss of nearMisses) {
+        lines.push(`  near miss by ${Math.round(miss.distance)}px at ball ${Math.round(miss.ballX)},${Math.round(miss.ballY)}, paddle ${Math.round(miss.paddleY)}`);
+    }
+    document.getElementById('debug-goal-details').textContent = lines.join('\n');
+    playGoalReplay(goal);
+}
+
+// Play the goal's ball and paddle path at the pace it was recorded
+function playGoalReplay(goal) {
+    stopGoalReplay();
+    const canvas = document.getElementById('debug-goal-replay');
+    const ballPath = goal.ballPath || [];
+    const paddlePath = goal.paddlePath || [];
+    if (!canvas || ballPath.length === 0) return;
+
+    const ctx = canvas.getContext('2d');
+    const start = ballPath[0].time;
+    const duration = ballPath[ballPath.length - 1].time - start;
+    const playbackStart = performance.now();
+
+    const frame = (now) => {
+        const elapsed = Math.min(now - playbackStart, duration);
+        let i = 0;
+        while (i < ballPath.length - 1 && ballPath[i + 1].time - start <= elapsed) i++;
+        drawGoalFrame(ctx, goal, ballPath, paddlePath[Math.min(i, paddlePath.length - 1)], i);
+        goalReplayFrame = elapsed < duration ? requestAnimationFrame(frame) : null;
+    };
+    goalReplayFrame = requestAnimationFrame(frame);
+}
+
+function stopGoalReplay() {
+    if (goalReplayFrame !== null) {
+        cancelAnimationFrame(goalReplayFrame);
+        goalReplayFrame = null;
+    }
+}
+
+function drawGoalFrame(ctx, goal, ballPath, paddles, index) {
+    const s = GOAL_REPLAY_SCALE;
+    ctx.save();
+    ctx.scale(s, s);
+    ctx.fillStyle = '#222';
+    ctx.fillRect(0, 0, FIELD.width, FIELD.height);
+
+    // Ball trail so far
+    ctx.strokeStyle = 'rgba(255, 0, 255, 0.6)';
+    ctx.lineWidth = 2 / s;
+    ctx.beginPath();
+    for (let i = 0; i <= index; i++) {
+        const point = ballPath[i];
+        if (i === 0) ctx.moveTo(point.x + FIELD.ballSize / 2, point.y + FIELD.ballSize / 2);
+        else ctx.lineTo(point.x + FIELD.ballSize / 2, point.y + FIELD.ballSize / 2);
+    }
+    ctx.stroke();
+
+    // Paddle checks near the goal: green hits, red near misses
+    for (const check of goal.recentCollisionChecks || []) {
+        ctx.fillStyle = check.nearMiss ? 'rgba(229, 115, 115, 0.6)' : 'rgba(76, 175, 80, 0.6)';
+        ctx.beginPath();
+        ctx.arc(check.ballX + FIELD.ballSize / 2, check.ballY + FIELD.ballSize / 2, FIELD.ballSize, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    if (paddles) {
+        const leftY = paddles.side === 1 ? paddles.playerY : paddles.opponentY;
+        const rightY = paddles.side === 1 ? paddles.opponentY : paddles.playerY;
+        ctx.fillStyle = paddles.side === 1 ? '#4caf50' : '#fff';
+        ctx.fillRect(16, leftY, FIELD.paddleWidth, FIELD.paddleHeight);
+        ctx.fillStyle = paddles.side === 2 ? '#4caf50' : '#fff';
+        ctx.fillRect(FIELD.width - 32, rightY, FIELD.paddleWidth, FIELD.paddleHeight);
+    }
+
+    // Backend paddle at the time of the goal, outlined
+    if (goal.serverPaddleY !== undefined && goal.serverPaddleY !== null) {
+        ctx.strokeStyle = COLORS.server;
+        const x = goal.playerSide === 2 ? FIELD.width - 32 : 16;
+        ctx.strokeRect(x, goal.serverPaddleY, FIELD.paddleWidth, FIELD.paddleHeight);
+    }
+
+    const ball = ballPath[index];
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(ball.x, ball.y, FIELD.ballSize, FIELD.ballSize);
+    ctx.restore();
+}
@@ -0,0 +1,123 @@
+// Display settings panel: board theme, visual effects and accessibility aids, remembered in this browser.
+// When the system asks for reduced motion every effect stays off, whatever is saved.
+
+import { setDisplaySettings } from '../game/game.js';
+import { THEMES, DEFAULT_THEME } from '../game/themes.js';
+import { EFFECT_OPTIONS, DEFAULT_EFFECTS } from '../game/effects.js';
+
+const DISPLAY_KEY = 'pong.display'; // { theme, effects: { trails, particles, shake, scorePop }, accessibility }
+
+const ACCESSIBILITY_OPTIONS = [
+    { key: 'markPaddle', label: 'Striped outline on your paddle' },
+    { key: 'ballIndicator', label: 'Ball height markers on the sides' },
+    { key: 'slowBall', label: 'Slower ball (local and bot games)' }
+];
+const DEFAULT_ACCESSIBILITY = Object.freeze({ markPaddle: false, ballIndicator: false, slowBall: false });
+
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+// Wire the display panel once and apply the saved settings; the panel stays hidden until opened
+export function setupDisplaySettings() {
+    const onClick = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.onclick = handler;
+    };
+    onClick('display-button', () => {
+        const panel = document.getElementById('display-panel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+    onClick('close-display', () => {
+        document.getElementById('display-panel').style.display = 'none';
+    });
+    onClick('reset-display', () => {
+        localStorage.removeItem(DISPLAY_KEY);
+        renderSettings();
+    });
+    reducedMotion.addEventListener('change', renderSettings);
+    renderSettings();
+}
+
+function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(DISPLAY_KEY) || '{}');
+        return {
+            theme: THEMES[saved.theme] ? saved.theme : DEFAULT_THEME,
+            effects: { ...DEFAULT_EFFECTS, ...saved.effects },
+            accessibility: { ...DEFAULT_ACCESSIBILITY, ...saved.accessibility }
+        };
+    } catch {
+        return { theme: DEFAULT_THEME, effects: { ...DEFAULT_EFFECTS }, accessibility: { ...DEFAULT_ACCESSIBILITY } };
+    }
+}
+
+// Whether new local and bot games should start with the slower-ball assist (see applySlowBallAssist)
+export function isSlowBallAssistOn() {
+    return loadSettings().accessibility.slowBall === true;
+}
+
+function saveSettings(settings) {
+    localStorage.setItem(DISPLAY_KEY, JSON.stringify(settings));
+    applySettings(settings);
+}
+
+function applySettings(settings) {
+    const effects = { ...settings.effects };
+    if (reducedMotion.matches) {
+        for (const key of Object.keys(effects)) effects[key] = false;
+    }
+    setDisplaySettings({ theme: settings.theme, effects, accessibility: settings.accessibility });
+}
+
+// Build the form from the saved settings and apply them to the board
+function renderSettings() {
+    const settings = loadSettings();
+    applySettings(settings);
+
+    const container = document.getElementById('display-settings');
+    if (!container) return;
+    container.innerHTML = '';
+
+    const themeLabel = document.createElement('label');
+    themeLabel.append('Theme ');
+    const select = document.createElement('select');
+    for (const [id, preset] of Object.entries(THEMES)) select.add(new Option(preset.name, id));
+    select.value = settings.theme;
+    select.onchange = () => saveSettings({ ...loadSettings(), theme: select.value });
+    themeLabel.appendChild(select);
+    container.appendChild(themeLabel);
+
+    for (const { key, label } of EFFECT_OPTIONS) {
+        const row = document.createElement('label');
+        row.append(label, ' ');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = settings.effects[key] && !reducedMotion.matches;
+        input.disabled = reducedMotion.matches;
+        input.onchange = () => {
+            const current = loadSettings();
+            saveSettings({ ...current, effects: { ...current.effects, [key]: input.checked } });
+        };
+        row.appendChild(input);
+        container.appendChild(row);
+    }
+
+    const heading = document.createElement('h4');
+    heading.textContent = 'Accessibility';
+    container.appendChild(heading);
+    for (const { key, label } of ACCESSIBILITY_OPTIONS) {
+        const row = document.createElement('label');
+        row.append(label, ' ');
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = settings.accessibility[key];
+        input.onchange = () => {
+            const current = loadSettings();
+            saveSettings({ ...current, accessibility: { ...current.accessibility, [key]: input.checked } });
+        };
+        row.appendChild(input);
+        container.appendChild(row);
+    }
+
+    const note = document.getElementById('display-motion-note');
+    if (note) note.style.display = reducedMotion.matches ? 'block' : 'none';
+}
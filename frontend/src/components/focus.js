@@ -0,0 +1,66 @@
+// Keyboard focus for the menu panels: opening a panel moves focus into it, closing it returns focus to
+// whatever had it before, and Escape closes the panel that has focus. Each component still shows and
+// hides its own panel with style.display; this only watches for those changes.
+
+// Panel id -> its close button (null: the panel closes through its own actions)
+const PANELS = {
+    'live-matches': 'close-live-matches',
+    'match-rules-panel': 'close-match-rules',
+    'controls-panel': 'close-controls',
+    'display-panel': 'close-display',
+    'sound-panel': 'close-sound',
+    'leaderboard-panel': 'close-leaderboard',
+    'replays-panel': 'close-replays',
+    'debug-analyzer': 'close-debug-analyzer',
+    'lobby-panel': null,
+    'ready-panel': null,
+    'game-over-panel': null
+};
+
+const FOCUSABLE = 'button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), a[href]';
+
+export function setupPanelFocus() {
+    for (const [id, closeId] of Object.entries(PANELS)) {
+        const panel = document.getElementById(id);
+        if (panel) watchPanel(panel, closeId);
+    }
+}
+
+function isOpen(panel) {
+    return panel.style.display !== 'none';
+}
+
+function watchPanel(panel, closeId) {
+    // Name the panel after its heading for screen readers
+    const heading = panel.querySelector('h2, h3');
+    if (heading) {
+        if (!heading.id) heading.id = `${panel.id}-title`;
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-labelledby', heading.id);
+    }
+
+    let open = isOpen(panel);
+    let opener = null; // Focused element when the panel opened
+    new MutationObserver(() => {
+        if (isOpen(panel) === open) return;
+        open = isOpen(panel);
+        if (open) {
+            opener = document.activeElement;
+            const first = panel.querySelector(FOCUSABLE);
+            if (first) first.focus();
+            return;
+        }
+        // Hiding the focused element drops focus to the page; only then hand it back
+        const focusLost = !document.activeElement || document.activeElement === document.body || panel.contains(document.activeElement);
+        if (focusLost && opener && opener.isConnected && !opener.disabled) opener.focus();
+        opener = null;
+    }).observe(panel, { attributes: true, attributeFilter: ['style'] });
+
+    if (closeId) {
+        panel.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            e.stopPropagation();
+            document.getElementById(closeId)?.click();
+        });
+    }
+}
@@ -0,0 +1,91 @@
+// Leaderboard panel: top players page by page, or the ranks around your own
+
+import { fetchTopPlayers, fetchAroundMe } from '../services/leaderboard.js';
+import { getCurrentUser } from '../services/auth.js';
+import { showToast } from './ui.js';
+
+const PAGE_SIZE = 20;
+const AROUND_ME_RADIUS = 5;
+
+let view = 'top'; // 'top' or 'me'
+let offset = 0;
+let total = 0;
+
+// Wire the panel's buttons once; the panel stays hidden until showLeaderboard()
+export function setupLeaderboard() {
+    const onClick = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.onclick = handler;
+    };
+    onClick('leaderboard-top', () => loadView('top', 0));
+    onClick('leaderboard-me', () => loadView('me', 0));
+    onClick('leaderboard-prev', () => loadView('top', Math.max(0, offset - PAGE_SIZE)));
+    onClick('leaderboard-next', () => loadView('top', offset + PAGE_SIZE));
+    onClick('close-leaderboard', hideLeaderboard);
+}
+
+export function showLeaderboard() {
+    const panel = document.getElementById('leaderboard-panel');
+    if (!panel) return;
+    panel.style.display = 'block';
+    loadView(view, view === 'top' ? offset : 0);
+}
+
+export function hideLeaderboard() {
+    const panel = document.getElementById('leaderboard-panel');
+    if (panel) panel.style.display = 'none';
+}
+
+async function loadView(nextView, nextOffset) {
+    let page;
+    try {
+        page = nextView === 'top'
+            ? await fetchTopPlayers(nextOffset, PAGE_SIZE)
+            : await fetchAroundMe(AROUND_ME_RADIUS);
+    } catch (err) {
+        showToast('Could not load the leaderboard: ' + err.message, 5000, 'error');
+        return;
+    }
+    view = nextView;
+    offset = nextOffset;
+    total = page.total;
+    renderPage(page.entries);
+}
+
+function renderPage(entries) {
+    document.getElementById('leaderboard-top').classList.toggle('active', view === 'top');
+    document.getElementById('leaderboard-me').classList.toggle('active', view === 'me');
+    document.getElementById('leaderboard-prev').disabled = view !== 'top' || offset === 0;
+    document.getElementById('leaderboard-next').disabled = view !== 'top' || offset + PAGE_SIZE >= total;
+    document.getElementById('leaderboard-page').textContent = view === 'top' && total > 0
+        ? `${offset + 1}-${Math.min(offset + PAGE_SIZE, total)} of ${total}`
+        : '';
+
+    const body = document.getElementById('leaderboard-rows');
+    body.innerHTML = '';
+    if (entries.length === 0) {
+        const row = body.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 5;
+        cell.textContent = view === 'me' ? 'Play an online match to get ranked' : 'No rated matches yet';
+        return;
+    }
+
+    const ownId = getCurrentUser()?.id;
+    for (const entry of entries) {
+        const row = body.insertRow();
+        if (entry.userId === ownId) row.className = 'own';
+        row.insertCell().textContent = `#${entry.rank}`;
+        row.insertCell().textContent = entry.displayName;
+        row.insertCell().textContent = entry.rating;
+        row.insertCell().textContent = `${entry.wins}-${entry.losses}`;
+        const form = row.insertCell();
+        form.className = 'form';
+        for (const result of entry.recentForm) {
+            const letter = document.createElement('span');
+            letter.className = result === 'W' ? 'win' : 'loss';
+            letter.textContent = result;
+            form.appendChild(letter);
+        }
+    }
+}
@@ -0,0 +1,135 @@
+// Private lobby panel: create a lobby and share its code or invite link, or join a friend's
+// The host picks the match rules and starts the match; both players then get the usual MatchFound.
+
+import {
+    connect,
+    on,
+    createPrivateLobby,
+    joinPrivateLobby,
+    setLobbyRules,
+    startPrivateMatch,
+    leavePrivateLobby,
+    HubEvents,
+    ConnectionEvents,
+    SignalRConnectionState
+} from '../services/signalr.js';
+import { showToast } from './ui.js';
+import { getMatchRules, renderRulesForm } from './matchRules.js';
+import { describeRules } from '../game/rules.js';
+
+let lobby = null; // LobbyInfo of the lobby we are in, null when not in one
+let isHost = false;
+
+// Wire the panel once; it stays hidden until a lobby is created or joined
+export function setupLobby() {
+    on(HubEvents.LobbyUpdated, (info) => {
+        if (!lobby) return;
+        lobby = info;
+        renderLobby();
+    });
+    on(HubEvents.LobbyClosed, () => {
+        if (!lobby) return;
+        closeLobbyPanel();
+        showToast('The host closed the lobby');
+    });
+    // The match replaces the lobby
+    on(HubEvents.MatchFound, () => {
+        if (lobby) closeLobbyPanel();
+    });
+    // The server drops the lobby memberships of a lost connection
+    on(ConnectionEvents.StateChanged, (state) => {
+        if (lobby && state !== SignalRConnectionState.Connected) {
+            closeLobbyPanel();
+            showToast('Connection lost, left the private lobby', 5000, 'error');
+        }
+    });
+
+    const onClick = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.onclick = handler;
+    };
+    onClick('lobby-start', () => startPrivateMatch());
+    onClick('lobby-leave', leaveLobby);
+    onClick('lobby-copy-link', copyInviteLink);
+}
+
+export async function createLobby() {
+    if (!(await connect())) return;
+    const info = await createPrivateLobby();
+    if (!info) {
+        showToast('Could not create a private game', 5000, 'error');
+        return;
+    }
+    openLobbyPanel(info, true);
+    // Start from the rules picked for local and bot games
+    sendRules(getMatchRules());
+}
+
+// Join with a code (from an index.html?join=CODE invite link)
+export async function joinLobby(code) {
+    if (!(await connect())) return;
+    const info = await joinPrivateLobby(code);
+    if (!info) {
+        showToast(`Private game ${code} was not found or is already full`, 5000, 'error');
+        return;
+    }
+    openLobbyPanel(info, false);
+    showToast(`Joined ${info.host}'s private game`);
+}
+
+export function leaveLobby() {
+    if (!lobby) return;
+    leavePrivateLobby();
+    closeLobbyPanel();
+}
+
+export function isInLobby() {
+    return lobby !== null;
+}
+
+export function getInviteUrl(code) {
+    return `${window.location.origin}${window.location.pathname}?join=${encodeURIComponent(code)}`;
+}
+
+function openLobbyPanel(info, host) {
+    lobby = info;
+    isHost = host;
+    renderLobby();
+    document.getElementById('lobby-panel').style.display = 'block';
+}
+
+function closeLobbyPanel() {
+    lobby = null;
+    isHost = false;
+    document.getElementById('lobby-panel').style.display = 'none';
+}
+
+function renderLobby() {
+    document.getElementById('lobby-code').textContent = lobby.code;
+    document.getElementById('lobby-players').textContent = lobby.guest
+        ? `${lobby.host} vs ${lobby.guest} - ${describeRules(lobby.rules)}`
+        : `${lobby.host} - waiting for a friend to join with code ${lobby.code}`;
+
+    renderRulesForm(document.getElementById('lobby-rules'), lobby.rules, { disabled: !isHost, onChange: sendRules });
+
+    const start = document.getElementById('lobby-start');
+    start.style.display = isHost ? '' : 'none';
+    start.disabled = !lobby.guest;
+}
+
+function sendRules(rules) {
+    if (!lobby || !isHost) return;
+    setLobbyRules(rules);
+}
+
+async function copyInviteLink() {
+    if (!lobby) return;
+    const url = getInviteUrl(lobby.code);
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast('Invite link copied');
+    } catch {
+        // Clipboard access can be blocked; show the link instead
+        window.prompt('Share this invite link', url);
+    }
+}
@@ -0,0 +1,92 @@
+// Match rules form: the rules panel sets the rules of local and bot games (remembered in this browser),
+// and the host of a private lobby edits the lobby's rules with the same form.
+
+import { DEFAULT_MATCH_RULES, SERVE_MODES, normalizeRules } from '../game/rules.js';
+
+const RULES_KEY = 'pong.matchRules'; // Rules for local and bot games
+
+// Form fields: checkboxes for booleans, selects with these choices for the rest
+const RULE_FIELDS = [
+    { key: 'pointsToWin', label: 'Points to win', choices: [[3, '3'], [5, '5'], [7, '7'], [11, '11'], [21, '21']] },
+    { key: 'winByTwo', label: 'Win by two' },
+    { key: 'serve', label: 'Serve', choices: SERVE_MODES.map((mode) => [mode, { random: 'Random', alternate: 'Alternate', loser: 'Loser serves' }[mode]]) },
+    { key: 'ballSpeed', label: 'Ball speed', choices: [[4, 'Slow'], [6, 'Normal'], [8, 'Fast'], [10, 'Very Fast']] },
+    { key: 'speedUpPerHit', label: 'Speed-up per hit', choices: [[0, 'None'], [0.25, 'Small'], [0.5, 'Medium'], [1, 'Large']] },
+    { key: 'maxBallSpeed', label: 'Top speed', choices: [[8, '8'], [12, '12'], [16, '16'], [20, '20']] },
+    { key: 'maxBounceAngle', label: 'Max bounce angle', choices: [[30, '30°'], [45, '45°'], [60, '60°'], [75, '75°']] },
+    { key: 'arcade', label: 'Arcade power-ups' }
+];
+
+// Wire the rules panel once; it stays hidden until the Rules button opens it
+export function setupMatchRules() {
+    const onClick = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.onclick = handler;
+    };
+    onClick('match-rules-button', () => {
+        const panel = document.getElementById('match-rules-panel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+    onClick('close-match-rules', () => {
+        document.getElementById('match-rules-panel').style.display = 'none';
+    });
+    onClick('reset-match-rules', () => {
+        localStorage.removeItem(RULES_KEY);
+        renderSavedRules();
+    });
+    renderSavedRules();
+}
+
+// Rules for the next local or bot game
+export function getMatchRules() {
+    try {
+        return normalizeRules(JSON.parse(localStorage.getItem(RULES_KEY) || '{}'));
+    } catch {
+        return normalizeRules(DEFAULT_MATCH_RULES);
+    }
+}
+
+function renderSavedRules() {
+    const container = document.getElementById('match-rules');
+    if (!container) return;
+    renderRulesForm(container, getMatchRules(), {
+        onChange: (rules) => localStorage.setItem(RULES_KEY, JSON.stringify(rules))
+    });
+}
+
+// Fill container with the rules form; onChange(rules) runs with the complete rules after every edit
+export function renderRulesForm(container, rules, { disabled = false, onChange = null } = {}) {
+    container.innerHTML = '';
+    for (const field of RULE_FIELDS) {
+        const label = document.createElement('label');
+        label.append(field.label, ' ');
+        let input;
+        if (field.choices) {
+            input = document.createElement('select');
+            const choices = [...field.choices];
+            // Keep a value set elsewhere (e.g. by another client) visible even if it is not a preset
+            if (!choices.some(([value]) => value === rules[field.key])) choices.push([rules[field.key], String(rules[field.key])]);
+            for (const [value, text] of choices) input.add(new Option(text, String(value)));
+            input.value = String(rules[field.key]);
+        } else {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = rules[field.key];
+        }
+        input.dataset.rule = field.key;
+        input.disabled = disabled;
+        if (onChange) input.onchange = () => onChange(readRulesForm(container));
+        label.appendChild(input);
+        container.appendChild(label);
+    }
+}
+
+export function readRulesForm(container) {
+    const rules = {};
+    for (const input of container.querySelectorAll('[data-rule]')) {
+        const key = input.dataset.rule;
+        if (input.type === 'checkbox') rules[key] = input.checked;
+        else rules[key] = key === 'serve' ? input.value : Number(input.value);
+    }
+    return normalizeRules(rules);
+}
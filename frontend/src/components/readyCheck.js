@@ -0,0 +1,76 @@
+// Ready check between MatchFound and the start countdown: shows who the opponent is and waits until both
+// players pressed Ready (RequestStartGame). The server cancels the match when the time runs out.
+
+import { requestStartGame } from '../services/signalr.js';
+import { describeRules, normalizeRules } from '../game/rules.js';
+
+let side = 1; // Our side in the match being readied
+let deadline = 0; // Local time the ready check runs out
+let timer = null;
+let ownReady = false;
+let opponentReady = false;
+
+// Wire the panel once; it stays hidden until a match is found
+export function setupReadyCheck() {
+    const button = document.getElementById('ready-button');
+    if (button) button.onclick = pressReady;
+}
+
+export function isReadyCheckOpen() {
+    const panel = document.getElementById('ready-panel');
+    return !!panel && panel.style.display !== 'none';
+}
+
+// matchInfo: MatchFound payload ({ opponent, opponentRating, side, isBot, readyTimeoutMs, rules })
+export function showReadyCheck(matchInfo) {
+    side = matchInfo.side;
+    ownReady = false;
+    opponentReady = !!matchInfo.isBot;
+    deadline = Date.now() + (matchInfo.readyTimeoutMs || 0);
+
+    const rating = matchInfo.opponentRating ? ` (rating ${matchInfo.opponentRating})` : '';
+    document.getElementById('ready-opponent').textContent = `Opponent: ${matchInfo.opponent || 'Opponent'}${rating}`;
+    const rules = matchInfo.rules ? describeRules(normalizeRules(matchInfo.rules)) : '';
+    document.getElementById('ready-rules').textContent = `${rules}${rules ? ' - ' : ''}you play on the ${side === 1 ? 'left' : 'right'}`;
+    const button = document.getElementById('ready-button');
+    button.disabled = false;
+    button.textContent = 'Ready';
+
+    document.getElementById('ready-panel').style.display = 'block';
+    clearInterval(timer);
+    timer = setInterval(renderStatus, 1000);
+    renderStatus();
+}
+
+// ReadyStatus from the server: { leftReady, rightReady }
+export function updateReadyCheck(status) {
+    opponentReady = side === 1 ? status.rightReady : status.leftReady;
+    renderStatus();
+}
+
+export function hideReadyCheck() {
+    clearInterval(timer);
+    timer = null;
+    const panel = document.getElementById('ready-panel');
+    if (panel) panel.style.display = 'none';
+}
+
+function pressReady() {
+    ownReady = true;
+    const button = document.getElementById('ready-button');
+    button.disabled = true;
+    button.textContent = 'Waiting...';
+    requestStartGame();
+    renderStatus();
+}
+
+function renderStatus() {
+    const secondsLeft = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+    let text;
+    if (ownReady) {
+        text = opponentReady ? 'Both ready, starting...' : `Waiting for your opponent (${secondsLeft}s)`;
+    } else {
+        text = `${opponentReady ? 'Your opponent is ready. ' : ''}Press Ready within ${secondsLeft}s`;
+    }
+    document.getElementById('ready-status').textContent = text;
+}
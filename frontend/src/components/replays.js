@@ -0,0 +1,198 @@
+// Replays panel: every finished match is recorded and kept in this browser (services/replayStore.js);
+// a replay plays back on the game canvas with play/pause, scrubbing, speed and jump-to-goal controls.
+
+import { startReplay, stopReplay, setReplayListener } from '../game/game.js';
+import { isSupportedReplay } from '../game/replay.js';
+import { saveReplay, listReplays, getReplay, deleteReplay } from '../services/replayStore.js';
+import { on, HubEvents } from '../services/signalr.js';
+import { showToast, leaveCurrentView } from './ui.js';
+
+let player = null; // Replay player while a replay is open
+let seeking = false; // The user is dragging the scrubber
+
+// Wire the panel and the controls once; both stay hidden until used
+export function setupReplays() {
+    setReplayListener(async (replay) => {
+        try {
+            await saveReplay(replay);
+            if (isPanelOpen()) refreshList();
+        } catch (err) {
+            console.warn('Could not save the replay:', err);
+        }
+    });
+    // A match replaces the replay on the board
+    on(HubEvents.MatchFound, () => {
+        if (player) closeReplay();
+    });
+
+    const onClick = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.onclick = handler;
+    };
+    onClick('close-replays', hideReplays);
+    onClick('replay-toggle', togglePlayback);
+    onClick('replay-close', closeReplay);
+
+    const seek = document.getElementById('replay-seek');
+    if (seek) {
+        seek.oninput = () => {
+            seeking = true;
+            if (player) player.seek(Number(seek.value));
+        };
+        seek.onchange = () => {
+            seeking = false;
+        };
+    }
+    const speed = document.getElementById('replay-speed');
+    if (speed) speed.onchange = () => player && player.setSpeed(Number(speed.value));
+    const goals = document.getElementById('replay-goals');
+    if (goals) {
+        goals.onchange = () => {
+            if (player && goals.value !== '') {
+                player.jumpToGoal(Number(goals.value));
+                player.play();
+            }
+            goals.value = '';
+        };
+    }
+
+    // Space toggles playback unless the user is typing
+    document.addEventListener('keydown', (e) => {
+        if (!player || e.key !== ' ') return;
+        const tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || tag === 'BUTTON') return;
+        e.preventDefault();
+        togglePlayback();
+    });
+}
+
+export async function showReplays() {
+    const panel = document.getElementById('replays-panel');
+    if (!panel) return;
+    panel.style.display = 'block';
+    await refreshList();
+}
+
+export function hideReplays() {
+    const panel = document.getElementById('replays-panel');
+    if (panel) panel.style.display = 'none';
+}
+
+export function isReplayOpen() {
+    return player !== null;
+}
+
+export function closeReplay() {
+    if (!player) return;
+    player = null;
+    stopReplay();
+    document.getElementById('replay-controls').style.display = 'none';
+}
+
+function isPanelOpen() {
+    const panel = document.getElementById('replays-panel');
+    return !!panel && panel.style.display !== 'none';
+}
+
+async function refreshList() {
+    let replays;
+    try {
+        replays = await listReplays();
+    } catch (err) {
+        showToast('Could not load replays: ' + err.message, 5000, 'error');
+        return;
+    }
+
+    const list = document.getElementById('replay-list');
+    list.innerHTML = '';
+    if (replays.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'Finished matches show up here';
+        list.appendChild(empty);
+        return;
+    }
+
+    for (const replay of replays) {
+        const item = document.createElement('li');
+        const summary = document.createElement('span');
+        summary.className = 'replay-summary';
+        const { names, result } = replay;
+        summary.textContent = `${names.left} ${result.leftScore} - ${result.rightScore} ${names.right} (${formatTime(replay.duration)}) `;
+        const date = document.createElement('span');
+        date.className = 'replay-date';
+        date.textContent = new Date(replay.createdAt).toLocaleString();
+        summary.appendChild(date);
+
+        const watch = document.createElement('button');
+        watch.textContent = 'Watch';
+        watch.onclick = () => openReplay(replay.id);
+        const remove = document.createElement('button');
+        remove.textContent = 'Delete';
+        remove.onclick = async () => {
+            await deleteReplay(replay.id);
+            refreshList();
+        };
+
+        item.append(summary, watch, remove);
+        list.appendChild(item);
+    }
+}
+
+async function openReplay(id) {
+    let replay;
+    try {
+        replay = await getReplay(id);
+    } catch (err) {
+        showToast('Could not load the replay: ' + err.message, 5000, 'error');
+        return;
+    }
+    if (!isSupportedReplay(replay)) {
+        showToast('This replay was recorded by an older version and cannot be played', 5000, 'error');
+        return;
+    }
+
+    leaveCurrentView();
+    const started = startReplay(replay, updateControls);
+    if (!started) {
+        showToast('Replays can be watched once the current match is over');
+        return;
+    }
+    hideReplays();
+    player = started;
+    player.setSpeed(Number(document.getElementById('replay-speed').value));
+
+    const seek = document.getElementById('replay-seek');
+    seek.max = String(replay.duration);
+    seek.value = '0';
+    seeking = false;
+
+    const goals = document.getElementById('replay-goals');
+    goals.innerHTML = '';
+    goals.add(new Option(replay.goals.length > 0 ? 'Jump to goal...' : 'No goals', ''));
+    replay.goals.forEach((goal, index) => {
+        const scorer = goal.scorer === 1 ? replay.names.left : replay.names.right;
+        goals.add(new Option(`${index + 1}. ${scorer} at ${formatTime(goal.time)}`, String(index)));
+    });
+    goals.disabled = replay.goals.length === 0;
+
+    document.getElementById('replay-controls').style.display = 'flex';
+}
+
+function togglePlayback() {
+    if (player) player.toggle();
+}
+
+// Called by the replay loop after every frame
+function updateControls(current) {
+    if (current !== player) return;
+    document.getElementById('replay-toggle').textContent = current.playing ? 'Pause' : 'Play';
+    if (!seeking) document.getElementById('replay-seek').value = String(Math.round(current.time));
+    document.getElementById('replay-time').textContent =
+        `${formatTime(current.time)} / ${formatTime(current.replay.duration)}`;
+}
+
+// m:ss
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
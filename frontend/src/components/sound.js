@@ -0,0 +1,74 @@
+// Sound panel: master and effect volume plus mute, remembered in this browser (see game/audio.js).
+
+import { setupAudio, setAudioSettings, DEFAULT_AUDIO_SETTINGS } from '../game/audio.js';
+
+const SOUND_KEY = 'pong.audio'; // { master, sfx, muted }
+
+// Wire the sound panel once and apply the saved settings; the panel stays hidden until opened
+export function setupSound() {
+    setupAudio();
+
+    const onClick = (id, handler) => {
+        const element = document.getElementById(id);
+        if (element) element.onclick = handler;
+    };
+    onClick('sound-button', () => {
+        const panel = document.getElementById('sound-panel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+    onClick('close-sound', () => {
+        document.getElementById('sound-panel').style.display = 'none';
+    });
+    onClick('reset-sound', () => {
+        localStorage.removeItem(SOUND_KEY);
+        renderSettings();
+    });
+
+    for (const id of ['sound-master', 'sound-sfx', 'sound-muted']) {
+        const input = document.getElementById(id);
+        if (input) input.oninput = saveFromForm;
+    }
+    renderSettings();
+}
+
+function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SOUND_KEY) || '{}');
+        const volume = (value, fallback) => (Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback);
+        return {
+            master: volume(saved.master, DEFAULT_AUDIO_SETTINGS.master),
+            sfx: volume(saved.sfx, DEFAULT_AUDIO_SETTINGS.sfx),
+            muted: saved.muted === true
+        };
+    } catch {
+        return { ...DEFAULT_AUDIO_SETTINGS };
+    }
+}
+
+function renderSettings() {
+    const settings = loadSettings();
+    setAudioSettings(settings);
+    const master = document.getElementById('sound-master');
+    const sfx = document.getElementById('sound-sfx');
+    const muted = document.getElementById('sound-muted');
+    if (master) master.value = String(Math.round(settings.master * 100));
+    if (sfx) sfx.value = String(Math.round(settings.sfx * 100));
+    if (muted) muted.checked = settings.muted;
+    updateButton(settings);
+}
+
+function saveFromForm() {
+    const settings = {
+        master: Number(document.getElementById('sound-master').value) / 100,
+        sfx: Number(document.getElementById('sound-sfx').value) / 100,
+        muted: document.getElementById('sound-muted').checked
+    };
+    localStorage.setItem(SOUND_KEY, JSON.stringify(settings));
+    setAudioSettings(settings);
+    updateButton(settings);
+}
+
+function updateButton(settings) {
+    const button = document.getElementById('sound-button');
+    if (button) button.textContent = settings.muted ? 'Sound (muted)' : 'Sound';
+}
@@ -1,11 +1,68 @@
-import { enableMultiplayer, renderMultiplayerState, startLocalGame } from '../game/game.js';
-import { connectSignalR, joinMultiplayer, startBotMatch, SignalRConnectionState } from '../services/signalr.js';
+import {
+    enableMultiplayer,
+    renderMultiplayerState,
+    resyncMultiplayerState,
+    showMatchOverlay,
+    showStartCountdown,
+    hideMatchOverlay,
+    leaveMultiplayer,
+    startSpectating,
+    startLocalGame,
+    togglePause,
+    setOnlinePauseHandler,
+    updatePing
+} from '../game/game.js';
+import {
+    connect,
+    disconnect,
+    getConnectionState,
+    on,
+    subscribeToMatch,
+    joinMatchmaking,
+    cancelMatchmaking,
+    startBotMatch,
+    requestRematch,
+    leaveMatch,
+    getLiveMatches,
+    spectateMatch,
+    stopSpectating,
+    sendPaddleInput,
+    pauseGame,
+    resumeGame,
+    forfeitMatch,
+    setSessionToken,
+    clearSessionToken,
+    HubEvents,
+    ConnectionEvents,
+    SignalRConnectionState
+} from '../services/signalr.js';
+import { setupChat, openChat, closeChat } from './chat.js';
+import { setupLeaderboard, showLeaderboard } from './leaderboard.js';
+import { setupLobby, createLobby, leaveLobby, isInLobby } from './lobby.js';
+import { setupReplays, showReplays, isReplayOpen, closeReplay } from './replays.js';
+import { setupDebugAnalyzer } from './debugAnalyzer.js';
+import { setupMatchRules, getMatchRules } from './matchRules.js';
+import { setupControls } from './controls.js';
+import { setupDisplaySettings, isSlowBallAssistOn } from './display.js';
+import { setupSound } from './sound.js';
+import { setupAnnouncer, announce } from './announcer.js';
+import { setupReadyCheck, showReadyCheck, updateReadyCheck, hideReadyCheck, isReadyCheckOpen } from './readyCheck.js';
+import { setupPanelFocus } from './focus.js';
+import { applySlowBallAssist } from '../game/rules.js';
+import { toggleFullscreen, isFullscreen, isFullscreenSupported } from '../game/viewport.js';
+import { login, logout, getCurrentUser, onAuthChanged, setGuestDisplayName, getGuestDisplayName, isOidcAvailable } from '../services/auth.js';
 
 let multiplayerActive = false;
+let unsubscribeMatch = null; // Removes the handlers of the current online match
+let currentMatch = null; // { side, isBot } of the current online match
+let pausedBySide = 0; // Side that paused the current online match, 0 while it runs
+let spectatedMatchId = null; // Match being watched in spectator mode
+let queued = false; // Waiting in the matchmaking queue
+let connectionLost = false; // The connection dropped and has not come back yet
 
 // Toast notification utility
 let toastContainer = null;
-function showToast(message, duration = 3000, type = 'info') {
+export function showToast(message, duration = 3000, type = 'info') {
     if (!toastContainer) {
         toastContainer = document.createElement('div');
         toastContainer.id = 'toast-container';
@@ -16,10 +73,13 @@ function showToast(message, duration = 3000, type = 'info') {
         toastContainer.style.display = 'flex';
         toastContainer.style.flexDirection = 'column';
         toastContainer.style.gap = '12px';
+        // Screen readers read new toasts when they get a moment; errors interrupt (role="alert")
+        toastContainer.setAttribute('aria-live', 'polite');
         document.body.appendChild(toastContainer);
     }
     const toast = document.createElement('div');
     toast.className = 'toast-message';
+    if (type === 'error') toast.setAttribute('role', 'alert');
     toast.style.background = (type === 'error') ? '#b71c1c' : 'rgba(40,40,40,0.97)';
     toast.style.color = '#fff';
     toast.style.padding = '14px 28px';
@@ -38,6 +98,15 @@ function showToast(message, duration = 3000, type = 'info') {
     }, duration);
 }
 
+// Status line below the game controls
+function setConnectionStatus(text, color) {
+    const connectionStatus = document.getElementById('connection-status');
+    if (!connectionStatus) return;
+    connectionStatus.textContent = text;
+    connectionStatus.style.backgroundColor = color;
+    connectionStatus.style.display = 'block';
+}
+
 function showConnectionLostBanner(state) {
     // Only show a toast now, not a banner
     const msg = (state === SignalRConnectionState.Reconnecting)
@@ -84,69 +153,571 @@ function onConnectionError(err) {
     showErrorBanner(msg);
 }
 
+// Wire a click handler if the button exists on this page
+function onClick(id, handler) {
+    const element = document.getElementById(id);
+    if (element) element.onclick = handler;
+}
+
+function setMultiplayerButtons(disabled, label) {
+    const playVsPlayer = document.getElementById('play-vs-player');
+    const playVsBot = document.getElementById('play-vs-bot');
+    playVsPlayer.disabled = disabled;
+    playVsBot.disabled = disabled;
+    playVsPlayer.innerText = label && disabled ? label : 'Play vs Player';
+    playVsBot.innerText = 'Play vs Bot';
+}
+
+// Connect the shared client and run an action once connected
+async function startOnline(statusText, action) {
+    if (multiplayerActive) return;
+    leaveCurrentView();
+    multiplayerActive = true;
+    setMultiplayerButtons(true, 'Connecting...');
+    setConnectionStatus('Connecting to server...', '#f9a825');
+
+    const connected = await connect();
+    if (!connected) {
+        multiplayerActive = false;
+        setMultiplayerButtons(false);
+        return;
+    }
+    setConnectionStatus(statusText, '#4caf50');
+    action();
+}
+
+// Fullscreen button; hidden where the Fullscreen API is not available (e.g. iPhone Safari)
+function setupFullscreenToggle() {
+    const button = document.getElementById('fullscreen-toggle');
+    if (!button) return;
+    if (!isFullscreenSupported()) {
+        button.style.display = 'none';
+        return;
+    }
+    button.onclick = () => toggleFullscreen().catch((err) => {
+        showToast('Fullscreen is not available: ' + err.message, 5000, 'error');
+    });
+    document.addEventListener('fullscreenchange', () => {
+        button.textContent = isFullscreen() ? 'Exit Fullscreen' : 'Fullscreen';
+    });
+}
+
+// Matchmaking region from the browser's time zone ("Europe/Berlin" -> "Europe")
+function getMatchmakingRegion() {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+    return timeZone.includes('/') ? timeZone.split('/')[0] : 'global';
+}
+
+function findOpponent() {
+    startOnline('Connected, waiting for opponent...', () => joinMatchmaking(getMatchmakingRegion()));
+}
+
 // Handles UI button events and visibility
 export function setupUI() {
-    document.getElementById('play-vs-local').onclick = () => {
+    setConnectionStatus('Disconnected', '#d32f2f');
+    setupChat();
+    setupLeaderboard();
+    setupLobby();
+    setupReplays();
+    setupDebugAnalyzer();
+    setupMatchRules();
+    setupControls();
+    setupDisplaySettings();
+    setupSound();
+    setupAnnouncer();
+    setupReadyCheck();
+    setupPanelFocus();
+
+    // Connection-wide events (independent of any match)
+    on(ConnectionEvents.StateChanged, onConnectionStateChange);
+    on(ConnectionEvents.Error, onConnectionError);
+    on(ConnectionEvents.Ping, updatePing);
+    on(HubEvents.WaitingForOpponent, onWaitingForOpponent);
+    on(HubEvents.QueueStatus, onQueueStatus);
+    on(HubEvents.MatchFound, onMatchFound);
+    on(HubEvents.MatchResumed, onMatchResumed);
+    on(HubEvents.RejoinFailed, () => {
+        // Also the end of a ready check we dropped out of: the server cancelled that match
+        if (isReadyCheckOpen()) exitReadyCheck();
+        clearSessionToken();
+        hideMatchOverlay();
+        setConnectionStatus('Could not resume the match', '#d32f2f');
+        showToast('Could not resume the match', 5000, 'error');
+    });
+    setOnlinePauseHandler(() => {
+        if (!currentMatch) return;
+        if (pausedBySide === 0) pauseGame();
+        else if (pausedBySide === currentMatch.side) resumeGame();
+    });
+    on(HubEvents.AlreadyInGame, () => {
+        setQueueControls(false);
+        setConnectionStatus('Already in an active game!', '#f9a825');
+        multiplayerActive = false;
+        setMultiplayerButtons(false);
+    });
+
+    onClick('play-vs-local', () => {
         // Reset any active multiplayer state
+        leaveCurrentView();
         multiplayerActive = false;
-        document.getElementById('play-vs-player').disabled = false;
-        document.getElementById('play-vs-player').innerText = 'Play Online';
-        document.getElementById('play-vs-bot').disabled = false;
-        document.getElementById('play-vs-bot').innerText = 'Play vs Bot';
+        setMultiplayerButtons(false);
         
-        // Start local game
-        startLocalGame();
-        showToast('Starting local game');
-    };
+        // Start local game in the selected mode
+        const mode = document.getElementById('local-mode').value;
+        const difficulty = document.getElementById('ai-difficulty').value;
+        startLocalGame({ mode, aiDifficulty: difficulty, rules: assistedRules() });
+        setMatchButtons(true, false);
+        showToast(mode === 'versus' ? 'Starting local 2-player game' : 'Starting local game');
+    });
     
-    document.getElementById('play-vs-ai').onclick = () => showToast('Play vs AI not implemented');
-    document.getElementById('play-vs-player').onclick = async () => {
-        if (!multiplayerActive) {
-            multiplayerActive = true;
-            document.getElementById('play-vs-player').disabled = true;
-            document.getElementById('play-vs-player').innerText = 'Connecting...';
-            await connectSignalR(onGameUpdate, onMatchFound, onConnectionStateChange, onConnectionError, onWaitingForOpponent);
-            joinMultiplayer();
-        }
-    };
-    document.getElementById('play-vs-bot').onclick = async () => {
-        if (!multiplayerActive) {
-            multiplayerActive = true;
-            document.getElementById('play-vs-bot').disabled = true;
-            document.getElementById('play-vs-bot').innerText = 'Connecting...';
-            await connectSignalR(onGameUpdate, onMatchFound, onConnectionStateChange, onConnectionError, onWaitingForOpponent);
-            startBotMatch();
-        }
-    };
-    document.getElementById('leaderboard').onclick = () => showToast('Leaderboard not implemented');
-    document.getElementById('login').onclick = () => showToast('Login not implemented');
-    document.getElementById('logout').onclick = () => showToast('Logout not implemented');
+    onClick('play-vs-ai', () => {
+        const difficulty = document.getElementById('ai-difficulty').value;
+        leaveCurrentView();
+        multiplayerActive = false;
+        setMultiplayerButtons(false);
+        startLocalGame({ aiDifficulty: difficulty, rules: assistedRules() });
+        setMatchButtons(true, false);
+        showToast(`Starting game vs AI (${difficulty})`);
+    });
+    onClick('play-vs-player', findOpponent);
+    onClick('cancel-matchmaking', async () => {
+        await cancelMatchmaking();
+        setQueueControls(false);
+        multiplayerActive = false;
+        setMultiplayerButtons(false);
+        setConnectionStatus('Search cancelled', '#333');
+    });
+    onClick('play-bot-instead', () => {
+        // The server takes us out of the queue when the bot match starts
+        setQueueControls(false);
+        setConnectionStatus('Starting bot game...', '#4caf50');
+        startBotMatch(assistedRules());
+    });
+    onClick('play-vs-bot', () => startOnline('Connected, starting bot game...', () => startBotMatch(assistedRules())));
+    onClick('create-private', () => {
+        leaveCurrentView();
+        createLobby();
+    });
+    setupFullscreenToggle();
+    onClick('watch-live', showLiveMatches);
+    onClick('refresh-live-matches', showLiveMatches);
+    onClick('close-live-matches', hideLiveMatches);
+    onClick('stop-spectating', () => {
+        exitSpectating();
+        setConnectionStatus('Back in the lobby', '#333');
+    });
+    onClick('pause-match', togglePause);
+    onClick('forfeit-match', () => {
+        if (confirm('Forfeit the match? It counts as a loss.')) forfeitMatch();
+    });
+    onClick('rematch', onRematchClicked);
+    onClick('new-opponent', findOpponent);
+    onClick('return-to-lobby', () => {
+        exitFinishedMatch();
+        setConnectionStatus('Back in the lobby', '#333');
+    });
+    onClick('leaderboard', showLeaderboard);
+    onClick('replays', showReplays);
+    onClick('login', () => {
+        login('oidc').catch((err) => showToast('Sign-in failed: ' + err.message, 5000, 'error'));
+    });
+    onClick('logout', async () => {
+        await logout();
+        showToast('Signed out');
+    });
+    onClick('user-name', renameGuest);
+
+    renderUser(getCurrentUser());
+    onAuthChanged((user) => {
+        renderUser(user);
+        // The hub reads the identity when the connection opens: drop an idle connection so the next one
+        // uses the new token (token changes during a (re)connect are already part of that connection)
+        if (!unsubscribeMatch && getConnectionState() === SignalRConnectionState.Connected) disconnect();
+    });
+}
+
+// Signed-in user (or guest) next to the Sign In / Sign Out buttons
+function renderUser(user) {
+    const signedIn = !!user && user.provider !== 'guest';
+    const label = document.getElementById('user-name');
+    if (label) {
+        label.textContent = user ? user.displayName : 'Guest';
+        label.title = signedIn ? '' : 'Click to change your guest name';
+    }
+    const loginButton = document.getElementById('login');
+    const logoutButton = document.getElementById('logout');
+    if (loginButton) loginButton.style.display = signedIn || !isOidcAvailable() ? 'none' : '';
+    if (logoutButton) logoutButton.style.display = signedIn ? '' : 'none';
+}
+
+async function renameGuest() {
+    const user = getCurrentUser();
+    if (user && user.provider !== 'guest') return;
+    const name = window.prompt('Display name', getGuestDisplayName());
+    if (!name || !name.trim()) return;
+    try {
+        await setGuestDisplayName(name);
+    } catch (err) {
+        showToast('Could not change your name: ' + err.message, 5000, 'error');
+    }
+}
+
+// Rules for a local or bot game: the chosen match rules, slowed down when the slower-ball assist is on
+function assistedRules() {
+    const rules = getMatchRules();
+    return isSlowBallAssistOn() ? applySlowBallAssist(rules) : rules;
 }
 
 function onConnectionStateChange(state) {
     if (state === SignalRConnectionState.Disconnected || state === SignalRConnectionState.Reconnecting) {
+        setConnectionStatus(state === SignalRConnectionState.Reconnecting ? 'Reconnecting...' : 'Disconnected', '#d32f2f');
         showConnectionLostBanner(state);
+        connectionLost = true;
+        // The server drops the queue ticket of a lost connection
+        if (queued) {
+            setQueueControls(false);
+            multiplayerActive = false;
+        }
+        if (unsubscribeMatch && state === SignalRConnectionState.Reconnecting) {
+            showMatchOverlay('Connection lost - reconnecting...');
+        }
     } else if (state === SignalRConnectionState.Connected) {
+        // Connection losses are read out by their error toast
+        if (connectionLost) announce('Connection restored.');
+        connectionLost = false;
         hideConnectionLostBanner();
+        // A reconnect drops the spectator group membership of the old connection
+        if (spectatedMatchId) watchMatch(spectatedMatchId);
     }
 }
 
-function onGameUpdate(gameState) {
-    renderMultiplayerState(gameState);
-}
-
 function onWaitingForOpponent() {
+    setConnectionStatus('Waiting for an opponent...', '#f9a825');
     showToast('Waiting for an opponent...', 5000);
     document.getElementById('play-vs-player').innerText = 'Waiting...';
+    setQueueControls(true);
+}
+
+// Progress of the search, sent every second while queued
+function onQueueStatus(status) {
+    if (!queued) return;
+    const others = Math.max(0, status.playersInQueue - 1);
+    const wait = status.estimatedWaitSeconds == null
+        ? `searching for ${status.waitedSeconds}s`
+        : `about ${status.estimatedWaitSeconds}s left`;
+    setConnectionStatus(`Looking for an opponent rated ${status.minRating}-${status.maxRating}: ${others} other player${others === 1 ? '' : 's'} in queue, ${wait}`, '#f9a825');
+    setQueueControls(true, status.botFallbackAvailable);
+}
+
+// Cancel (and after a while Play a Bot Instead) while waiting in the matchmaking queue
+function setQueueControls(visible, offerBot = false) {
+    queued = visible;
+    document.getElementById('cancel-matchmaking').style.display = visible ? '' : 'none';
+    document.getElementById('play-bot-instead').style.display = visible && offerBot ? '' : 'none';
+}
+
+// Pause is offered in local games and online matches, Forfeit only online
+function setMatchButtons(showPause, showForfeit) {
+    document.getElementById('pause-match').style.display = showPause ? '' : 'none';
+    document.getElementById('forfeit-match').style.display = showForfeit ? '' : 'none';
+}
+
+// Apply a server state; once the match is over forget the session token and offer what to do next
+function onMatchState(state) {
+    renderMultiplayerState(state);
+    if (state && state.gameOver) {
+        clearSessionToken();
+        setMatchButtons(false, false);
+        showGameOverPanel(state);
+    }
+}
+
+// Game over panel: Rematch (both players must accept), New Opponent or back to the Lobby
+function isGameOverPanelOpen() {
+    const panel = document.getElementById('game-over-panel');
+    return !!panel && panel.style.display !== 'none';
+}
+
+function showGameOverPanel(state) {
+    const panel = document.getElementById('game-over-panel');
+    if (!panel || isGameOverPanelOpen()) return;
+    const side = currentMatch ? currentMatch.side : 1;
+    const ownScore = side === 1 ? state.leftScore : state.rightScore;
+    const opponentScore = side === 1 ? state.rightScore : state.leftScore;
+    document.getElementById('game-over-title').textContent = `Final score ${ownScore} - ${opponentScore}`;
+    setGameOverStatus('');
+    if (state.forfeitedBy) setGameOverStatus(state.forfeitedBy === side ? 'You forfeited' : 'Your opponent forfeited');
+    setGameOverRating(null);
+    setRematchButton(false, 'Rematch');
+    panel.style.display = 'block';
+}
+
+function hideGameOverPanel() {
+    const panel = document.getElementById('game-over-panel');
+    if (panel) panel.style.display = 'none';
+}
+
+function setGameOverStatus(text) {
+    const status = document.getElementById('game-over-status');
+    if (status) status.textContent = text;
+}
+
+// New rating after a rated match, e.g. "Rating 1216 (+16)"
+function setGameOverRating(result) {
+    const rating = document.getElementById('game-over-rating');
+    if (!rating) return;
+    rating.textContent = result ? `Rating ${result.rating} (${result.change >= 0 ? '+' : ''}${result.change})` : '';
+}
+
+function setRematchButton(disabled, label) {
+    const button = document.getElementById('rematch');
+    if (!button) return;
+    button.disabled = disabled;
+    button.innerText = label;
+}
+
+function onRematchClicked() {
+    requestRematch();
+    setRematchButton(true, 'Waiting...');
+    if (!currentMatch || !currentMatch.isBot) setGameOverStatus('Waiting for your opponent to accept...');
+}
+
+// Leave a finished or watched match, a private lobby or a replay before starting something else
+export function leaveCurrentView() {
+    if (isReadyCheckOpen()) exitReadyCheck();
+    if (isGameOverPanelOpen()) exitFinishedMatch();
+    if (spectatedMatchId) exitSpectating();
+    if (isInLobby()) leaveLobby();
+    if (isReplayOpen()) closeReplay();
+    setMatchButtons(false, false);
+}
+
+// Spectator mode: list live matches and watch one read-only
+async function showLiveMatches() {
+    const connected = await connect();
+    if (!connected) return;
+    const matches = (await getLiveMatches()) || [];
+    renderLiveMatchList(matches);
+    document.getElementById('live-matches').style.display = 'block';
+}
+
+function hideLiveMatches() {
+    document.getElementById('live-matches').style.display = 'none';
+}
+
+function renderLiveMatchList(matches) {
+    const list = document.getElementById('live-match-list');
+    list.innerHTML = '';
+    if (matches.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'No live matches right now';
+        list.appendChild(empty);
+        return;
+    }
+    for (const match of matches) {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        label.textContent = `${match.player1} ${match.leftScore} - ${match.rightScore} ${match.player2} (${match.viewers} watching)`;
+        const watch = document.createElement('button');
+        watch.innerText = 'Watch';
+        watch.onclick = () => watchMatch(match.matchId);
+        item.appendChild(label);
+        item.appendChild(watch);
+        list.appendChild(item);
+    }
+}
+
+async function watchMatch(matchId) {
+    if (spectatedMatchId && spectatedMatchId !== matchId) exitSpectating();
+    if (isGameOverPanelOpen()) exitFinishedMatch();
+    if (isReplayOpen()) closeReplay();
+
+    const result = await spectateMatch(matchId);
+    if (!result) {
+        if (spectatedMatchId) exitSpectating();
+        showToast('That match is no longer live');
+        showLiveMatches();
+        return;
+    }
+
+    spectatedMatchId = matchId;
+    if (unsubscribeMatch) unsubscribeMatch();
+    unsubscribeMatch = subscribeToMatch({
+        [HubEvents.GameUpdate]: onSpectatedState,
+        [HubEvents.GameOver]: onSpectatedState
+    });
+    startSpectating(result.match, result.state);
+
+    hideLiveMatches();
+    document.getElementById('stop-spectating').style.display = '';
+    setConnectionStatus(`Watching ${result.match.player1} vs ${result.match.player2}`, '#4caf50');
+}
+
+function onSpectatedState(state) {
+    renderMultiplayerState(state);
+    if (state && state.gameOver) setConnectionStatus('Match over', '#333');
+}
+
+function exitSpectating() {
+    stopSpectating();
+    spectatedMatchId = null;
+    if (unsubscribeMatch) {
+        unsubscribeMatch();
+        unsubscribeMatch = null;
+    }
+    document.getElementById('stop-spectating').style.display = 'none';
+    leaveMultiplayer();
+}
+
+// Tell the server we are done with the finished match and reset the board
+function exitFinishedMatch() {
+    leaveMatch();
+    if (unsubscribeMatch) {
+        unsubscribeMatch();
+        unsubscribeMatch = null;
+    }
+    currentMatch = null;
+    hideGameOverPanel();
+    closeChat();
+    leaveMultiplayer();
+}
+
+// Handlers that only make sense while a match is running
+function subscribeToCurrentMatch() {
+    if (unsubscribeMatch) unsubscribeMatch();
+    unsubscribeMatch = subscribeToMatch({
+        [HubEvents.GameUpdate]: onMatchState,
+        [HubEvents.GameOver]: onMatchState,
+        [HubEvents.GameStarted]: onGameStarted,
+        [HubEvents.ReadyStatus]: (status) => {
+            updateReadyCheck(status);
+            const opponentReady = currentMatch && (currentMatch.side === 1 ? status.rightReady : status.leftReady);
+            if (opponentReady) announce('Your opponent is ready.');
+        },
+        [HubEvents.ReadyCheckFailed]: ({ ready }) => {
+            exitReadyCheck();
+            const message = ready ? 'Your opponent did not get ready, match cancelled' : 'You did not press Ready in time, match cancelled';
+            setConnectionStatus(message, '#f9a825');
+            showToast(message, 5000, 'error');
+        },
+        [HubEvents.OpponentDisconnected]: (state) => {
+            setConnectionStatus('Opponent disconnected! Game Over.', '#d32f2f');
+            hideMatchOverlay();
+            onMatchState(state);
+            setGameOverStatus('Your opponent left the match');
+            setRematchButton(true, 'Rematch');
+        },
+        [HubEvents.OpponentReconnecting]: ({ reconnectInMs }) => {
+            pausedBySide = 0; // The server ends a player pause when someone drops
+            setConnectionStatus('Opponent connection lost, waiting for them to return...', '#f9a825');
+            showMatchOverlay('Opponent reconnecting', reconnectInMs);
+        },
+        [HubEvents.OpponentReconnected]: ({ resumeInMs }) => {
+            setConnectionStatus('Opponent is back!', '#4caf50');
+            if (resumeInMs > 0) showMatchOverlay('Resuming in', resumeInMs, { countdown: true });
+            else hideMatchOverlay();
+        },
+        [HubEvents.GamePaused]: ({ side, pauseMs }) => {
+            pausedBySide = side;
+            const own = currentMatch && side === currentMatch.side;
+            showMatchOverlay(own ? 'Paused - press Esc to resume' : 'Opponent paused', pauseMs);
+            setConnectionStatus(own ? 'Game paused' : 'Your opponent paused the game', '#f9a825');
+            announce(own ? 'Game paused.' : 'Your opponent paused the game.');
+        },
+        [HubEvents.GameResumed]: ({ resumeInMs }) => {
+            pausedBySide = 0;
+            setConnectionStatus('Game on!', '#4caf50');
+            showMatchOverlay('Resuming in', resumeInMs, { countdown: true });
+            announce('Game resuming.');
+        },
+        [HubEvents.PauseRejected]: () => {
+            showToast('No pause time left', 3000, 'error');
+        },
+        [HubEvents.RematchRequested]: () => {
+            setGameOverStatus('Your opponent wants a rematch!');
+            const button = document.getElementById('rematch');
+            if (button && !button.disabled) setRematchButton(false, 'Accept Rematch');
+        },
+        [HubEvents.RatingChanged]: setGameOverRating,
+        [HubEvents.RematchDeclined]: () => {
+            setGameOverStatus('Your opponent left the match');
+            setRematchButton(true, 'Rematch');
+        }
+    });
+}
+
+function onMatchResumed(info) {
+    currentMatch = { side: info.side, isBot: !!info.isBot };
+    pausedBySide = info.state ? info.state.pausedBy || 0 : 0;
+    setSessionToken(info.sessionToken);
+    subscribeToCurrentMatch();
+    openChat(info.side);
+    resyncMultiplayerState(info.side, info.state);
+
+    setConnectionStatus(`Match resumed. You are Player ${info.side}`, '#4caf50');
+    announce('Match resumed.');
+    setMatchButtons(true, true);
+    if (info.state && info.state.paused) {
+        showMatchOverlay('Waiting for opponent to reconnect...');
+    } else if (pausedBySide) {
+        showMatchOverlay(pausedBySide === info.side ? 'Paused - press Esc to resume' : 'Opponent paused');
+    } else if (info.resumeInMs > 0) {
+        showMatchOverlay('Resuming in', info.resumeInMs, { countdown: true });
+    } else {
+        hideMatchOverlay();
+    }
+}
+
+// Both players are ready: show the board and count down to the server's start time
+function onGameStarted({ startAt, serverTime }) {
+    if (!currentMatch) return;
+    hideReadyCheck();
+    pausedBySide = 0;
+    enableMultiplayer(currentMatch.side, sendPaddleInput, currentMatch.names);
+    setMatchButtons(true, true);
+    showStartCountdown(startAt, serverTime);
+    setConnectionStatus(`Game on! You are Player ${currentMatch.side}`, '#4caf50');
+    announce('Both players are ready. The match starts in a few seconds.');
+}
+
+// Drop a match that never started (cancelled by the server, or we walked away from the ready check)
+function exitReadyCheck() {
+    hideReadyCheck();
+    if (unsubscribeMatch) {
+        unsubscribeMatch();
+        unsubscribeMatch = null;
+    }
+    currentMatch = null;
+    clearSessionToken();
+    closeChat();
 }
 
 function onMatchFound(matchInfo) {
-    // Enable multiplayer mode in game logic
-    enableMultiplayer(matchInfo.side);
-    showToast('Match found! Starting game...');
-    document.getElementById('play-vs-player').innerText = 'Play Online';
-    document.getElementById('play-vs-player').disabled = false;
-    document.getElementById('play-vs-bot').innerText = 'Play vs Bot';
-    document.getElementById('play-vs-bot').disabled = false;
+    setConnectionStatus(`Game found! You are Player ${matchInfo.side}`, '#4caf50');
+    const ownName = getCurrentUser()?.displayName || 'You';
+    const opponentName = matchInfo.opponent || 'Opponent';
+    const names = matchInfo.side === 1
+        ? { left: ownName, right: opponentName }
+        : { left: opponentName, right: ownName };
+    currentMatch = { side: matchInfo.side, isBot: !!matchInfo.isBot, names };
+    pausedBySide = 0;
+    setQueueControls(false);
+    setMatchButtons(false, false);
+    setSessionToken(matchInfo.sessionToken);
+    subscribeToCurrentMatch();
+    openChat(matchInfo.side);
+    hideGameOverPanel();
+
+    // Play starts with GameStarted: right away for a rematch, after the ready check otherwise
+    if (matchInfo.rematch) {
+        showToast('Rematch! Starting game...');
+        announce(`Rematch against ${opponentName}.`);
+    } else {
+        leaveMultiplayer(); // Idle board under the ready check, also stops a local game still running
+        showReadyCheck(matchInfo);
+        showToast('Match found! Press Ready to start');
+        announce(`Match found against ${opponentName}. You are on the ${matchInfo.side === 1 ? 'left' : 'right'}. Press Ready to start.`);
+    }
+    setMultiplayerButtons(false);
     multiplayerActive = false;
-}
\ No newline at end of file
+}
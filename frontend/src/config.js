@@ -1,2 +1,6 @@
 export const BACKEND_URL = "https://localhost:6001"; // Change this for production
-export const SIGNALR_HUB_URL = `${BACKEND_URL}/pong`; // SignalR hub endpoint
\ No newline at end of file
+export const SIGNALR_HUB_URL = `${BACKEND_URL}/pong`; // SignalR hub endpoint
+export const SIGNALR_RECONNECT_DELAYS_MS = [0, 2000, 5000, 10000, 20000, 30000]; // Automatic reconnect backoff
+export const SIGNALR_PING_INTERVAL_MS = 2000; // Keepalive / ping measurement interval
+export const AUTH_API_URL = `${BACKEND_URL}/api/auth`; // Sign-in options, guest sign-in, OIDC code exchange and token refresh
+export const LEADERBOARD_API_URL = `${BACKEND_URL}/api/leaderboard`; // Ratings ranking (top pages and around the signed-in player)
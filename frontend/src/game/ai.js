@@ -0,0 +1,151 @@
+// ai.js - Local computer opponent with selectable difficulty
+
+import { FIELD } from './physics.js';
+
+// Difficulty presets
+// reactionMs:          how long the AI waits before responding to a new ball trajectory
+// speedFactor:         fraction of the paddle speed the AI may use (server bot uses 0.85)
+// aimError:            max random offset (px) applied to the predicted intercept
+// predictBounces:      whether wall bounces are included in the trajectory prediction
+// angledReturnChance:  probability of deliberately hitting the ball off-center for an angled return
+// recenter:            whether the AI drifts back to the middle while the ball moves away
+export const AI_DIFFICULTIES = {
+    easy: {
+        label: 'Easy',
+        reactionMs: 400,
+        speedFactor: 0.55,
+        aimError: 70,
+        predictBounces: false,
+        angledReturnChance: 0,
+        recenter: false
+    },
+    medium: {
+        label: 'Medium',
+        reactionMs: 250,
+        speedFactor: 0.85,
+        aimError: 35,
+        predictBounces: true,
+        angledReturnChance: 0.2,
+        recenter: true
+    },
+    hard: {
+        label: 'Hard',
+        reactionMs: 130,
+        speedFactor: 1,
+        aimError: 15,
+        predictBounces: true,
+        angledReturnChance: 0.5,
+        recenter: true
+    },
+    insane: {
+        label: 'Insane',
+        reactionMs: 50,
+        speedFactor: 1.2,
+        aimError: 4,
+        predictBounces: true,
+        angledReturnChance: 0.85,
+        recenter: true
+    }
+};
+
+export const DEFAULT_AI_DIFFICULTY = 'medium';
+
+// Predict the ball's Y position (top edge) when it reaches targetX, reflecting off the walls
+export function predictInterceptY(ballX, ballY, ballVX, ballVY, targetX, fieldHeight, ballSize, withBounces = true) {
+    if (ballVX === 0) return ballY;
+
+    const time = (targetX - ballX) / ballVX;
+    if (time < 0) return ballY;
+
+    const rawY = ballY + ballVY * time;
+    const maxY = fieldHeight - ballSize;
+    if (!withBounces) {
+        return Math.max(0, Math.min(maxY, rawY));
+    }
+
+    // Unfold the reflections: the ball travels on a line bouncing in [0, maxY]
+    const period = maxY * 2;
+    let y = ((rawY % period) + period) % period;
+    if (y > maxY) y = period - y;
+    return y;
+}
+
+// Create an AI controller for one paddle
+// side: 1 = left, 2 = right
+// random: optional random source, defaults to Math.random
+export function createAIController(difficulty, side = 2, random = Math.random) {
+    const preset = AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES[DEFAULT_AI_DIFFICULTY];
+    const field = {
+        height: FIELD.height,
+        paddleWidth: FIELD.paddleWidth,
+        paddleHeight: FIELD.paddleHeight,
+        ballSize: FIELD.ballSize,
+        paddleX: side === 1 ? FIELD.leftPaddleX : FIELD.rightPaddleX
+    };
+
+    let targetY = (field.height - field.paddleHeight) / 2;
+    let lastDirection = 0;
+    let reactionTimer = 0;
+    let pendingTarget = null;
+
+    // Pick where on the paddle the ball should land: center for a flat return, near an edge for an angled one
+    function chooseContactOffset() {
+        if (random() >= preset.angledReturnChance) return 0;
+        const edge = field.paddleHeight * 0.35;
+        return random() < 0.5 ? -edge : edge;
+    }
+
+    function computeTarget(ball) {
+        const movingTowards = Math.sign(ball.vx) === Math.sign(field.paddleX - ball.x);
+        if (!movingTowards) {
+            return preset.recenter ? (field.height - field.paddleHeight) / 2 : targetY;
+        }
+
+        const interceptX = ball.vx > 0 ? field.paddleX - field.ballSize : field.paddleX + field.paddleWidth;
+        const interceptY = predictInterceptY(
+            ball.x, ball.y, ball.vx, ball.vy,
+            interceptX, field.height, field.ballSize, preset.predictBounces
+        );
+        const error = (random() * 2 - 1) * preset.aimError;
+        const contactOffset = chooseContactOffset();
+
+        const y = interceptY + field.ballSize / 2 - field.paddleHeight / 2 + error + contactOffset;
+        return Math.max(0, Math.min(field.height - field.paddleHeight, y));
+    }
+
+    return {
+        difficulty: AI_DIFFICULTIES[difficulty] ? difficulty : DEFAULT_AI_DIFFICULTY,
+        preset,
+
+        // Advance the AI by dtMs and return the paddle input for the physics step
+        // paddleHeight: current height of the AI paddle (arcade power-ups change it)
+        update(ball, dtMs, paddleHeight = FIELD.paddleHeight) {
+            field.paddleHeight = paddleHeight;
+            const direction = Math.sign(ball.vx);
+
+            // A new trajectory (serve or return) restarts the reaction delay
+            if (direction !== lastDirection) {
+                lastDirection = direction;
+                reactionTimer = preset.reactionMs;
+                pendingTarget = computeTarget(ball);
+            }
+
+            if (reactionTimer > 0) {
+                reactionTimer -= dtMs;
+                if (reactionTimer <= 0 && pendingTarget !== null) {
+                    targetY = pendingTarget;
+                    pendingTarget = null;
+                }
+            }
+
+            return { targetY, speedFactor: preset.speedFactor };
+        },
+
+        reset() {
+            targetY = (field.height - field.paddleHeight) / 2;
+            lastDirection = 0;
+            reactionTimer = 0;
+            pendingTarget = null;
+        }
+    };
+}
@@ -0,0 +1,123 @@
+// audio.js - Generated sound effects with the Web Audio API (no sound files)
+// Volumes run from 0 to 1; every effect goes through the SFX gain and then the master gain.
+// Browsers only start audio after a user gesture, so the context is created on the first key press or click.
+
+import { FIELD } from './physics.js';
+
+export const DEFAULT_AUDIO_SETTINGS = Object.freeze({ master: 0.8, sfx: 0.8, muted: false });
+
+let context = null;
+let masterGain = null;
+let sfxGain = null;
+let settings = { ...DEFAULT_AUDIO_SETTINGS };
+
+function createContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    context = new AudioContextClass();
+    masterGain = context.createGain();
+    masterGain.connect(context.destination);
+    sfxGain = context.createGain();
+    sfxGain.connect(masterGain);
+    applyVolumes();
+    return context;
+}
+
+function applyVolumes() {
+    if (!context) return;
+    masterGain.gain.value = settings.muted ? 0 : settings.master;
+    sfxGain.gain.value = settings.sfx;
+}
+
+// Create or resume the audio context from a user gesture
+function unlock() {
+    if (!context && !createContext()) return;
+    if (context.state === 'suspended') context.resume().catch(() => {});
+}
+
+// Start audio with the first user gesture
+export function setupAudio() {
+    const options = { capture: true };
+    document.addEventListener('keydown', unlock, options);
+    document.addEventListener('pointerdown', unlock, options);
+}
+
+// next: { master, sfx, muted }, missing values keep their current setting
+export function setAudioSettings(next) {
+    settings = { ...settings, ...next };
+    applyVolumes();
+}
+
+// Stereo position for a field x coordinate: -1 at the left edge, 1 at the right edge
+function panFor(x) {
+    return Math.max(-1, Math.min(1, (x / FIELD.width) * 2 - 1));
+}
+
+// One enveloped tone: frequency glides to `to` (if given) over the duration
+function tone({ frequency, to = null, duration = 0.1, type = 'square', volume = 0.3, pan = 0, delay = 0 }) {
+    if (!context || context.state !== 'running' || settings.muted) return;
+    const start = context.currentTime + delay;
+    const oscillator = context.createOscillator();
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(frequency, start);
+    if (to !== null) oscillator.frequency.exponentialRampToValueAtTime(to, start + duration);
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0, start);
+    envelope.gain.linearRampToValueAtTime(volume, start + 0.005);
+    envelope.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    let output = envelope;
+    if (context.createStereoPanner) {
+        const panner = context.createStereoPanner();
+        panner.pan.value = pan;
+        envelope.connect(panner);
+        output = panner;
+    }
+    oscillator.connect(envelope);
+    output.connect(sfxGain);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.02);
+}
+
+// Faster balls sound higher
+export function playPaddleHit(ballX, speed) {
+    const frequency = Math.min(1200, 320 + speed * 45);
+    tone({ frequency, duration: 0.08, pan: panFor(ballX) });
+}
+
+export function playWallBounce(ballX) {
+    tone({ frequency: 220, duration: 0.06, type: 'triangle', volume: 0.25, pan: panFor(ballX) });
+}
+
+// ours: the listener's side (or a hot-seat player) scored, so the goal sounds rising instead of falling
+export function playGoal(ballX, ours = true) {
+    tone({
+        frequency: ours ? 440 : 330,
+        to: ours ? 880 : 165,
+        duration: 0.35,
+        type: 'sawtooth',
+        volume: 0.2,
+        pan: panFor(ballX)
+    });
+}
+
+// Power-ups and shields: a short bright chirp
+export function playPowerUp(x) {
+    tone({ frequency: 660, to: 1320, duration: 0.15, type: 'sine', volume: 0.3, pan: panFor(x) });
+}
+
+// One countdown beep; the last one (secondsLeft 0, play resumes) is higher and longer
+export function playCountdown(secondsLeft) {
+    tone(secondsLeft > 0
+        ? { frequency: 520, duration: 0.12, type: 'sine', volume: 0.3 }
+        : { frequency: 1040, duration: 0.3, type: 'sine', volume: 0.3 });
+}
+
+// Rising arpeggio for a win, falling one for a loss
+export function playMatchEnd(won) {
+    const notes = won ? [523, 659, 784, 1047] : [392, 330, 262, 196];
+    notes.forEach((frequency, index) => {
+        tone({ frequency, duration: 0.22, type: 'triangle', volume: 0.3, delay: index * 0.15 });
+    });
+}
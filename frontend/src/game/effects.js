@@ -0,0 +1,141 @@
+// effects.js - Optional visual effects drawn on top of the board: ball trails, hit particles,
+// screen shake on goals and score pop animations. Effects only look at what is drawn (ball positions and
+// scores), so local games, online matches and replays get them alike. Times are performance.now() ms.
+
+export const EFFECT_OPTIONS = [
+    { key: 'trails', label: 'Ball trails' },
+    { key: 'particles', label: 'Hit particles' },
+    { key: 'shake', label: 'Screen shake on goals' },
+    { key: 'scorePop', label: 'Score pop' }
+];
+
+export const DEFAULT_EFFECTS = Object.freeze({ trails: true, particles: true, shake: true, scorePop: true });
+
+const TRAIL_LENGTH = 10; // Ball positions kept for the trail
+const TELEPORT_DISTANCE = 100; // A longer jump between frames is a serve or a seek, not movement
+const PADDLE_ZONE = 80; // A horizontal bounce this close to a side was a paddle hit
+const WALL_ZONE = 24; // A vertical bounce this close to the top or bottom was a wall hit
+const PADDLE_PARTICLES = 14;
+const WALL_PARTICLES = 6;
+const PARTICLE_LIFE_MS = 450;
+const SHAKE_MS = 300;
+const SHAKE_PX = 8;
+const POP_MS = 400;
+const POP_SCALE = 0.5; // Extra size of a score at the start of its pop
+
+// field: { width, height, ballSize }
+export function createEffects(field) {
+    let enabled = { trails: false, particles: false, shake: false, scorePop: false };
+    let trail = []; // { x, y }, oldest first
+    let particles = []; // { x, y, vx, vy, born } with velocities in px per ms
+    let lastBall = null; // { x, y, dirX, dirY } of the previous frame
+    let lastTime = null;
+    let shakeStart = -Infinity;
+    const popStart = { 1: -Infinity, 2: -Infinity };
+
+    function burst(x, y, count, now) {
+        for (let i = 0; i < count; i++) {
+            const angle = Math.random() * Math.PI * 2;
+            const speed = 0.05 + Math.random() * 0.2;
+            particles.push({ x, y, vx: Math.cos(angle) * speed, vy: Math.sin(angle) * speed, born: now });
+        }
+    }
+
+    return {
+        // settings: { trails, particles, shake, scorePop } booleans
+        setEnabled(settings) {
+            enabled = { ...enabled, ...settings };
+            if (!enabled.trails) trail = [];
+            if (!enabled.particles) particles = [];
+        },
+
+        // Follow the main ball once per drawn frame; a reversed direction near a paddle or wall is a hit
+        update(ball, now) {
+            const dt = lastTime === null ? 0 : now - lastTime;
+            lastTime = now;
+            particles = particles.filter((p) => now - p.born < PARTICLE_LIFE_MS);
+            for (const p of particles) {
+                p.x += p.vx * dt;
+                p.y += p.vy * dt;
+            }
+
+            if (lastBall && Math.hypot(ball.x - lastBall.x, ball.y - lastBall.y) > TELEPORT_DISTANCE) {
+                lastBall = null;
+                trail = [];
+            }
+            const dirX = lastBall ? Math.sign(ball.x - lastBall.x) || lastBall.dirX : 0;
+            const dirY = lastBall ? Math.sign(ball.y - lastBall.y) || lastBall.dirY : 0;
+            if (lastBall && enabled.particles) {
+                const centerX = ball.x + field.ballSize / 2;
+                const centerY = ball.y + field.ballSize / 2;
+                if (lastBall.dirX && dirX !== lastBall.dirX &&
+                    (ball.x < PADDLE_ZONE || ball.x > field.width - PADDLE_ZONE)) {
+                    burst(centerX, centerY, PADDLE_PARTICLES, now);
+                } else if (lastBall.dirY && dirY !== lastBall.dirY &&
+                    (ball.y < WALL_ZONE || ball.y > field.height - field.ballSize - WALL_ZONE)) {
+                    burst(centerX, centerY, WALL_PARTICLES, now);
+                }
+            }
+            lastBall = { x: ball.x, y: ball.y, dirX, dirY };
+
+            if (enabled.trails) {
+                trail.push({ x: ball.x, y: ball.y });
+                if (trail.length > TRAIL_LENGTH) trail.shift();
+            }
+        },
+
+        // A side scored: shake the board and pop its score
+        onScore(side, now) {
+            if (enabled.shake) shakeStart = now;
+            if (enabled.scorePop) popStart[side] = now;
+        },
+
+        // Offset the whole board while a shake runs; call before drawing anything
+        applyShake(ctx, now) {
+            const t = (now - shakeStart) / SHAKE_MS;
+            if (t < 0 || t >= 1) return;
+            const amount = SHAKE_PX * (1 - t);
+            ctx.translate((Math.random() * 2 - 1) * amount, (Math.random() * 2 - 1) * amount);
+        },
+
+        // Fading copies of the ball along its recent path; drawBall(ctx, x, y) draws one in the theme's shape
+        drawTrail(ctx, drawBall) {
+            if (trail.length < 2) return;
+            ctx.save();
+            trail.slice(0, -1).forEach((point, index) => {
+                ctx.globalAlpha = ((index + 1) / trail.length) * 0.35;
+                drawBall(ctx, point.x, point.y);
+            });
+            ctx.restore();
+        },
+
+        drawParticles(ctx, color, now) {
+            if (particles.length === 0) return;
+            ctx.save();
+            ctx.fillStyle = color;
+            for (const p of particles) {
+                ctx.globalAlpha = 1 - (now - p.born) / PARTICLE_LIFE_MS;
+                ctx.fillRect(p.x - 2, p.y - 2, 4, 4);
+            }
+            ctx.restore();
+        },
+
+        // Size factor for a side's score (1 when no pop runs)
+        scoreScale(side, now) {
+            const t = (now - popStart[side]) / POP_MS;
+            if (t < 0 || t >= 1) return 1;
+            return 1 + POP_SCALE * (1 - t) * (1 - t);
+        },
+
+        // Forget everything in flight (new game, replay or idle board)
+        clear() {
+            trail = [];
+            particles = [];
+            lastBall = null;
+            lastTime = null;
+            shakeStart = -Infinity;
+            popStart[1] = -Infinity;
+            popStart[2] = -Infinity;
+        }
+    };
+}
@@ -1,14 +1,24 @@
 // game.js - Enhanced with debugging features
 
-// Game constants
-const CANVAS_WIDTH = 800;
-const CANVAS_HEIGHT = 600;
-const PADDLE_WIDTH = 16;
-const PADDLE_HEIGHT = 100;
-const BALL_SIZE = 16;
-const PADDLE_SPEED = 6;
-const BALL_SPEED = 6;
-const BOT_PADDLE_SPEED_FACTOR = 0.85; // Match server-side value from GameEngine.cs
+import { createAIController, DEFAULT_AI_DIFFICULTY } from './ai.js';
+import { FIELD, FIXED_TIMESTEP, ARCADE, createInitialState, step, stepBall, stepPaddle } from './physics.js';
+import { createReplayRecorder, createReplayPlayer, sampleReplay } from './replay.js';
+import { DEFAULT_MATCH_RULES, describeRules } from './rules.js';
+import { setupInput, teardownInput, resetInput, readPaddleInput, describePlayerKeys } from './input.js';
+import { setupViewport, applyViewport } from './viewport.js';
+import { getTheme, DEFAULT_THEME } from './themes.js';
+import { createEffects } from './effects.js';
+import { playPaddleHit, playWallBounce, playGoal, playPowerUp, playCountdown, playMatchEnd } from './audio.js';
+
+// Game constants (shared with the physics core); drawing uses these logical sizes, viewport.js scales them to the screen
+const CANVAS_WIDTH = FIELD.width;
+const CANVAS_HEIGHT = FIELD.height;
+const PADDLE_WIDTH = FIELD.paddleWidth;
+const PADDLE_HEIGHT = FIELD.paddleHeight;
+const BALL_SIZE = FIELD.ballSize;
+const BALL_SPEED = DEFAULT_MATCH_RULES.ballSpeed;
+const FRAME_MS = FIXED_TIMESTEP * 1000; // Local simulation advances one fixed tick per update
+const MAX_FRAME_TIME = 0.5; // Longest real frame (s) fed to the simulation, e.g. after a throttled tab resumes
 
 // Game state variables
 let playerY = (CANVAS_HEIGHT - PADDLE_HEIGHT) / 2;
@@ -19,9 +29,31 @@ let ballVX = BALL_SPEED;
 let ballVY = BALL_SPEED;
 let playerScore = 0;
 let opponentScore = 0;
-let upPressed = false;
-let downPressed = false;
+// Arcade mode: current paddle heights, balls besides the main one, power-ups on the court and running effects
+let leftPaddleHeight = PADDLE_HEIGHT;
+let rightPaddleHeight = PADDLE_HEIGHT;
+let extraBalls = []; // { x, y, vx, vy, curve }
+let powerUps = []; // { id, type, x, y, remaining }
+let effects = []; // { type, side, remaining }
 let gameOver = false;
+let matchWinner = 0; // Winning side reported by the server (1 | 2), 0 while playing or unknown
+
+// Local game mode: 'computer' (AI plays the right paddle) or 'versus' (two players on one keyboard)
+let localMode = 'computer';
+
+// Local AI opponent (created by startLocalGame)
+let aiController = null;
+
+// Local simulation state, advanced by physics.step()
+let localState = null;
+let localSeed = null; // Seed of the current local match, exported with the debug data
+
+// Look of the board (themes.js) and optional visual effects (effects.js), set from the display settings
+let theme = getTheme(DEFAULT_THEME);
+const visualEffects = createEffects(FIELD);
+let lastDrawnScores = null; // { left, right } of the previous frame, to notice goals whatever the game mode
+let accessibility = { markPaddle: false, ballIndicator: false }; // Extra cues on top of the theme
+let announceHandler = null; // Reads goals and match results out to screen readers (the announcer)
 
 // Multiplayer variables
 let isMultiplayer = false;
@@ -29,12 +61,58 @@ let playerSide = 1; // 1 = left, 2 = right
 let sendPaddleUpdate = null;
 let isGameActive = false;
 
-// Server authoritative state for interpolation
-let serverAuthoritativeBallX = (CANVAS_WIDTH - BALL_SIZE) / 2;
-let serverAuthoritativeBallY = (CANVAS_HEIGHT - BALL_SIZE) / 2;
-let serverAuthoritativeBallVX = BALL_SPEED; // Initial assumption, will be updated by server
-let serverAuthoritativeBallVY = BALL_SPEED; // Initial assumption, will be updated by server
-let newServerUpdateProcessed = true; // Tracks if the latest server velocities have been applied
+// Spectator mode: a read-only online match, both paddles come from server snapshots
+let isSpectating = false;
+let spectatedNames = null; // { left, right } player names of the watched match
+let viewerCount = 0;
+
+// Replays: the recorder follows the current match (local or online), the player drives replay playback
+let replayRecorder = null;
+let replayStartServerTime = 0; // serverTime of the first recorded snapshot of an online match
+let matchNames = null; // { left, right } names of our own online match
+let replayListener = null; // Called with each finished replay
+let replayPlayer = null; // Set while a replay is on the board
+
+// Quick emotes popping over a paddle: { [side]: { text, until } }
+const EMOTE_DURATION_MS = 2000;
+let paddleEmotes = {};
+
+// Client-side prediction and server reconciliation
+const INPUT_SEND_INTERVAL_MS = 50; // ~20 inputs per second
+const MAX_PENDING_INPUTS = 120; // Cap on unacknowledged inputs kept for replay
+const PADDLE_CORRECTION_THRESHOLD = 4; // px the replayed paddle may differ before we correct it
+const BALL_CORRECTION_THRESHOLD = 10; // px of ball misprediction counted as a correction
+const BALL_SNAP_DISTANCE = 100; // Larger ball errors (serve after a goal) snap instead of blending
+const BALL_ERROR_DECAY = 0.85; // Fraction of the visual ball error kept per tick
+const MAX_EXTRAPOLATION_TICKS = 30; // Never extrapolate a snapshot more than 0.5s
+const INTERPOLATION_DELAY_MS = 100; // Opponent paddle is rendered this far in the past
+const MAX_OPPONENT_SNAPSHOTS = 30;
+const CLOCK_OFFSET_SAMPLES = 30;
+
+let inputSequence = 0; // Never reset: the server ignores inputs older than the last one it saw
+let pendingInputs = []; // Sent but unacknowledged inputs: { seq, targetY }
+let lastAckedInput = null; // Newest input the server has applied
+let lastServerSequence = -1; // GameState.sequenceNumber of the newest snapshot applied
+let predictedBall = null; // Server ball extrapolated to the present, advanced every tick
+let ballErrorX = 0; // Visual offset left over from the last correction, decays every tick
+let ballErrorY = 0;
+let opponentSnapshots = []; // { time, y } in local clock, for snapshot interpolation
+let playerSnapshots = []; // Same for the left paddle while spectating
+let clockOffsetSamples = []; // Local receive time minus server time, per snapshot
+
+// Overlay over a held online match (reconnecting players, resume countdown): { title, until }
+// until is a local Date.now() time for the countdown, or null for no timer
+let matchOverlay = null;
+let localPaused = false; // Escape pauses local games
+let onlinePauseHandler = null; // Pauses or resumes our online match through the server (set by the UI)
+let lastCountdownSecond = null; // Last second beeped by a countdown overlay
+let lastCollisionTime = 0; // lastCollision.time of the newest server bounce already handled
+
+// Fixed-step loop clock
+let loopGeneration = 0; // Incremented on every start so only the newest loop keeps running
+let lastLoopTimestamp = null;
+let accumulator = 0;
+let previousTickPositions = null;
 
 // Debug variables
 let lastServerUpdate = Date.now();
@@ -54,23 +132,59 @@ let paddleHistory = [];
 let ballHistory = [];
 let goalHistory = [];
 let collisionChecks = [];
+let serverUpdateHistory = []; // Per server snapshot: { time, serverTime, latency, serverX, serverY, predictedX, predictedY }
+let correctionHistory = []; // { time, type: 'ball' | 'paddle', amount }
 const MAX_HISTORY_LENGTH = 1000;
 let visualDebugEnabled = false;
 let lastCollisionCheck = { time: 0, result: false, ballX: 0, ballY: 0, paddleY: 0 };
+let debugGoalHandler = null; // Opens a goal clicked in the debug panel (the debug analyzer); alert() otherwise
+
+// Reset ball to center with a serve direction from the seeded physics core
+function resetBall(seed = Date.now()) {
+    const { ball } = createInitialState(seed);
+    ballX = ball.x;
+    ballY = ball.y;
+    ballVX = ball.vx;
+    ballVY = ball.vy;
+    resetArcadeView();
+    resetVisualEffects();
+}
+
+// Back to one ball, standard paddles and no power-ups
+function resetArcadeView() {
+    leftPaddleHeight = PADDLE_HEIGHT;
+    rightPaddleHeight = PADDLE_HEIGHT;
+    extraBalls = [];
+    powerUps = [];
+    effects = [];
+}
 
-// Reset ball to center with random direction
-function resetBall() {
-    ballX = (CANVAS_WIDTH - BALL_SIZE) / 2;
-    ballY = (CANVAS_HEIGHT - BALL_SIZE) / 2;
-    ballVX = BALL_SPEED * (Math.random() > 0.5 ? 1 : -1);
-    ballVY = BALL_SPEED * (Math.random() > 0.5 ? 1 : -1);
+// Height of the local player's paddle (the left one while spectating)
+function ownPaddleHeight() {
+    return playerSide === 1 ? leftPaddleHeight : rightPaddleHeight;
+}
+
+// Copy the local simulation state into the render variables used by draw()
+function syncFromLocalState() {
+    playerY = localState.leftPaddle.y;
+    opponentY = localState.rightPaddle.y;
+    ballX = localState.ball.x;
+    ballY = localState.ball.y;
+    ballVX = localState.ball.vx;
+    ballVY = localState.ball.vy;
+    leftPaddleHeight = localState.leftPaddle.height;
+    rightPaddleHeight = localState.rightPaddle.height;
+    extraBalls = localState.extraBalls;
+    powerUps = localState.powerUps;
+    effects = localState.effects;
+    playerScore = localState.leftScore;
+    opponentScore = localState.rightScore;
+    gameOver = localState.gameOver;
 }
 
 // Record data about a goal for debugging
-function recordGoalData() {
-    // Don't record if game just started
-    if (ballX === (CANVAS_WIDTH - BALL_SIZE) / 2 && ballY === (CANVAS_HEIGHT - BALL_SIZE) / 2) return;
-    
+// goal: goal event from physics.step() carrying the ball position before the reset
+function recordGoalData(goal) {
     const timestamp = new Date().toISOString();
     // Capture server paddle Y for the relevant side (if available)
     let serverPaddleY = null;
@@ -83,11 +197,11 @@ function recordGoalData() {
     }
     const goalData = {
         timestamp,
-        scorer: ballX < 0 ? 'right' : 'left',
-        ballX,
-        ballY,
-        ballVX,
-        ballVY,
+        scorer: goal.scorer === 2 ? 'right' : 'left',
+        ballX: goal.ball.x,
+        ballY: goal.ball.y,
+        ballVX: goal.ball.vx,
+        ballVY: goal.ball.vy,
         playerY, // frontend paddle Y
         serverPaddleY, // backend paddle Y (last known)
         opponentY,
@@ -106,14 +220,24 @@ function recordGoalData() {
 }
 
 // Draw the game state
-function draw(ctx) {
-    // Clear canvas
+// alpha: how far rendering is between the previous and current simulation tick (0..1)
+function draw(ctx, alpha = 1) {
+    const pos = getRenderPositions(alpha);
+    const effectTime = performance.now();
+    const leftScore = playerSide === 1 ? playerScore : opponentScore;
+    const rightScore = playerSide === 1 ? opponentScore : playerScore;
+    updateVisualEffects(pos, leftScore, rightScore, effectTime);
+    
+    // Clear canvas; a shake moves the whole board, so the background reaches past the edges
+    applyViewport(ctx);
     ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-    ctx.fillStyle = '#222';
-    ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    ctx.save();
+    visualEffects.applyShake(ctx, effectTime);
+    ctx.fillStyle = theme.background;
+    ctx.fillRect(-20, -20, CANVAS_WIDTH + 40, CANVAS_HEIGHT + 40);
     
     // Draw center line
-    ctx.strokeStyle = '#444';
+    ctx.strokeStyle = theme.centerLine;
     ctx.setLineDash([10, 10]);
     ctx.beginPath();
     ctx.moveTo(CANVAS_WIDTH / 2, 0);
@@ -121,45 +245,131 @@ function draw(ctx) {
     ctx.stroke();
     ctx.setLineDash([]);
     
-    // Draw paddles - green for player, white for opponent
-    if (playerSide === 1) {
-        // Player on left
-        ctx.fillStyle = '#4caf50';
-        ctx.fillRect(16, playerY, PADDLE_WIDTH, PADDLE_HEIGHT);
-        ctx.fillStyle = '#fff';
-        ctx.fillRect(CANVAS_WIDTH - 32, opponentY, PADDLE_WIDTH, PADDLE_HEIGHT);
-    } else {
-        // Player on right
-        ctx.fillStyle = '#fff';
-        ctx.fillRect(16, opponentY, PADDLE_WIDTH, PADDLE_HEIGHT);
-        ctx.fillStyle = '#4caf50';
-        ctx.fillRect(CANVAS_WIDTH - 32, playerY, PADDLE_WIDTH, PADDLE_HEIGHT);
+    // Shields guard the goal line of their side
+    for (const effect of effects) {
+        if (effect.type !== 'shield') continue;
+        ctx.fillStyle = POWER_UP_STYLES.shield.color;
+        ctx.fillRect(effect.side === 1 ? 0 : CANVAS_WIDTH - 4, 0, 4, CANVAS_HEIGHT);
+    }
+    
+    // Draw paddles - the theme's player color for our paddle, its paddle color for the others
+    // (spectators and replays of other matches show both in the paddle color)
+    const neutral = isSpectating || (replayPlayer && !replayPlayer.replay.ownSide);
+    const leftY = playerSide === 1 ? pos.playerY : pos.opponentY;
+    const rightY = playerSide === 1 ? pos.opponentY : pos.playerY;
+    ctx.save();
+    ctx.shadowBlur = theme.glow;
+    ctx.fillStyle = ctx.shadowColor = !neutral && playerSide === 1 ? theme.playerPaddle : theme.paddle;
+    ctx.fillRect(16, leftY, PADDLE_WIDTH, leftPaddleHeight);
+    ctx.fillStyle = ctx.shadowColor = !neutral && playerSide === 2 ? theme.playerPaddle : theme.paddle;
+    ctx.fillRect(CANVAS_WIDTH - 32, rightY, PADDLE_WIDTH, rightPaddleHeight);
+    ctx.restore();
+    if (!neutral && (theme.patternedPaddle || accessibility.markPaddle)) {
+        if (playerSide === 1) drawPaddleMarker(ctx, 16, leftY, leftPaddleHeight);
+        else drawPaddleMarker(ctx, CANVAS_WIDTH - 32, rightY, rightPaddleHeight);
     }
     
-    // Draw ball
-    ctx.fillStyle = '#fff';
-    ctx.fillRect(ballX, ballY, BALL_SIZE, BALL_SIZE);
+    drawPowerUps(ctx);
+    
+    // Draw balls
+    visualEffects.drawTrail(ctx, drawBall);
+    ctx.save();
+    ctx.shadowBlur = theme.glow;
+    ctx.shadowColor = theme.ball;
+    drawBall(ctx, pos.ballX, pos.ballY);
+    for (const ball of extraBalls) {
+        drawBall(ctx, ball.x, ball.y);
+    }
+    ctx.restore();
+    visualEffects.drawParticles(ctx, theme.ball, effectTime);
+    if (accessibility.ballIndicator) drawBallIndicator(ctx, pos.ballY);
     
     // Draw scores
-    ctx.font = '48px monospace';
     ctx.textAlign = 'center';
-    ctx.fillStyle = '#fff';
-    const leftScore = playerSide === 1 ? playerScore : opponentScore;
-    const rightScore = playerSide === 1 ? opponentScore : playerScore;
-    ctx.fillText(leftScore, CANVAS_WIDTH / 2 - 50, 60);
-    ctx.fillText(rightScore, CANVAS_WIDTH / 2 + 50, 60);
+    ctx.fillStyle = theme.text;
+    drawScore(ctx, leftScore, CANVAS_WIDTH / 2 - 50, visualEffects.scoreScale(1, effectTime));
+    drawScore(ctx, rightScore, CANVAS_WIDTH / 2 + 50, visualEffects.scoreScale(2, effectTime));
+    drawEffectTimers(ctx);
+    ctx.restore();
+
+    // Label the sides in hot-seat mode so both players know which paddle is theirs
+    const isHotSeat = !isMultiplayer && !replayPlayer && localMode === 'versus';
+    if (isHotSeat) {
+        ctx.font = themeFont(16);
+        ctx.fillStyle = theme.dimText;
+        ctx.fillText(`P1 (${describePlayerKeys(1)})`, CANVAS_WIDTH / 4, 30);
+        ctx.fillText(`P2 (${describePlayerKeys(2)})`, (CANVAS_WIDTH * 3) / 4, 30);
+    }
+    if ((isSpectating || replayPlayer) && spectatedNames) {
+        ctx.font = themeFont(16);
+        ctx.fillStyle = theme.dimText;
+        ctx.fillText(spectatedNames.left, CANVAS_WIDTH / 4, 30);
+        ctx.fillText(spectatedNames.right, (CANVAS_WIDTH * 3) / 4, 30);
+    }
+    if (isMultiplayer && (isSpectating || viewerCount > 0)) {
+        ctx.font = themeFont(14);
+        ctx.fillStyle = theme.dimText;
+        const viewers = `${viewerCount} ${viewerCount === 1 ? 'viewer' : 'viewers'}`;
+        ctx.fillText(isSpectating ? `Spectating - ${viewers}` : viewers, CANVAS_WIDTH / 2, CANVAS_HEIGHT - 16);
+    }
+    if (replayPlayer) {
+        ctx.font = themeFont(14);
+        ctx.fillStyle = theme.dimText;
+        const status = replayPlayer.playing ? `${replayPlayer.speed}x` : 'paused';
+        ctx.fillText(`Replay - ${status}`, CANVAS_WIDTH / 2, CANVAS_HEIGHT - 16);
+    }
+    
+    drawPaddleEmotes(ctx, pos);
     
     // Game over message
     if (gameOver) {
         ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
         ctx.fillRect(CANVAS_WIDTH / 2 - 200, CANVAS_HEIGHT / 2 - 40, 400, 80);
-        ctx.font = '36px monospace';
-        ctx.fillStyle = '#fff';
-        ctx.fillText('Game Over!', CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
-        ctx.font = '18px monospace';
-        ctx.fillText('Press R to Restart', CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 + 30);
+        ctx.font = themeFont(36);
+        ctx.fillStyle = theme.text;
+        let gameOverText = 'Game Over!';
+        if (isHotSeat) {
+            gameOverText = leftScore > rightScore ? 'Player 1 Wins!' : 'Player 2 Wins!';
+        } else if ((isSpectating || replayPlayer) && spectatedNames) {
+            const leftWon = matchWinner ? matchWinner === 1 : leftScore > rightScore;
+            gameOverText = `${leftWon ? spectatedNames.left : spectatedNames.right} Wins!`;
+        } else if (isMultiplayer) {
+            const won = matchWinner ? matchWinner === playerSide : playerScore > opponentScore;
+            gameOverText = won ? 'You Win!' : 'You Lose!';
+        }
+        ctx.fillText(gameOverText, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+        // Online matches continue through the game over panel (rematch / new opponent / lobby)
+        if (!isMultiplayer && !replayPlayer) {
+            ctx.font = themeFont(18);
+            ctx.fillText('Press R to Restart', CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 + 30);
+        }
+    }
+    
+    // Paused online match: reconnecting players or resume countdown
+    if (matchOverlay && matchOverlay.until !== null && Date.now() >= matchOverlay.until) {
+        if (matchOverlay.countdown) playCountdown(0);
+        matchOverlay = null;
+    }
+    if (matchOverlay) {
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+        ctx.textAlign = 'center';
+        ctx.fillStyle = theme.text;
+        ctx.font = themeFont(28);
+        ctx.fillText(matchOverlay.title, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 - 20);
+        if (matchOverlay.until !== null) {
+            const secondsLeft = Math.ceil((matchOverlay.until - Date.now()) / 1000);
+            if (matchOverlay.countdown && secondsLeft <= 3 && secondsLeft !== lastCountdownSecond) {
+                lastCountdownSecond = secondsLeft;
+                playCountdown(secondsLeft);
+            }
+            ctx.font = themeFont(64);
+            ctx.fillText(secondsLeft, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2 + 50);
+        }
     }
     
+    if (theme.scanlines) drawScanlines(ctx);
+    
     // Draw visual debug elements if enabled
     if (visualDebugEnabled) {
         drawDebugOverlay();
@@ -181,12 +391,174 @@ function draw(ctx) {
     recordPositionHistory();
 }
 
+function themeFont(size) {
+    return `${size}px ${theme.font}`;
+}
+
+// One ball in the theme's shape and color
+function drawBall(ctx, x, y) {
+    ctx.fillStyle = theme.ball;
+    if (theme.ballShape === 'circle') {
+        ctx.beginPath();
+        ctx.arc(x + BALL_SIZE / 2, y + BALL_SIZE / 2, BALL_SIZE / 2, 0, Math.PI * 2);
+        ctx.fill();
+    } else {
+        ctx.fillRect(x, y, BALL_SIZE, BALL_SIZE);
+    }
+}
+
+// Stripes and an outline on our paddle, so it stands out by pattern and not only by color
+function drawPaddleMarker(ctx, x, y, height) {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, PADDLE_WIDTH, height);
+    ctx.clip();
+    ctx.strokeStyle = theme.background;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    for (let offset = 0; offset < height + PADDLE_WIDTH; offset += 10) {
+        ctx.moveTo(x, y + offset);
+        ctx.lineTo(x + PADDLE_WIDTH, y + offset - PADDLE_WIDTH);
+    }
+    ctx.stroke();
+    ctx.restore();
+    ctx.save();
+    ctx.strokeStyle = theme.text;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x - 1, y - 1, PADDLE_WIDTH + 2, height + 2);
+    ctx.restore();
+}
+
+// Arrows on both side edges at the height of the ball, easier to follow than the ball itself
+function drawBallIndicator(ctx, ballTopY) {
+    const y = ballTopY + BALL_SIZE / 2;
+    ctx.save();
+    ctx.fillStyle = theme.ball;
+    ctx.beginPath();
+    ctx.moveTo(0, y - 7);
+    ctx.lineTo(10, y);
+    ctx.lineTo(0, y + 7);
+    ctx.moveTo(CANVAS_WIDTH, y - 7);
+    ctx.lineTo(CANVAS_WIDTH - 10, y);
+    ctx.lineTo(CANVAS_WIDTH, y + 7);
+    ctx.fill();
+    ctx.restore();
+}
+
+// A score at its resting size times scale (score pop)
+function drawScore(ctx, score, x, scale) {
+    ctx.save();
+    ctx.translate(x, 60);
+    ctx.scale(scale, scale);
+    ctx.font = `bold 48px ${theme.font}`;
+    ctx.fillText(score, 0, 0);
+    ctx.restore();
+}
+
+// Darkened rows over the whole board, like an old tube screen
+function drawScanlines(ctx) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+    for (let y = 0; y < CANVAS_HEIGHT; y += 3) {
+        ctx.fillRect(0, y, CANVAS_WIDTH, 1);
+    }
+    ctx.restore();
+}
+
+// Feed the effects the drawn ball and scores; a score going up is a goal in any game mode
+function updateVisualEffects(pos, leftScore, rightScore, now) {
+    visualEffects.update({ x: pos.ballX, y: pos.ballY }, now);
+    if (lastDrawnScores) {
+        if (leftScore > lastDrawnScores.left) visualEffects.onScore(1, now);
+        if (rightScore > lastDrawnScores.right) visualEffects.onScore(2, now);
+    }
+    lastDrawnScores = { left: leftScore, right: rightScore };
+}
+
+// Drop effects in flight, e.g. when a new game or replay starts
+function resetVisualEffects() {
+    visualEffects.clear();
+    lastDrawnScores = null;
+}
+
+// Power-up look on the court and in the HUD
+const POWER_UP_STYLES = {
+    grow: { letter: 'G', label: 'Grow', color: '#4caf50' },
+    shrink: { letter: 'S', label: 'Shrink', color: '#f44336' },
+    multiBall: { letter: 'M', label: 'Multi-ball', color: '#ffeb3b' },
+    speedBoost: { letter: 'B', label: 'Boost', color: '#ff9800' },
+    curve: { letter: 'C', label: 'Curve', color: '#9c27b0' },
+    shield: { letter: 'D', label: 'Shield', color: '#03a9f4' }
+};
+
+// Power-ups waiting on the court, fading out in their last seconds
+function drawPowerUps(ctx) {
+    const size = ARCADE.powerUpSize;
+    ctx.save();
+    ctx.font = 'bold 18px monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const powerUp of powerUps) {
+        const style = POWER_UP_STYLES[powerUp.type];
+        if (!style) continue;
+        ctx.globalAlpha = Math.min(1, powerUp.remaining / 2000);
+        ctx.fillStyle = style.color;
+        ctx.fillRect(powerUp.x, powerUp.y, size, size);
+        ctx.fillStyle = '#222';
+        ctx.fillText(style.letter, powerUp.x + size / 2, powerUp.y + size / 2 + 1);
+    }
+    ctx.restore();
+}
+
+// Running effects with their seconds left, under the score of the side they affect
+function drawEffectTimers(ctx) {
+    ctx.save();
+    ctx.font = '14px monospace';
+    for (const side of [1, 2]) {
+        let y = 84;
+        for (const effect of effects) {
+            const style = POWER_UP_STYLES[effect.type];
+            if (effect.side !== side || !style) continue;
+            ctx.fillStyle = style.color;
+            ctx.textAlign = side === 1 ? 'right' : 'left';
+            const x = side === 1 ? CANVAS_WIDTH / 2 - 30 : CANVAS_WIDTH / 2 + 30;
+            ctx.fillText(`${style.label} ${Math.ceil(effect.remaining / 1000)}s`, x, y);
+            y += 18;
+        }
+    }
+    ctx.restore();
+}
+
+// Draw active emotes above their sender's paddle, fading out at the end
+function drawPaddleEmotes(ctx, pos) {
+    const now = Date.now();
+    for (const side of [1, 2]) {
+        const emote = paddleEmotes[side];
+        if (!emote) continue;
+        if (now >= emote.until) {
+            delete paddleEmotes[side];
+            continue;
+        }
+        const paddleY = side === playerSide ? pos.playerY : pos.opponentY;
+        const x = side === 1 ? 16 + PADDLE_WIDTH + 30 : CANVAS_WIDTH - 32 - 30;
+        const y = Math.max(36, paddleY - 12);
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, (emote.until - now) / 500);
+        ctx.font = '28px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(emote.text, x, y);
+        ctx.restore();
+    }
+}
+
 // Draw visual debug overlay
 function drawDebugOverlay() {
     const debugCanvas = document.getElementById('debug-canvas');
     if (!debugCanvas) return;
     
     const dctx = debugCanvas.getContext('2d');
+    applyViewport(dctx);
     dctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
     
     // Draw ball trajectory prediction
@@ -235,7 +607,7 @@ function drawDebugOverlay() {
     if (playerSide === 1) {
         // Normal paddle
         dctx.strokeStyle = 'rgba(0, 255, 0, 0.8)';
-        dctx.strokeRect(leftPaddleX, playerY, PADDLE_WIDTH, PADDLE_HEIGHT);
+        dctx.strokeRect(leftPaddleX, playerY, PADDLE_WIDTH, ownPaddleHeight());
         
         // Extended hitbox - shows what the server is actually checking against
         dctx.strokeStyle = 'rgba(255, 255, 0, 0.5)';
@@ -243,12 +615,12 @@ function drawDebugOverlay() {
             leftPaddleX - COLLISION_BUFFER/2, 
             playerY - COLLISION_BUFFER, 
             PADDLE_WIDTH + COLLISION_BUFFER, 
-            PADDLE_HEIGHT + COLLISION_BUFFER * 2
+            ownPaddleHeight() + COLLISION_BUFFER * 2
         );
     } else {
         // Normal paddle
         dctx.strokeStyle = 'rgba(0, 255, 0, 0.8)';
-        dctx.strokeRect(rightPaddleX, playerY, PADDLE_WIDTH, PADDLE_HEIGHT);
+        dctx.strokeRect(rightPaddleX, playerY, PADDLE_WIDTH, ownPaddleHeight());
         
         // Extended hitbox - shows what the server is actually checking against
         dctx.strokeStyle = 'rgba(255, 255, 0, 0.5)';
@@ -256,7 +628,7 @@ function drawDebugOverlay() {
             rightPaddleX - BALL_SIZE - COLLISION_BUFFER/2, 
             playerY - COLLISION_BUFFER, 
             PADDLE_WIDTH + COLLISION_BUFFER, 
-            PADDLE_HEIGHT + COLLISION_BUFFER * 2
+            ownPaddleHeight() + COLLISION_BUFFER * 2
         );
     }
     
@@ -304,6 +676,7 @@ function updateDebugDisplay() {
     const fpsElement = document.getElementById('fps-counter');
     const pingElement = document.getElementById('ping-counter');
     const correctionElement = document.getElementById('correction-counter');
+    const pendingInputsElement = document.getElementById('pending-inputs');
     
     if (ballPosElem) ballPosElem.textContent = `${Math.round(ballX)},${Math.round(ballY)}`;
     if (ballVelElem) ballVelElem.textContent = `${ballVX.toFixed(2)},${ballVY.toFixed(2)}`;
@@ -318,6 +691,7 @@ function updateDebugDisplay() {
     if (fpsElement) fpsElement.textContent = fpsCounter;
     if (pingElement) pingElement.textContent = pingMs;
     if (correctionElement) correctionElement.textContent = correctionCount;
+    if (pendingInputsElement) pendingInputsElement.textContent = pendingInputs.length;
 }
 
 // Update goal history display in debug panel
@@ -348,6 +722,10 @@ function updateGoalHistoryDisplay() {
         
         // Make entry clickable to show detailed replay data
         goalEntry.addEventListener('click', () => {
+            if (debugGoalHandler) {
+                debugGoalHandler(goal, index);
+                return;
+            }
             let details = `Goal ${index+1} Details:\nScorer: ${scorer}\nBall Position: ${Math.round(goal.ballX)},${Math.round(goal.ballY)}\nBall Velocity: ${goal.ballVX.toFixed(2)},${goal.ballVY.toFixed(2)}\nPaddle Y (Frontend): ${Math.round(goal.playerY)}`;
             if (goal.serverPaddleY !== undefined && goal.serverPaddleY !== null) {
                 details += `\nPaddle Y (Backend): ${Math.round(goal.serverPaddleY)}`;
@@ -362,105 +740,107 @@ function updateGoalHistoryDisplay() {
 
 // Update game state for single player mode
 function updateSinglePlayer() {
-    if (gameOver) return;
-    
-    // Player paddle movement
-    if (upPressed) playerY -= PADDLE_SPEED;
-    if (downPressed) playerY += PADDLE_SPEED;
-    playerY = Math.max(0, Math.min(CANVAS_HEIGHT - PADDLE_HEIGHT, playerY));
-    
-    // Simple AI for opponent
-    const paddleCenter = opponentY + PADDLE_HEIGHT / 2;
-    const ballCenter = ballY + BALL_SIZE / 2;
-    
-    if (paddleCenter < ballCenter - 10) {
-        opponentY += PADDLE_SPEED * BOT_PADDLE_SPEED_FACTOR; // Using the server-synchronized factor
-    } else if (paddleCenter > ballCenter + 10) {
-        opponentY -= PADDLE_SPEED * BOT_PADDLE_SPEED_FACTOR;
+    if (!localState || localState.gameOver) return;
+    
+    // Left paddle is always the local player; the right one is the second player or the AI
+    let rightInput = null;
+    if (localMode === 'versus') {
+        rightInput = readPaddleInput(2, { hotSeat: true, paddleHeight: localState.rightPaddle.height });
+    } else if (aiController) {
+        rightInput = aiController.update(threateningBall(localState), FRAME_MS, localState.rightPaddle.height);
     }
-    opponentY = Math.max(0, Math.min(CANVAS_HEIGHT - PADDLE_HEIGHT, opponentY));
     
-    // Ball movement
-    ballX += ballVX;
-    ballY += ballVY;
+    localState = step(localState, {
+        left: readPaddleInput(1, { hotSeat: isHotSeatGame(), paddleHeight: localState.leftPaddle.height }),
+        right: rightInput
+    }, FIXED_TIMESTEP);
     
-    // Wall collisions
-    if (ballY <= 0 || ballY + BALL_SIZE >= CANVAS_HEIGHT) {
-        ballVY = -ballVY;
-        ballY = Math.max(0, Math.min(CANVAS_HEIGHT - BALL_SIZE, ballY));
+    handleSimulationEvents(localState.events);
+    syncFromLocalState();
+    if (localState.gameOver) {
+        playMatchEnd(isHotSeatGame() || localState.winner === playerSide);
+        announceMatchEnd(localState.winner, localState.leftScore, localState.rightScore);
     }
     
-    // Paddle collisions
-    const leftPaddleX = 16 + PADDLE_WIDTH;
-    const rightPaddleX = CANVAS_WIDTH - 32;
-    
-    // Left paddle collision
-    if (ballX <= leftPaddleX && 
-        ballX + ballVX <= leftPaddleX &&
-        ballY + BALL_SIZE >= (playerSide === 1 ? playerY : opponentY) && 
-        ballY <= (playerSide === 1 ? playerY : opponentY) + PADDLE_HEIGHT) {
-        
-        // Record collision for debugging
-        lastCollisionCheck = {
-            time: Date.now(),
-            result: true,
-            ballX: ballX,
-            ballY: ballY,
-            paddleY: (playerSide === 1 ? playerY : opponentY)
-        };
-        collisionChecks.push({...lastCollisionCheck});
-        if (collisionChecks.length > 100) collisionChecks.shift();
-        
-        ballVX = Math.abs(ballVX); // Reverse direction
-        
-        // Add some angle based on where ball hits paddle
-        const hitPos = (ballY + BALL_SIZE/2) - ((playerSide === 1 ? playerY : opponentY) + PADDLE_HEIGHT/2);
-        ballVY = hitPos * 0.2; // Convert to reasonable velocity
-    }
-    
-    // Right paddle collision
-    if (ballX + BALL_SIZE >= rightPaddleX && 
-        ballX + BALL_SIZE + ballVX >= rightPaddleX &&
-        ballY + BALL_SIZE >= (playerSide === 2 ? playerY : opponentY) && 
-        ballY <= (playerSide === 2 ? playerY : opponentY) + PADDLE_HEIGHT) {
-        
-        // Record collision for debugging
-        lastCollisionCheck = {
-            time: Date.now(),
-            result: true,
-            ballX: ballX,
-            ballY: ballY,
-            paddleY: (playerSide === 2 ? playerY : opponentY)
-        };
-        collisionChecks.push({...lastCollisionCheck});
-        if (collisionChecks.length > 100) collisionChecks.shift();
-        
-        ballVX = -Math.abs(ballVX); // Reverse direction
-        
-        // Add some angle based on where ball hits paddle
-        const hitPos = (ballY + BALL_SIZE/2) - ((playerSide === 2 ? playerY : opponentY) + PADDLE_HEIGHT/2);
-        ballVY = hitPos * 0.2; // Convert to reasonable velocity
+    if (replayRecorder) {
+        replayRecorder.record({
+            ballX: localState.ball.x,
+            ballY: localState.ball.y,
+            leftY: localState.leftPaddle.y,
+            rightY: localState.rightPaddle.y,
+            leftScore: localState.leftScore,
+            rightScore: localState.rightScore,
+            leftHeight: localState.leftPaddle.height,
+            rightHeight: localState.rightPaddle.height,
+            extraBalls: localState.extraBalls,
+            powerUps: localState.powerUps,
+            effects: localState.effects
+        }, localState.tick * FRAME_MS);
+        if (localState.gameOver) finishReplay(localState.winner);
     }
     
     // Check for near-misses (for debugging)
     checkNearMisses();
-    
-    // Scoring
-    if (ballX < 0) {
-        // Right scores
-        recordGoalData();
-        if (playerSide === 2) playerScore++; else opponentScore++;
-        if (Math.max(playerScore, opponentScore) >= 5) gameOver = true;
-        resetBall();
-    } else if (ballX > CANVAS_WIDTH) {
-        // Left scores
-        recordGoalData();
-        if (playerSide === 1) playerScore++; else opponentScore++;
-        if (Math.max(playerScore, opponentScore) >= 5) gameOver = true;
-        resetBall();
+}
+
+// The ball the right paddle has to deal with first: the closest one coming its way, else the main ball
+function threateningBall(state) {
+    const incoming = [state.ball, ...state.extraBalls].filter((ball) => ball.vx > 0);
+    if (incoming.length === 0) return state.ball;
+    return incoming.reduce((best, ball) => (ball.x > best.x ? ball : best));
+}
+
+// Sounds and debug data for paddle hits, bounces, power-ups and goals reported by the physics step
+function handleSimulationEvents(events) {
+    for (const event of events) {
+        if (event.type === 'wall') {
+            playWallBounce(event.ballX);
+        } else if (event.type === 'shield') {
+            playPowerUp(event.ballX);
+        } else if (event.type === 'powerUp') {
+            playPowerUp(event.side === 1 ? 0 : CANVAS_WIDTH);
+        } else if (event.type === 'paddle') {
+            playPaddleHit(event.ballX, event.speed);
+            lastCollisionCheck = {
+                time: Date.now(),
+                result: true,
+                ballX: event.ballX,
+                ballY: event.ballY,
+                paddleY: event.paddleY
+            };
+            collisionChecks.push({...lastCollisionCheck});
+            if (collisionChecks.length > 100) collisionChecks.shift();
+        } else if (event.type === 'goal') {
+            playGoal(event.ball.x, isHotSeatGame() || event.scorer === playerSide);
+            recordGoalData(event);
+            announceGoal(event.scorer, localState.leftScore, localState.rightScore);
+        }
     }
 }
 
+// Start recording the local match that was just (re)started
+function startLocalRecording() {
+    const names = localMode === 'versus'
+        ? { left: 'Player 1', right: 'Player 2' }
+        : { left: 'You', right: `Computer (${aiController ? aiController.difficulty : DEFAULT_AI_DIFFICULTY})` };
+    replayRecorder = createReplayRecorder({ source: 'local', names, ownSide: localMode === 'versus' ? null : 1 });
+}
+
+// Start recording an online match from its first snapshot
+function startOnlineRecording(serverTime) {
+    replayStartServerTime = serverTime;
+    replayRecorder = isSpectating
+        ? createReplayRecorder({ source: 'spectator', names: spectatedNames || { left: 'Player 1', right: 'Player 2' } })
+        : createReplayRecorder({ source: 'online', names: matchNames || { left: 'Player 1', right: 'Player 2' }, ownSide: playerSide });
+}
+
+// Hand the finished recording to the listener (the replays panel stores it)
+function finishReplay(winner) {
+    const replay = replayRecorder.finish(winner);
+    replayRecorder = null;
+    if (replay && replayListener) replayListener(replay);
+}
+
 // Check for near-misses with paddles (for debugging)
 function checkNearMisses() {
     const ballCenterX = ballX + BALL_SIZE/2;
@@ -471,12 +851,12 @@ function checkNearMisses() {
         const leftPaddleY = playerSide === 1 ? playerY : opponentY;
         const distance = Math.min(
             Math.abs(ballCenterY - leftPaddleY),
-            Math.abs(ballCenterY - (leftPaddleY + PADDLE_HEIGHT))
+            Math.abs(ballCenterY - (leftPaddleY + leftPaddleHeight))
         );
         
         // If ball is close to paddle but missing it
         if (distance < 30 && distance > 0 && 
-            (ballCenterY < leftPaddleY || ballCenterY > leftPaddleY + PADDLE_HEIGHT)) {
+            (ballCenterY < leftPaddleY || ballCenterY > leftPaddleY + leftPaddleHeight)) {
             
             // Record near miss
             lastCollisionCheck = {
@@ -498,12 +878,12 @@ function checkNearMisses() {
         const rightPaddleY = playerSide === 2 ? playerY : opponentY;
         const distance = Math.min(
             Math.abs(ballCenterY - rightPaddleY),
-            Math.abs(ballCenterY - (rightPaddleY + PADDLE_HEIGHT))
+            Math.abs(ballCenterY - (rightPaddleY + rightPaddleHeight))
         );
         
         // If ball is close to paddle but missing it
         if (distance < 30 && distance > 0 && 
-            (ballCenterY < rightPaddleY || ballCenterY > rightPaddleY + PADDLE_HEIGHT)) {
+            (ballCenterY < rightPaddleY || ballCenterY > rightPaddleY + rightPaddleHeight)) {
             
             // Record near miss
             lastCollisionCheck = {
@@ -525,106 +905,303 @@ function checkNearMisses() {
 function updateMultiplayer() {
     if (gameOver) return;
     
-    // Player paddle movement - directly controlled by input
-    if (upPressed) playerY -= PADDLE_SPEED;
-    if (downPressed) playerY += PADDLE_SPEED;
-    playerY = Math.max(0, Math.min(CANVAS_HEIGHT - PADDLE_HEIGHT, playerY));
+    const renderTime = Date.now() - INTERPOLATION_DELAY_MS;
+    if (isSpectating) {
+        playerY = samplePaddleSnapshots(playerSnapshots, renderTime, playerY);
+        opponentY = samplePaddleSnapshots(opponentSnapshots, renderTime, opponentY);
+        return;
+    }
+    
+    // Player paddle movement - predicted locally, confirmed by the server
+    const input = readPaddleInput(playerSide, { paddleHeight: ownPaddleHeight() });
+    playerY = stepPaddle(playerY, input, FIXED_TIMESTEP, ownPaddleHeight());
+    
+    // The newest input keeps driving the server paddle until the next one is sent
+    const activeInput = pendingInputs[pendingInputs.length - 1] || lastAckedInput;
     
-    // Send paddle position to server periodically
+    // Send paddle position to server periodically, only when it moved
     const now = Date.now();
-    if (now - lastPaddleUpdateTime > 50 && sendPaddleUpdate) { // ~20 updates per second
-        sendPaddleUpdate(playerY);
+    if (now - lastPaddleUpdateTime > INPUT_SEND_INTERVAL_MS && (!activeInput || activeInput.targetY !== playerY)) {
+        sendPaddleInput(playerY);
         lastPaddleUpdateTime = now;
     }
+    
+    opponentY = samplePaddleSnapshots(opponentSnapshots, renderTime, opponentY);
 }
 
-// Game loop for single player
-function gameLoop(ctx) {
-    if (!isGameActive) return;
-    
-    updateSinglePlayer();
-    draw(ctx);
+// Send a numbered paddle input and keep it until the server acknowledges it
+function sendPaddleInput(targetY) {
+    if (!sendPaddleUpdate) return;
+    inputSequence++;
+    pendingInputs.push({ seq: inputSequence, targetY });
+    if (pendingInputs.length > MAX_PENDING_INPUTS) pendingInputs.shift();
+    sendPaddleUpdate(targetY, inputSequence);
+}
+
+// Drop acknowledged inputs and check the server against the acked one. The server acknowledges an input on
+// the tick it takes over its target, while its paddle is still on the way there (chasing it at paddle speed,
+// like stepPaddle), so the positions only have to match once the server paddle has arrived; until then the
+// target it applied must be ours. A mismatch shifts playerY by the difference, keeping newer local movement.
+// The acked input moves with it, so snapshots already on their way do not correct the same error again.
+function reconcilePlayerPaddle(serverPaddleY, serverTargetY, ackedSequence) {
+    while (pendingInputs.length > 0 && pendingInputs[0].seq <= ackedSequence) {
+        lastAckedInput = pendingInputs.shift();
+    }
+    if (!lastAckedInput || lastAckedInput.seq !== ackedSequence) return;
     
-    if (!isMultiplayer && isGameActive) {
-        requestAnimationFrame(() => gameLoop(ctx));
+    const arrived = typeof serverTargetY !== 'number' || Math.abs(serverPaddleY - serverTargetY) < 0.5;
+    const error = arrived ? serverPaddleY - lastAckedInput.targetY : serverTargetY - lastAckedInput.targetY;
+    if (Math.abs(error) > PADDLE_CORRECTION_THRESHOLD) {
+        correctionCount++;
+        recordCorrection('paddle', error);
+        playerY = Math.max(0, Math.min(CANVAS_HEIGHT - ownPaddleHeight(), playerY + error));
+        lastAckedInput.targetY += error;
     }
 }
 
-// Game loop for multiplayer
-function gameLoopMultiplayer(ctx) {
-    if (!isGameActive) return;
-    
-    updateMultiplayer(); // Handles local player paddle movement and sending updates
+// Estimate the local time of a server timestamp; the smallest recent offset has the least network delay
+function serverTimeToLocal(serverTime) {
+    return serverTime + Math.min(...clockOffsetSamples);
+}
+
+// Remote paddle position at the given local time, interpolated between server snapshots
+function samplePaddleSnapshots(snapshots, renderTime, fallbackY) {
+    if (snapshots.length === 0) return fallbackY;
+    
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    if (renderTime <= first.time) return first.y;
+    if (renderTime >= last.time) return last.y;
+    
+    for (let i = snapshots.length - 1; i > 0; i--) {
+        const a = snapshots[i - 1];
+        const b = snapshots[i];
+        if (renderTime >= a.time) {
+            const t = b.time > a.time ? (renderTime - a.time) / (b.time - a.time) : 1;
+            return a.y + (b.y - a.y) * t;
+        }
+    }
+    return last.y;
+}
+
+// Remember a prediction correction for the debug timeline
+function recordCorrection(type, amount) {
+    correctionHistory.push({ time: Date.now(), type, amount: Math.round(amount) });
+    if (correctionHistory.length > MAX_HISTORY_LENGTH) correctionHistory.shift();
+}
+
+// Advance the loop clock and return the elapsed real time in seconds (clamped)
+function consumeFrameTime(timestamp) {
+    if (lastLoopTimestamp === null) lastLoopTimestamp = timestamp;
+    const frameTime = Math.min((timestamp - lastLoopTimestamp) / 1000, MAX_FRAME_TIME);
+    lastLoopTimestamp = timestamp;
+    return Math.max(0, frameTime);
+}
+
+// Reset the fixed-step clock and start a new loop generation; older loops stop on their next frame
+function resetLoopClock() {
+    loopGeneration++;
+    lastLoopTimestamp = null;
+    accumulator = 0;
+    previousTickPositions = null;
+    return loopGeneration;
+}
+
+// Remember positions before a simulation tick so rendering can interpolate between ticks
+function capturePreviousPositions() {
+    previousTickPositions = { ballX, ballY, playerY, opponentY };
+}
+
+// Positions to draw: blend of the previous and current tick by alpha (0..1)
+function getRenderPositions(alpha) {
+    const current = { ballX, ballY, playerY, opponentY };
+    const prev = previousTickPositions;
+    if (!prev || alpha >= 1) return current;
+    
+    // Don't interpolate across a teleport (serve after a goal, hard server correction)
+    if (Math.abs(prev.ballX - ballX) > CANVAS_WIDTH / 4 || Math.abs(prev.ballY - ballY) > CANVAS_HEIGHT / 4) {
+        return current;
+    }
     
-    // Client-side prediction for the ball
-    // Assuming 60fps, clientDeltaTime is approx 1/60.
-    // Server multiplies velocity by deltaTime * 60, so we do the same here.
-    const clientPredictionDelta = 1 / 60; 
-    ballX += ballVX * clientPredictionDelta * 60;
-    ballY += ballVY * clientPredictionDelta * 60;
+    const lerp = (a, b) => a + (b - a) * alpha;
+    return {
+        ballX: lerp(prev.ballX, ballX),
+        ballY: lerp(prev.ballY, ballY),
+        playerY: lerp(prev.playerY, playerY),
+        opponentY: lerp(prev.opponentY, opponentY)
+    };
+}
 
-    // Client-side wall collision prediction
-    if (ballY <= 0 || ballY + BALL_SIZE >= CANVAS_HEIGHT) {
-        ballVY = -ballVY;
-        ballY = Math.max(0, Math.min(CANVAS_HEIGHT - BALL_SIZE, ballY)); // Clamp to bounds
+// Game loop for single player: fixed simulation ticks, interpolated rendering
+function gameLoop(ctx, generation, timestamp) {
+    if (!isGameActive || isMultiplayer || generation !== loopGeneration) return;
+    
+    accumulator += consumeFrameTime(timestamp);
+    // A paused game keeps drawing but drops the elapsed time, so it resumes without catching up
+    if (localPaused) accumulator = 0;
+    while (accumulator >= FIXED_TIMESTEP) {
+        capturePreviousPositions();
+        updateSinglePlayer();
+        accumulator -= FIXED_TIMESTEP;
     }
+    draw(ctx, localPaused ? 1 : accumulator / FIXED_TIMESTEP);
+    
+    requestAnimationFrame((t) => gameLoop(ctx, generation, t));
+}
+
+// Advance the predicted ball by one fixed tick and blend out any leftover correction error
+function predictBall() {
+    // Nothing to predict until the first authoritative snapshot arrives, while the match is on hold or after it ended
+    if (!predictedBall || matchOverlay || gameOver) return;
+    
+    // Client-side prediction for the ball, including wall bounces, using the shared physics core
     // Note: Client-side prediction of paddle collisions is complex and usually omitted
     // to rely on the server's authoritative collision detection.
+    predictedBall = stepBall(predictedBall, FIXED_TIMESTEP).ball;
+    extraBalls = extraBalls.map((ball) => stepBall(ball, FIXED_TIMESTEP).ball);
+    
+    ballErrorX *= BALL_ERROR_DECAY;
+    ballErrorY *= BALL_ERROR_DECAY;
+    if (Math.abs(ballErrorX) < 0.5) ballErrorX = 0;
+    if (Math.abs(ballErrorY) < 0.5) ballErrorY = 0;
+    
+    ballX = predictedBall.x + ballErrorX;
+    ballY = predictedBall.y + ballErrorY;
+    ballVX = predictedBall.vx;
+    ballVY = predictedBall.vy;
+}
 
-    // Server Reconciliation: Interpolate visual ball towards server's authoritative position
-    const interpolationFactor = 0.15; // Adjust for smoothness (0.1 - 0.3 typically)
-    ballX += (serverAuthoritativeBallX - ballX) * interpolationFactor;
-    ballY += (serverAuthoritativeBallY - ballY) * interpolationFactor;
-
-    // If a new server update has provided fresh velocities, adopt them.
-    if (!newServerUpdateProcessed) {
-        ballVX = serverAuthoritativeBallVX;
-        ballVY = serverAuthoritativeBallVY;
-        newServerUpdateProcessed = true; // Mark that these new velocities are now in use by client prediction
+// Server ball extrapolated to the present by the one-way latency
+function extrapolateBall(serverBall) {
+    const latencyTicks = Math.min(Math.round((pingMs / 2 / 1000) / FIXED_TIMESTEP), MAX_EXTRAPOLATION_TICKS);
+    let ball = {
+        x: serverBall.x,
+        y: serverBall.y,
+        vx: serverBall.velocityX,
+        vy: serverBall.velocityY,
+        curve: serverBall.curve ?? 0
+    };
+    for (let i = 0; i < latencyTicks; i++) {
+        ball = stepBall(ball, FIXED_TIMESTEP).ball;
     }
+    return ball;
+}
 
-    // Snap to authoritative position if very close, to prevent micro-oscillations
-    if (Math.abs(serverAuthoritativeBallX - ballX) < 0.5) {
-        ballX = serverAuthoritativeBallX;
-    }
-    if (Math.abs(serverAuthoritativeBallY - ballY) < 0.5) {
-        ballY = serverAuthoritativeBallY;
+// Re-base the ball prediction on a server snapshot
+function reconcileBall(serverBall) {
+    const ball = extrapolateBall(serverBall);
+    
+    if (!predictedBall) {
+        predictedBall = ball;
+        ballErrorX = 0;
+        ballErrorY = 0;
+    } else {
+        // Keep the ball where it is on screen and blend the difference out over the next ticks
+        const errorX = ballX - ball.x;
+        const errorY = ballY - ball.y;
+        const deviation = Math.sqrt(errorX * errorX + errorY * errorY);
+        if (deviation > BALL_CORRECTION_THRESHOLD) {
+            correctionCount++;
+            recordCorrection('ball', deviation);
+        }
+        predictedBall = ball;
+        if (deviation > BALL_SNAP_DISTANCE) {
+            ballErrorX = 0;
+            ballErrorY = 0;
+        } else {
+            ballErrorX = errorX;
+            ballErrorY = errorY;
+        }
     }
     
-    draw(ctx);
-    
-    if (isMultiplayer && isGameActive) {
-        requestAnimationFrame(() => gameLoopMultiplayer(ctx));
+    ballX = predictedBall.x + ballErrorX;
+    ballY = predictedBall.y + ballErrorY;
+    ballVX = predictedBall.vx;
+    ballVY = predictedBall.vy;
+}
+
+// Game loop for multiplayer: same fixed-step clock as local play
+function gameLoopMultiplayer(ctx, generation, timestamp) {
+    if (!isGameActive || !isMultiplayer || generation !== loopGeneration) return;
+    
+    accumulator += consumeFrameTime(timestamp);
+    while (accumulator >= FIXED_TIMESTEP) {
+        capturePreviousPositions();
+        updateMultiplayer(); // Handles local player paddle movement and sending updates
+        predictBall();
+        if (!isSpectating) checkNearMisses();
+        accumulator -= FIXED_TIMESTEP;
     }
+    draw(ctx, accumulator / FIXED_TIMESTEP);
+    
+    requestAnimationFrame((t) => gameLoopMultiplayer(ctx, generation, t));
 }
 
 // Process the game state received from server
 function renderServerState(state) {
     if (!state || typeof state !== 'object') return;
     
+    // Ignore duplicate and out-of-order snapshots (the final game over state is always applied).
+    // A new game after game over (rematch) starts counting again.
+    if (gameOver && state.gameOver === false) lastServerSequence = -1;
+    if (typeof state.sequenceNumber === 'number') {
+        if (state.sequenceNumber <= lastServerSequence && !state.gameOver) return;
+        lastServerSequence = state.sequenceNumber;
+    }
+    
     // Record timing for debug info
-    lastServerUpdate = Date.now();
-    
-    // Update authoritative state from server
-    serverAuthoritativeBallX = state.ball?.x ?? serverAuthoritativeBallX;
-    serverAuthoritativeBallY = state.ball?.y ?? serverAuthoritativeBallY;
-    serverAuthoritativeBallVX = state.ball?.velocityX ?? serverAuthoritativeBallVX;
-    serverAuthoritativeBallVY = state.ball?.velocityY ?? serverAuthoritativeBallVY;
-    newServerUpdateProcessed = false; // Flag that new server velocities are available for the client to adopt
-
-    // Calculate how much our prediction deviated (for debugging)
-    const ballDeviation = Math.sqrt(
-        Math.pow(serverAuthoritativeBallX - ballX, 2) + 
-        Math.pow(serverAuthoritativeBallY - ballY, 2)
-    );
-    
-    // If the ball position is significantly different, count as a correction
-    if (ballDeviation > 10) { // Threshold for "significant" deviation
-        correctionCount++;
+    const now = Date.now();
+    lastServerUpdate = now;
+    
+    // Track the server clock so snapshots can be placed on the local timeline
+    const serverTime = state.serverTime || now;
+    clockOffsetSamples.push(now - serverTime);
+    if (clockOffsetSamples.length > CLOCK_OFFSET_SAMPLES) clockOffsetSamples.shift();
+    
+    // Where we predicted the ball before this snapshot corrects it (null before the first snapshot)
+    const predictedBefore = predictedBall ? { x: ballX, y: ballY, vx: ballVX, vy: ballVY } : null;
+    const leftScoreBefore = playerSide === 1 ? playerScore : opponentScore;
+    const rightScoreBefore = playerSide === 1 ? opponentScore : playerScore;
+    
+    // Re-base ball prediction on the authoritative ball
+    if (state.ball) {
+        reconcileBall(state.ball);
+    }
+    
+    // Arcade mode: the server owns the extra balls, power-ups and effects; the extra balls are only extrapolated.
+    // A power-up gone long before its time ran out was collected.
+    extraBalls = (state.extraBalls ?? []).map(extrapolateBall);
+    const nextPowerUps = state.powerUps ?? [];
+    for (const powerUp of powerUps) {
+        if (powerUp.remaining > 500 && !nextPowerUps.some((p) => p.id === powerUp.id)) playPowerUp(powerUp.x);
+    }
+    powerUps = nextPowerUps;
+    effects = state.effects ?? [];
+    leftPaddleHeight = state.leftPaddle?.height ?? PADDLE_HEIGHT;
+    rightPaddleHeight = state.rightPaddle?.height ?? PADDLE_HEIGHT;
+    
+    // Server vs. predicted ball and the snapshot's delay beyond the fastest one seen, for the debug timeline
+    if (state.ball) {
+        serverUpdateHistory.push({
+            time: now,
+            serverTime,
+            latency: Math.round(pingMs / 2 + (now - serverTime) - Math.min(...clockOffsetSamples)),
+            serverX: state.ball.x,
+            serverY: state.ball.y,
+            predictedX: predictedBefore ? predictedBefore.x : null,
+            predictedY: predictedBefore ? predictedBefore.y : null
+        });
+        if (serverUpdateHistory.length > MAX_HISTORY_LENGTH) serverUpdateHistory.shift();
     }
     
-    // Record collision details if server reports one
-    if (state.lastCollision && state.lastCollision.time > 0) {
+    // Record collision details if server reports a new one; one already in the first snapshot is old news
+    const collision = state.lastCollision;
+    if (collision && collision.time > 0 && collision.time !== lastCollisionTime) {
+        lastCollisionTime = collision.time;
+        if (predictedBefore) {
+            if (collision.type === 'wall') playWallBounce(collision.ballX);
+            else playPaddleHit(collision.ballX, collision.speed ?? BALL_SPEED);
+        }
         lastCollisionCheck = {
             time: Date.now(),
             result: true,
@@ -637,24 +1214,31 @@ function renderServerState(state) {
         if (collisionChecks.length > 100) collisionChecks.shift();
     }
     
-    // Update game state from server
-    if (playerSide === 1) {
-        // We're on the left
-        opponentY = state.rightPaddle?.y ?? opponentY;
-        // Store server paddle positions for comparison
-        serverLeftPaddleY = state.leftPaddle?.y ?? null;  
-        serverRightPaddleY = state.rightPaddle?.y ?? null;
-        // DO NOT directly set ballX, ballY here. Interpolation handles it.
-    } else {
-        // We're on the right
-        opponentY = state.leftPaddle?.y ?? opponentY;
-        // Store server paddle positions for comparison
-        serverLeftPaddleY = state.leftPaddle?.y ?? null;
-        serverRightPaddleY = state.rightPaddle?.y ?? null;
-        // DO NOT directly set ballX, ballY here. Interpolation handles it.
+    // Store server paddle positions for comparison
+    serverLeftPaddleY = state.leftPaddle?.y ?? null;
+    serverRightPaddleY = state.rightPaddle?.y ?? null;
+    
+    const ownPaddleY = playerSide === 1 ? serverLeftPaddleY : serverRightPaddleY;
+    const opponentPaddleY = playerSide === 1 ? serverRightPaddleY : serverLeftPaddleY;
+    const ackedSequence = playerSide === 1 ? state.leftInputSequence : state.rightInputSequence;
+    const ownTargetY = playerSide === 1 ? state.leftPaddleTargetY : state.rightPaddleTargetY;
+    
+    // Our paddle: replay unacknowledged inputs on top of the server position.
+    // Spectators own no paddle, so the left one is interpolated like the opponent's.
+    if (isSpectating) {
+        if (ownPaddleY !== null) {
+            playerSnapshots.push({ time: serverTimeToLocal(serverTime), y: ownPaddleY });
+            if (playerSnapshots.length > MAX_OPPONENT_SNAPSHOTS) playerSnapshots.shift();
+        }
+    } else if (ownPaddleY !== null && typeof ackedSequence === 'number') {
+        reconcilePlayerPaddle(ownPaddleY, ownTargetY, ackedSequence);
     }
     
-    // DO NOT directly set ballVX, ballVY here. The game loop handles adopting new server velocities.
+    // Opponent paddle: buffered for snapshot interpolation in updateMultiplayer()
+    if (opponentPaddleY !== null) {
+        opponentSnapshots.push({ time: serverTimeToLocal(serverTime), y: opponentPaddleY });
+        if (opponentSnapshots.length > MAX_OPPONENT_SNAPSHOTS) opponentSnapshots.shift();
+    }
     
     // Update scores
     if (playerSide === 1) {
@@ -665,32 +1249,123 @@ function renderServerState(state) {
         opponentScore = state.leftScore ?? opponentScore;
     }
     
+    // Goals scored since the previous snapshot, with the ball where we last predicted it
+    if (predictedBefore) {
+        for (const scorer of [1, 2]) {
+            const scored = scorer === 1 ? (state.leftScore ?? 0) > leftScoreBefore : (state.rightScore ?? 0) > rightScoreBefore;
+            if (!scored) continue;
+            playGoal(predictedBefore.x, isSpectating || scorer === playerSide);
+            recordGoalData({ scorer, ball: predictedBefore });
+            announceGoal(scorer, state.leftScore ?? 0, state.rightScore ?? 0);
+        }
+    }
+    
+    viewerCount = state.viewerCount ?? viewerCount;
+    
     // Update game state
+    const wasGameOver = gameOver;
     gameOver = state.gameOver ?? gameOver;
+    if (gameOver) matchWinner = state.winner ?? 0;
+    if (gameOver && !wasGameOver && predictedBefore) {
+        playMatchEnd(isSpectating || matchWinner === playerSide);
+        announceMatchEnd(matchWinner, state.leftScore ?? 0, state.rightScore ?? 0);
+    }
+    
+    // Record the match (a rematch starts a new recording with its first snapshot)
+    if (!replayRecorder && !gameOver && state.ball) startOnlineRecording(serverTime);
+    if (replayRecorder && state.ball && serverLeftPaddleY !== null && serverRightPaddleY !== null) {
+        replayRecorder.record({
+            ballX: state.ball.x,
+            ballY: state.ball.y,
+            leftY: serverLeftPaddleY,
+            rightY: serverRightPaddleY,
+            leftScore: state.leftScore ?? 0,
+            rightScore: state.rightScore ?? 0,
+            leftHeight: state.leftPaddle?.height,
+            rightHeight: state.rightPaddle?.height,
+            extraBalls: state.extraBalls,
+            powerUps: state.powerUps,
+            effects: state.effects
+        }, serverTime - replayStartServerTime);
+        if (gameOver) finishReplay(matchWinner);
+    }
 }
 
 // Handle keyboard input
 let lastPaddleUpdateTime = 0;
 
+function isHotSeatGame() {
+    return !isMultiplayer && localMode === 'versus';
+}
+
+// Side names as announced to this player: { 1: left, 2: right }
+function announcedSideNames() {
+    if (isSpectating && spectatedNames) return { 1: spectatedNames.left, 2: spectatedNames.right };
+    if (isHotSeatGame()) return { 1: 'Player 1', 2: 'Player 2' };
+    const opponent = isMultiplayer ? 'Your opponent' : 'The computer';
+    return playerSide === 1 ? { 1: 'You', 2: opponent } : { 1: opponent, 2: 'You' };
+}
+
+function announce(text) {
+    if (announceHandler) announceHandler(text);
+}
+
+function announceGoal(scorer, leftScore, rightScore) {
+    const names = announcedSideNames();
+    announce(`${names[scorer]} scored. ${names[1]} ${leftScore}, ${names[2]} ${rightScore}.`);
+}
+
+function announceMatchEnd(winner, leftScore, rightScore) {
+    const names = announcedSideNames();
+    const high = Math.max(leftScore, rightScore);
+    const low = Math.min(leftScore, rightScore);
+    announce(winner ? `${names[winner]} won the match, ${high} to ${low}.` : `Match over, ${leftScore} to ${rightScore}.`);
+}
+
+// Paddle keys are read through input.js; R restarts a finished local game, Escape pauses
 function handleKeyDown(e) {
-    if (e.key === 'ArrowUp' || e.key === 'w') upPressed = true;
-    if (e.key === 'ArrowDown' || e.key === 's') downPressed = true;
-    if (e.key === 'r' && gameOver) {
-        playerScore = 0; 
-        opponentScore = 0; 
-        gameOver = false; 
-        resetBall();
+    const tag = e.target && e.target.tagName;
+    if (e.key === 'Escape' && tag !== 'INPUT' && tag !== 'TEXTAREA' && tag !== 'SELECT') {
+        togglePause();
+        return;
+    }
+    if (e.key === 'r' && gameOver && !isMultiplayer && !replayPlayer) {
+        localState = createInitialState(Date.now(), localState ? localState.rules : DEFAULT_MATCH_RULES);
+        syncFromLocalState();
+        if (aiController) aiController.reset();
+        startLocalRecording();
+    }
+}
+
+// Pause or resume the game being played: local games right here, online matches through the server
+export function togglePause() {
+    if (!isGameActive || replayPlayer || isSpectating || gameOver) return;
+    if (isMultiplayer) {
+        if (onlinePauseHandler) onlinePauseHandler();
+        return;
     }
+    localPaused = !localPaused;
+    if (localPaused) showMatchOverlay('Paused - press Esc to resume');
+    else hideMatchOverlay();
+    announce(localPaused ? 'Game paused.' : 'Game resumed.');
 }
 
-function handleKeyUp(e) {
-    if (e.key === 'ArrowUp' || e.key === 'w') upPressed = false;
-    if (e.key === 'ArrowDown' || e.key === 's') downPressed = false;
+// handler() asks the server to pause our online match, or to resume it if we paused it
+export function setOnlinePauseHandler(handler) {
+    onlinePauseHandler = handler;
 }
 
 // Start multiplayer game mode
-export function enableMultiplayer(side, sendUpdateFn) {
+// sendUpdateFn(targetY, inputSequence) forwards a numbered paddle input to the server
+// names: { left, right } player names, kept with the match replay
+export function enableMultiplayer(side, sendUpdateFn, names = null) {
     isMultiplayer = true;
+    isSpectating = false;
+    spectatedNames = null;
+    matchNames = names;
+    replayRecorder = null;
+    replayPlayer = null;
+    viewerCount = 0;
     playerSide = side;
     sendPaddleUpdate = sendUpdateFn;
     isGameActive = true;
@@ -702,22 +1377,27 @@ export function enableMultiplayer(side, sendUpdateFn) {
     playerScore = 0;
     opponentScore = 0;
     gameOver = false;
+    matchWinner = 0;
 
-    // Initialize server authoritative state to match client's initial state
-    serverAuthoritativeBallX = ballX;
-    serverAuthoritativeBallY = ballY;
-    serverAuthoritativeBallVX = ballVX;
-    serverAuthoritativeBallVY = ballVY;
-    newServerUpdateProcessed = true; // Start as true, assuming initial state is "processed"
+    // Reset prediction state; the ball stays put until the first server snapshot
+    resetPredictionState();
+    correctionCount = 0;
+    matchOverlay = null;
+    localPaused = false;
     
     // Clear debug history
     ballHistory = [];
     paddleHistory = [];
     collisionChecks = [];
+    serverUpdateHistory = [];
+    correctionHistory = [];
     
     // Show instructions
     const instructions = document.getElementById('game-instructions');
-    if (instructions) instructions.style.display = 'block';
+    if (instructions) {
+        instructions.textContent = `Move with ${describePlayerKeys(1)}, ${describePlayerKeys(2)}, the mouse, touch or a gamepad`;
+        instructions.style.display = 'block';
+    }
     
     // Check if debug mode is enabled
     const debugCheckbox = document.getElementById('toggle-debug');
@@ -741,13 +1421,213 @@ export function enableMultiplayer(side, sendUpdateFn) {
     // Start animation loop
     if (currentCtx) {
         // Send initial paddle position
-        if (sendPaddleUpdate) {
-            sendPaddleUpdate(playerY);
-        }
+        sendPaddleInput(playerY);
         lastFrameTime = Date.now();
         frameCount = 0;
-        requestAnimationFrame(() => gameLoopMultiplayer(currentCtx));
+        const generation = resetLoopClock();
+        requestAnimationFrame((t) => gameLoopMultiplayer(currentCtx, generation, t));
+    }
+}
+
+// Forget everything derived from earlier server snapshots
+function resetPredictionState() {
+    pendingInputs = [];
+    lastAckedInput = null;
+    lastServerSequence = -1;
+    predictedBall = null;
+    ballErrorX = 0;
+    ballErrorY = 0;
+    lastCollisionTime = 0;
+    opponentSnapshots = [];
+    playerSnapshots = [];
+    clockOffsetSamples = [];
+}
+
+// Resync a running online match from a full server state (after rejoining on a new connection)
+export function resyncMultiplayerState(side, state) {
+    if (!isMultiplayer || !isGameActive) {
+        enableMultiplayer(side, sendPaddleUpdate, matchNames);
+    }
+    playerSide = side;
+    resetPredictionState();
+    
+    // Take our paddle straight from the server; the opponent and ball follow from renderServerState
+    const ownPaddle = side === 1 ? state.leftPaddle : state.rightPaddle;
+    const opponentPaddle = side === 1 ? state.rightPaddle : state.leftPaddle;
+    if (ownPaddle) playerY = ownPaddle.y;
+    if (opponentPaddle) opponentY = opponentPaddle.y;
+    previousTickPositions = null;
+    
+    renderServerState(state);
+}
+
+// Show an overlay over the online match; durationMs adds a countdown and hides it when done
+// options.countdown: beep through the last seconds and when play resumes
+export function showMatchOverlay(title, durationMs = null, { countdown = false } = {}) {
+    matchOverlay = { title, until: durationMs ? Date.now() + durationMs : null, countdown };
+    lastCountdownSecond = null;
+}
+
+// Countdown to the start of an online match; startAt and serverTime are server clock times (Unix ms)
+// from GameStarted, so both players reach zero together, when the server starts play
+export function showStartCountdown(startAt, serverTime) {
+    clockOffsetSamples.push(Date.now() - serverTime);
+    if (clockOffsetSamples.length > CLOCK_OFFSET_SAMPLES) clockOffsetSamples.shift();
+    showMatchOverlay('Get ready', Math.max(1, serverTimeToLocal(startAt) - Date.now()), { countdown: true });
+}
+
+export function hideMatchOverlay() {
+    matchOverlay = null;
+}
+
+// Pop an emote over a paddle for a moment; side: 1 = left, 2 = right
+export function showEmote(side, text) {
+    paddleEmotes[side] = { text, until: Date.now() + EMOTE_DURATION_MS };
+}
+
+// Watch an online match read-only
+// match: { player1, player2 } names from the live match list; state: current server state, if known
+export function startSpectating(match, state = null) {
+    enableMultiplayer(1, null);
+    isSpectating = true;
+    spectatedNames = { left: match.player1, right: match.player2 };
+    
+    const instructions = document.getElementById('game-instructions');
+    if (instructions) instructions.textContent = `Spectating ${match.player1} vs ${match.player2}`;
+    
+    if (state) renderServerState(state);
+}
+
+// Leave the finished (or watched) online match and show an idle board until the next game starts
+export function leaveMultiplayer() {
+    isMultiplayer = false;
+    isSpectating = false;
+    spectatedNames = null;
+    viewerCount = 0;
+    isGameActive = false;
+    sendPaddleUpdate = null;
+    matchOverlay = null;
+    localPaused = false;
+    paddleEmotes = {};
+    replayRecorder = null; // An unfinished match is not kept
+    resetLoopClock(); // Stops the running multiplayer loop
+    resetPredictionState();
+    showIdleBoard();
+}
+
+// Centered paddles and ball, no scores
+function showIdleBoard() {
+    playerSide = 1;
+    playerY = (CANVAS_HEIGHT - PADDLE_HEIGHT) / 2;
+    opponentY = (CANVAS_HEIGHT - PADDLE_HEIGHT) / 2;
+    resetBall();
+    playerScore = 0;
+    opponentScore = 0;
+    gameOver = false;
+    matchWinner = 0;
+
+    const instructions = document.getElementById('game-instructions');
+    if (instructions) instructions.style.display = 'none';
+    if (currentCtx) draw(currentCtx);
+}
+
+// Play a replay on the board instead of a match
+// onFrame(player) is called after every drawn frame so the replay controls can follow playback.
+// Returns the replay player (play/pause, seek, speed, goal jumps), or null during an online match.
+export function startReplay(replay, onFrame = null) {
+    if (isMultiplayer && isGameActive) return null;
+    isMultiplayer = false;
+    isSpectating = false;
+    isGameActive = false;
+    sendPaddleUpdate = null;
+    localState = null;
+    aiController = null;
+    replayRecorder = null;
+    matchOverlay = null;
+    localPaused = false;
+    paddleEmotes = {};
+    viewerCount = 0;
+    
+    replayPlayer = createReplayPlayer(replay);
+    resetArcadeView();
+    resetVisualEffects();
+    playerSide = replay.ownSide || 1;
+    spectatedNames = replay.names;
+    matchWinner = replay.result.winner;
+    
+    const instructions = document.getElementById('game-instructions');
+    if (instructions) instructions.style.display = 'none';
+    
+    if (currentCtx) {
+        const generation = resetLoopClock();
+        requestAnimationFrame((t) => gameLoopReplay(currentCtx, generation, t, onFrame));
     }
+    return replayPlayer;
+}
+
+// Take the replay off the board
+export function stopReplay() {
+    if (!replayPlayer) return;
+    replayPlayer = null;
+    spectatedNames = null;
+    resetLoopClock(); // Stops the replay loop
+    showIdleBoard();
+}
+
+// Receive every finished match recording: handler(replay), see replay.js for the format
+export function setReplayListener(handler) {
+    replayListener = handler;
+}
+
+// Game loop for replays: the replay clock picks the recorded frame, no simulation runs
+function gameLoopReplay(ctx, generation, timestamp, onFrame) {
+    if (!replayPlayer || generation !== loopGeneration) return;
+    
+    replayPlayer.advance(consumeFrameTime(timestamp) * 1000);
+    const frame = sampleReplay(replayPlayer.replay, replayPlayer.time);
+    const ownLeft = playerSide === 1;
+    playerY = ownLeft ? frame.leftY : frame.rightY;
+    opponentY = ownLeft ? frame.rightY : frame.leftY;
+    playerScore = ownLeft ? frame.leftScore : frame.rightScore;
+    opponentScore = ownLeft ? frame.rightScore : frame.leftScore;
+    ballX = frame.ballX;
+    ballY = frame.ballY;
+    leftPaddleHeight = frame.leftHeight;
+    rightPaddleHeight = frame.rightHeight;
+    extraBalls = frame.extraBalls;
+    powerUps = frame.powerUps;
+    effects = frame.effects;
+    gameOver = replayPlayer.finished;
+    draw(ctx);
+    if (onFrame) onFrame(replayPlayer);
+    
+    requestAnimationFrame((t) => gameLoopReplay(ctx, generation, t, onFrame));
+}
+
+// Snapshot of the debug history, as downloaded by the debug panel and read by the debug analyzer.
+// Times are local Date.now() values.
+export function getDebugData() {
+    return {
+        timestamp: new Date().toISOString(),
+        playerSide,
+        seed: isMultiplayer ? null : localSeed,
+        goals: goalHistory,
+        ballHistory: ballHistory.slice(-500), // Last 500 records
+        paddleHistory: paddleHistory.slice(-500), // Last 500 records
+        collisionChecks,
+        serverUpdates: serverUpdateHistory.slice(-500), // Online matches only
+        corrections: correctionHistory.slice(-500)
+    };
+}
+
+// Read goals and match results to screen readers: handler(text), see components/announcer.js
+export function setAnnouncer(handler) {
+    announceHandler = handler;
+}
+
+// Let the debug analyzer open goals clicked in the debug panel: handler(goal, index)
+export function setDebugGoalHandler(handler) {
+    debugGoalHandler = handler;
 }
 
 // Set up debug data download
@@ -755,14 +1635,7 @@ function setupDebugDownload() {
     const downloadButton = document.getElementById('download-debug');
     if (downloadButton) {
         downloadButton.addEventListener('click', () => {
-            const debugData = {
-                timestamp: new Date().toISOString(),
-                playerSide,
-                goals: goalHistory,
-                ballHistory: ballHistory.slice(-500), // Last 500 records
-                paddleHistory: paddleHistory.slice(-500), // Last 500 records
-                collisionChecks
-            };
+            const debugData = getDebugData();
             
             // Create file for download
             const dataStr = JSON.stringify(debugData, null, 2);
@@ -785,15 +1658,6 @@ function setupDebugDownload() {
     }
 }
 
-// Handle opponent paddle updates (directly from other client)
-export function handleOpponentInput(targetY) {
-    if (playerSide === 1) {
-        opponentY = targetY;
-    } else {
-        opponentY = targetY;
-    }
-}
-
 // Update from server
 export function renderMultiplayerState(state) {
     renderServerState(state);
@@ -804,28 +1668,48 @@ export function updatePing(pingTime) {
     pingMs = pingTime;
 }
 
-// Start local single-player game
-export function startLocalGame() {
+// Start local game
+// options.mode: 'computer' (default) or 'versus' for two players on one keyboard
+// options.aiDifficulty: 'easy' | 'medium' | 'hard' | 'insane' (computer mode only)
+// options.seed: optional seed for a reproducible serve sequence
+// options.rules: match rules (see rules.js), defaults if omitted
+export function startLocalGame(options = {}) {
     isMultiplayer = false;
     isGameActive = true;
-    playerSide = 1; // Always left in single player
+    replayPlayer = null;
+    spectatedNames = null;
+    playerSide = 1; // Player 1 is always left in local games
+    localMode = options.mode === 'versus' ? 'versus' : 'computer';
+    matchOverlay = null;
+    localPaused = false;
+    resetInput();
+
+    // In computer mode the AI plays the right paddle
+    aiController = localMode === 'computer'
+        ? createAIController(options.aiDifficulty || DEFAULT_AI_DIFFICULTY, 2)
+        : null;
     
     // Reset game state
-    playerY = (CANVAS_HEIGHT - PADDLE_HEIGHT) / 2;
-    opponentY = (CANVAS_HEIGHT - PADDLE_HEIGHT) / 2;
-    resetBall();
-    playerScore = 0;
-    opponentScore = 0;
-    gameOver = false;
+    localSeed = options.seed ?? Date.now();
+    localState = createInitialState(localSeed, options.rules);
+    syncFromLocalState();
+    resetVisualEffects();
+    startLocalRecording();
     
     // Clear debug history (but do NOT clear goalHistory)
     ballHistory = [];
     paddleHistory = [];
     collisionChecks = [];
+    serverUpdateHistory = [];
+    correctionHistory = [];
     
     // Show instructions
     const instructions = document.getElementById('game-instructions');
     if (instructions) {
+        const controls = localMode === 'versus'
+            ? `Player 1: ${describePlayerKeys(1)} - Player 2: ${describePlayerKeys(2)}`
+            : `Move with ${describePlayerKeys(1)}, ${describePlayerKeys(2)}, the mouse, touch or a gamepad`;
+        instructions.textContent = `${controls} - ${describeRules(localState.rules)}`;
         instructions.style.display = 'block';
     }
     
@@ -852,13 +1736,23 @@ export function startLocalGame() {
     if (currentCtx) {
         lastFrameTime = Date.now();
         frameCount = 0;
-        requestAnimationFrame(() => gameLoop(currentCtx));
+        const generation = resetLoopClock();
+        requestAnimationFrame((t) => gameLoop(currentCtx, generation, t));
     }
 }
 
 // Track canvas context
 let currentCtx = null;
 
+// Display settings: settings.theme is a THEMES id, settings.effects the enabled effects (see effects.js)
+// settings: { theme, effects, accessibility: { markPaddle, ballIndicator } }
+export function setDisplaySettings(settings) {
+    theme = getTheme(settings.theme);
+    visualEffects.setEnabled(settings.effects);
+    accessibility = { ...accessibility, ...settings.accessibility };
+    if (currentCtx && !isGameActive && !replayPlayer) draw(currentCtx);
+}
+
 // Initialize game
 export function initGame() {
     const canvas = document.getElementById('pong-canvas');
@@ -867,9 +1761,18 @@ export function initGame() {
     const ctx = canvas.getContext('2d');
     currentCtx = ctx;
     
+    // Fit the board to the window; resizing clears the canvas, so an idle board is drawn again
+    setupViewport({
+        container: document.getElementById('game-container'),
+        canvas,
+        overlay: document.getElementById('debug-canvas')
+    }, () => {
+        if (!isGameActive && !replayPlayer) draw(ctx);
+    });
+    
     // Set up input handlers
+    setupInput(canvas);
     document.addEventListener('keydown', handleKeyDown);
-    document.addEventListener('keyup', handleKeyUp);
     
     // Set up debug toggle
     const debugCheckbox = document.getElementById('toggle-debug');
@@ -906,6 +1809,6 @@ export function initGame() {
 // Clean up game resources
 export function cleanupGame() {
     isGameActive = false;
+    teardownInput();
     document.removeEventListener('keydown', handleKeyDown);
-    document.removeEventListener('keyup', handleKeyUp);
 }
\ No newline at end of file
@@ -0,0 +1,241 @@
+// input.js - Paddle input from the keyboard, mouse or touch drag, on-screen touch zones and gamepads
+// Every source ends up as a stepPaddle() input, so local play and online prediction treat them alike.
+// Players: 1 drives the left paddle in hot-seat games; outside hot-seat every source drives the own paddle.
+
+import { FIELD } from './physics.js';
+
+const BINDINGS_KEY = 'pong.keyBindings';
+
+// Actions that can be bound to a key; P2 keys only matter in hot-seat games
+export const KEY_ACTIONS = [
+    { action: 'p1Up', label: 'Up (P1)' },
+    { action: 'p1Down', label: 'Down (P1)' },
+    { action: 'p2Up', label: 'Up (P2)' },
+    { action: 'p2Down', label: 'Down (P2)' }
+];
+
+export const DEFAULT_KEY_BINDINGS = Object.freeze({
+    p1Up: 'w',
+    p1Down: 's',
+    p2Up: 'ArrowUp',
+    p2Down: 'ArrowDown'
+});
+
+const GAMEPAD_DEAD_ZONE = 0.2; // Stick deflection ignored around the center
+const GAMEPAD_AXIS = 1; // Left stick, vertical
+const GAMEPAD_DPAD_UP = 12;
+const GAMEPAD_DPAD_DOWN = 13;
+
+let canvas = null;
+let bindings = loadBindings();
+let pressedKeys = new Set(); // Normalized keys held down
+let pointers = new Map(); // pointerId -> { y, half } for drags on the canvas (y in field pixels, half 1 = left)
+let touchZones = new Set(); // Held on-screen zones, e.g. '1:up'
+let keyCapture = null; // Callback waiting for the next key (rebinding)
+
+// Single letters are matched case-insensitively so Shift or Caps Lock do not break a binding
+function normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+function loadBindings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(BINDINGS_KEY) || '{}');
+        const result = { ...DEFAULT_KEY_BINDINGS };
+        for (const { action } of KEY_ACTIONS) {
+            if (typeof saved[action] === 'string' && saved[action]) result[action] = saved[action];
+        }
+        return result;
+    } catch {
+        return { ...DEFAULT_KEY_BINDINGS };
+    }
+}
+
+export function getKeyBindings() {
+    return { ...bindings };
+}
+
+// Bind a key to an action; a key only serves one action, so it is taken from any other
+export function setKeyBinding(action, key) {
+    const normalized = normalizeKey(key);
+    for (const other of Object.keys(bindings)) {
+        if (other !== action && bindings[other] === normalized) bindings[other] = bindings[action];
+    }
+    bindings[action] = normalized;
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+}
+
+export function resetKeyBindings() {
+    localStorage.removeItem(BINDINGS_KEY);
+    bindings = { ...DEFAULT_KEY_BINDINGS };
+}
+
+// Readable key name, e.g. 'W' or '↑'
+export function describeKey(key) {
+    const names = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', ' ': 'Space' };
+    return names[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+// Up/down keys of a player for on-screen hints, e.g. 'W/S'
+export function describePlayerKeys(player) {
+    return `${describeKey(bindings[`p${player}Up`])}/${describeKey(bindings[`p${player}Down`])}`;
+}
+
+// Hand the next key press to callback(key) instead of the paddles; Escape cancels with callback(null)
+export function captureNextKey(callback) {
+    keyCapture = callback;
+}
+
+function isTyping(e) {
+    const tag = e.target && e.target.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT';
+}
+
+function handleKeyDown(e) {
+    if (keyCapture) {
+        const callback = keyCapture;
+        keyCapture = null;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        callback(e.key === 'Escape' ? null : e.key);
+        return;
+    }
+    if (isTyping(e)) return;
+    const key = normalizeKey(e.key);
+    if (Object.values(bindings).includes(key)) {
+        pressedKeys.add(key);
+        // Arrow keys would scroll the page
+        e.preventDefault();
+    }
+}
+
+function handleKeyUp(e) {
+    pressedKeys.delete(normalizeKey(e.key));
+}
+
+// Client coordinates to field coordinates, whatever size the canvas is shown at (border excluded)
+function toFieldY(e) {
+    const rect = canvas.getBoundingClientRect();
+    const y = e.clientY - rect.top - canvas.clientTop;
+    return canvas.clientHeight > 0 ? y * (FIELD.height / canvas.clientHeight) : 0;
+}
+
+function toFieldHalf(e) {
+    const rect = canvas.getBoundingClientRect();
+    return e.clientX - rect.left < rect.width / 2 ? 1 : 2;
+}
+
+function handlePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    canvas.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { y: toFieldY(e), half: toFieldHalf(e) });
+    e.preventDefault();
+}
+
+function handlePointerMove(e) {
+    const pointer = pointers.get(e.pointerId);
+    if (pointer) pointer.y = toFieldY(e);
+}
+
+function handlePointerEnd(e) {
+    pointers.delete(e.pointerId);
+}
+
+// On-screen zones: elements with data-player (1 | 2) and data-direction (up | down)
+function setupTouchZones() {
+    for (const zone of document.querySelectorAll('[data-touch-zone]')) {
+        const id = `${zone.dataset.player}:${zone.dataset.direction}`;
+        const release = () => touchZones.delete(id);
+        zone.onpointerdown = (e) => {
+            zone.setPointerCapture(e.pointerId);
+            touchZones.add(id);
+            e.preventDefault();
+        };
+        zone.onpointerup = release;
+        zone.onpointercancel = release;
+        zone.onlostpointercapture = release;
+    }
+}
+
+// Attach the input sources; the touch zones show up on touch screens only
+export function setupInput(gameCanvas) {
+    canvas = gameCanvas;
+    // Capture phase, so a key being rebound never reaches the other key handlers
+    document.addEventListener('keydown', handleKeyDown, true);
+    document.addEventListener('keyup', handleKeyUp);
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerEnd);
+    canvas.addEventListener('pointercancel', handlePointerEnd);
+    setupTouchZones();
+
+    const touchControls = document.getElementById('touch-controls');
+    if (touchControls && window.matchMedia('(pointer: coarse)').matches) {
+        touchControls.style.display = 'block';
+    }
+}
+
+export function teardownInput() {
+    document.removeEventListener('keydown', handleKeyDown, true);
+    document.removeEventListener('keyup', handleKeyUp);
+    if (canvas) {
+        canvas.removeEventListener('pointerdown', handlePointerDown);
+        canvas.removeEventListener('pointermove', handlePointerMove);
+        canvas.removeEventListener('pointerup', handlePointerEnd);
+        canvas.removeEventListener('pointercancel', handlePointerEnd);
+    }
+    resetInput();
+}
+
+// Forget held keys, drags and zones (a new game must not start with a stuck paddle)
+export function resetInput() {
+    pressedKeys.clear();
+    pointers.clear();
+    touchZones.clear();
+}
+
+// Stick and d-pad of a connected gamepad: { axis (-1..1, 0 inside the dead zone), up, down } or null
+function readGamepad(index) {
+    const pads = navigator.getGamepads ? [...navigator.getGamepads()].filter(Boolean) : [];
+    const pad = pads[index];
+    if (!pad) return null;
+    const raw = pad.axes[GAMEPAD_AXIS] || 0;
+    // Rescale past the dead zone so the paddle can still move slowly
+    const axis = Math.abs(raw) < GAMEPAD_DEAD_ZONE
+        ? 0
+        : Math.sign(raw) * (Math.abs(raw) - GAMEPAD_DEAD_ZONE) / (1 - GAMEPAD_DEAD_ZONE);
+    return {
+        axis,
+        up: !!pad.buttons[GAMEPAD_DPAD_UP]?.pressed,
+        down: !!pad.buttons[GAMEPAD_DPAD_DOWN]?.pressed
+    };
+}
+
+// Paddle input for one player, for stepPaddle()
+// hotSeat: two players share the device; player 1 gets the left half of the canvas and the first gamepad
+// paddleHeight: current height of the player's paddle, to center a dragged paddle on the pointer
+export function readPaddleInput(player, { hotSeat = false, paddleHeight = FIELD.paddleHeight } = {}) {
+    const players = hotSeat ? [player] : [1, 2];
+    const held = (direction) => players.some((p) =>
+        pressedKeys.has(bindings[`p${p}${direction === 'up' ? 'Up' : 'Down'}`]) || touchZones.has(`${p}:${direction}`));
+
+    // Digital sources first: keys, touch zones and the d-pad
+    const pad = readGamepad(hotSeat ? player - 1 : 0);
+    const up = held('up') || !!pad?.up;
+    const down = held('down') || !!pad?.down;
+    if (up || down) return { up, down };
+
+    // The analog stick sets the speed
+    if (pad && pad.axis !== 0) {
+        return { up: pad.axis < 0, down: pad.axis > 0, speedFactor: Math.abs(pad.axis) };
+    }
+
+    // The newest drag on the player's half of the canvas (anywhere outside hot-seat)
+    let dragY = null;
+    for (const pointer of pointers.values()) {
+        if (!hotSeat || pointer.half === player) dragY = pointer.y;
+    }
+    if (dragY !== null) return { targetY: dragY - paddleHeight / 2 };
+
+    return { up: false, down: false };
+}
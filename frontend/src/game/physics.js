@@ -0,0 +1,390 @@
+// physics.js - Deterministic, DOM-free Pong simulation
+// step() takes a state and the paddle inputs and returns the next state without mutating its arguments,
+// so the same code drives local play, client prediction, replays and can run under Node.
+// Scoring, serves and ball speed follow the match rules carried in the state (see rules.js); with
+// rules.arcade, power-ups spawn on the court and can put extra balls in play and resize the paddles.
+
+import { DEFAULT_MATCH_RULES, normalizeRules, getMatchWinner, getNextServer } from './rules.js';
+
+// Field constants (kept in sync with GameEngine.cs)
+export const FIELD = {
+    width: 800,
+    height: 600,
+    paddleWidth: 16,
+    paddleHeight: 100,
+    ballSize: 16,
+    paddleSpeed: 6,
+    leftPaddleX: 16,
+    rightPaddleX: 800 - 32
+};
+
+// Arcade mode (kept in sync with ArcadeEngine.cs); times in ms
+export const POWER_UP_TYPES = ['grow', 'shrink', 'multiBall', 'speedBoost', 'curve', 'shield'];
+export const ARCADE = {
+    powerUpSize: 30,
+    spawnIntervalMs: 6000,
+    powerUpLifetimeMs: 12000,
+    maxPowerUps: 2,
+    maxBalls: 3,
+    effectDurationMs: { grow: 10000, shrink: 10000, curve: 10000, shield: 8000 },
+    grownPaddleHeight: 150,
+    shrunkPaddleHeight: 60,
+    speedBoostFactor: 1.5,
+    curveAccel: 0.05, // Pixels per frame added to vy every frame by a curve shot
+    multiBallAngle: 30 // Degrees off the collecting ball's course for the extra balls
+};
+
+// Simulation runs in fixed ticks; velocities are expressed in pixels per 60 Hz frame
+export const FIXED_TIMESTEP = 1 / 60;
+
+// Mulberry32 PRNG: returns the random value together with the next generator state
+export function nextRandom(rngState) {
+    const nextState = (rngState + 0x6D2B79F5) >>> 0;
+    let t = nextState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    const value = ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    return { value, rngState: nextState };
+}
+
+// Create a fresh match state; the same seed and rules always produce the same match
+export function createInitialState(seed = Date.now(), rules = DEFAULT_MATCH_RULES) {
+    const state = {
+        tick: 0,
+        rngState: seed >>> 0,
+        rules: normalizeRules(rules),
+        servingSide: 0, // Side that served the current rally (1 = left, 2 = right)
+        ball: { x: 0, y: 0, vx: 0, vy: 0, lastHitBy: 0, curve: 0 },
+        extraBalls: [], // Multi-ball: more balls in play, same shape as ball
+        leftPaddle: { y: (FIELD.height - FIELD.paddleHeight) / 2, height: FIELD.paddleHeight },
+        rightPaddle: { y: (FIELD.height - FIELD.paddleHeight) / 2, height: FIELD.paddleHeight },
+        leftScore: 0,
+        rightScore: 0,
+        gameOver: false,
+        winner: 0, // 0 = none, 1 = left, 2 = right
+        powerUps: [], // Arcade: { id, type, x, y, remaining } waiting on the court
+        effects: [], // Arcade: { type, side, remaining } running effects; side is the paddle affected
+        nextPowerUpIn: ARCADE.spawnIntervalMs,
+        nextPowerUpId: 1,
+        events: []
+    };
+    return resetBall(state);
+}
+
+// Return a copy of the state with the ball served from the center, away from the serving side
+// servingSide: 1 = left, 2 = right, 0 = random; the serve angle varies by up to 22.5 degrees like on the server
+export function resetBall(state, servingSide = 0) {
+    const side = nextRandom(state.rngState);
+    const angle = nextRandom(side.rngState);
+    const server = servingSide || (side.value > 0.5 ? 1 : 2);
+    const radians = angle.value * Math.PI / 4 - Math.PI / 8;
+    const speed = (state.rules || DEFAULT_MATCH_RULES).ballSpeed;
+    return {
+        ...state,
+        rngState: angle.rngState,
+        servingSide: server,
+        extraBalls: [],
+        ball: {
+            x: (FIELD.width - FIELD.ballSize) / 2,
+            y: (FIELD.height - FIELD.ballSize) / 2,
+            vx: speed * Math.cos(radians) * (server === 1 ? 1 : -1),
+            vy: speed * Math.sin(radians),
+            lastHitBy: 0,
+            curve: 0
+        }
+    };
+}
+
+function clampPaddle(y, height = FIELD.paddleHeight) {
+    return Math.max(0, Math.min(FIELD.height - height, y));
+}
+
+function moveTowards(current, target, maxDelta) {
+    if (Math.abs(target - current) <= maxDelta) return target;
+    return current + Math.sign(target - current) * maxDelta;
+}
+
+// Move a paddle for one tick
+// input: { up, down } for direct key control, or { targetY, speedFactor } to chase a target like the server does
+// height: current paddle height (arcade power-ups change it)
+export function stepPaddle(paddleY, input, dt = FIXED_TIMESTEP, height = FIELD.paddleHeight) {
+    if (!input) return clampPaddle(paddleY, height);
+    const frames = dt * 60;
+    const maxDelta = FIELD.paddleSpeed * (input.speedFactor ?? 1) * frames;
+
+    let y = paddleY;
+    if (typeof input.targetY === 'number') {
+        y = moveTowards(y, input.targetY, maxDelta);
+    } else {
+        if (input.up) y -= maxDelta;
+        if (input.down) y += maxDelta;
+    }
+    return clampPaddle(y, height);
+}
+
+// Move the ball for one tick, bend it by its curve and reflect it off the top and bottom walls
+export function stepBall(ball, dt = FIXED_TIMESTEP) {
+    const frames = dt * 60;
+    const curve = ball.curve || 0;
+    const next = {
+        ...ball,
+        x: ball.x + ball.vx * frames,
+        y: ball.y + ball.vy * frames,
+        vy: ball.vy + curve * frames
+    };
+    let hitWall = false;
+    if (next.y <= 0 || next.y + FIELD.ballSize >= FIELD.height) {
+        next.vy = -next.vy;
+        next.y = Math.max(0, Math.min(FIELD.height - FIELD.ballSize, next.y));
+        next.curve = 0; // A curve shot straightens out at the wall
+        hitWall = true;
+    }
+    return { ball: next, hitWall };
+}
+
+// Deflect the ball off a paddle; the further from the center it hits, the steeper the return
+// (up to rules.maxBounceAngle), and every hit speeds the rally up by rules.speedUpPerHit
+function bounceOffPaddle(ball, paddleY, paddleHeight, direction, rules) {
+    const hitPos = (ball.y + FIELD.ballSize / 2) - (paddleY + paddleHeight / 2);
+    const normalized = Math.max(-1, Math.min(1, hitPos / (paddleHeight / 2)));
+    const angle = normalized * rules.maxBounceAngle * Math.PI / 180;
+    const speed = Math.min(rules.maxBallSpeed, Math.hypot(ball.vx, ball.vy) + rules.speedUpPerHit);
+    return {
+        ...ball,
+        vx: direction * speed * Math.cos(angle),
+        vy: speed * Math.sin(angle)
+    };
+}
+
+function hasEffect(effects, type, side) {
+    return effects.some((e) => e.type === type && e.side === side);
+}
+
+// Paddle height for a side under the running effects; grow and shrink cancel out
+export function getPaddleHeight(effects, side) {
+    const grown = hasEffect(effects, 'grow', side);
+    const shrunk = hasEffect(effects, 'shrink', side);
+    if (grown && !shrunk) return ARCADE.grownPaddleHeight;
+    if (shrunk && !grown) return ARCADE.shrunkPaddleHeight;
+    return FIELD.paddleHeight;
+}
+
+// Resize a paddle around its center
+function resizePaddle(paddle, height) {
+    const current = paddle.height ?? FIELD.paddleHeight;
+    if (current === height) return { y: paddle.y, height };
+    return { y: clampPaddle(paddle.y + (current - height) / 2, height), height };
+}
+
+// Move one ball for a tick: walls, paddles, shields; returns { ball, scorer } (scorer 0 if still in play)
+// sim: { leftY, rightY, leftHeight, rightHeight, rules, effects, events, dt } - effects loses used shields
+function moveBall(ball, sim) {
+    const moved = stepBall(ball, sim.dt);
+    let next = moved.ball;
+    if (moved.hitWall) {
+        sim.events.push({ type: 'wall', ballX: next.x, ballY: next.y });
+    }
+
+    const frames = sim.dt * 60;
+    const leftEdge = FIELD.leftPaddleX + FIELD.paddleWidth;
+    const rightEdge = FIELD.rightPaddleX;
+
+    // The hitter's curve effect bends the return; the event carries the speed of the return
+    const hit = (side, paddleY, paddleHeight, direction) => {
+        next = bounceOffPaddle(next, paddleY, paddleHeight, direction, sim.rules);
+        next.lastHitBy = side;
+        next.curve = hasEffect(sim.effects, 'curve', side) ? ARCADE.curveAccel * (next.vy >= 0 ? -1 : 1) : 0;
+        sim.events.push({ type: 'paddle', side, ballX: next.x, ballY: next.y, paddleY, speed: Math.hypot(next.vx, next.vy) });
+    };
+
+    // Left paddle collision
+    if (next.x <= leftEdge &&
+        next.x + next.vx * frames <= leftEdge &&
+        next.y + FIELD.ballSize >= sim.leftY &&
+        next.y <= sim.leftY + sim.leftHeight) {
+        hit(1, sim.leftY, sim.leftHeight, 1);
+    }
+
+    // Right paddle collision
+    if (next.x + FIELD.ballSize >= rightEdge &&
+        next.x + FIELD.ballSize + next.vx * frames >= rightEdge &&
+        next.y + FIELD.ballSize >= sim.rightY &&
+        next.y <= sim.rightY + sim.rightHeight) {
+        hit(2, sim.rightY, sim.rightHeight, -1);
+    }
+
+    // A shield saves one ball from going in, then it is used up
+    const goalSide = next.x < 0 ? 1 : next.x > FIELD.width ? 2 : 0;
+    if (goalSide && hasEffect(sim.effects, 'shield', goalSide)) {
+        sim.effects = sim.effects.filter((e) => !(e.type === 'shield' && e.side === goalSide));
+        sim.events.push({ type: 'shield', side: goalSide, ballX: next.x, ballY: next.y });
+        next = goalSide === 1
+            ? { ...next, x: 0, vx: Math.abs(next.vx) }
+            : { ...next, x: FIELD.width - FIELD.ballSize, vx: -Math.abs(next.vx) };
+        return { ball: next, scorer: 0 };
+    }
+
+    return { ball: next, scorer: goalSide === 1 ? 2 : goalSide === 2 ? 1 : 0 };
+}
+
+// Advance the simulation by one tick
+// inputs: { left, right } paddle inputs (see stepPaddle)
+// Returns the next state; next.events lists what happened during the tick (paddle, wall, shield, powerUp, goal)
+export function step(state, inputs = {}, dt = FIXED_TIMESTEP) {
+    const events = [];
+    if (state.gameOver) return { ...state, events };
+
+    const rules = state.rules || DEFAULT_MATCH_RULES;
+    const leftPaddle = { y: state.leftPaddle.y, height: state.leftPaddle.height ?? FIELD.paddleHeight };
+    const rightPaddle = { y: state.rightPaddle.y, height: state.rightPaddle.height ?? FIELD.paddleHeight };
+    const sim = {
+        leftY: stepPaddle(leftPaddle.y, inputs.left, dt, leftPaddle.height),
+        rightY: stepPaddle(rightPaddle.y, inputs.right, dt, rightPaddle.height),
+        leftHeight: leftPaddle.height,
+        rightHeight: rightPaddle.height,
+        rules,
+        effects: state.effects || [],
+        events,
+        dt
+    };
+
+    // Move every ball in play; the ones that went in score a point each
+    let inPlay = [];
+    let next = {
+        ...state,
+        tick: state.tick + 1,
+        events
+    };
+    let lastScorer = 0;
+    for (const ball of [state.ball, ...(state.extraBalls || [])]) {
+        const result = moveBall(ball, sim);
+        if (!result.scorer) {
+            inPlay.push(result.ball);
+            continue;
+        }
+        lastScorer = result.scorer;
+        events.push({ type: 'goal', scorer: result.scorer, ball: { ...result.ball }, leftPaddleY: sim.leftY, rightPaddleY: sim.rightY });
+        next.leftScore = next.leftScore + (result.scorer === 1 ? 1 : 0);
+        next.rightScore = next.rightScore + (result.scorer === 2 ? 1 : 0);
+    }
+    next.effects = sim.effects;
+    next.leftPaddle = { y: sim.leftY, height: sim.leftHeight };
+    next.rightPaddle = { y: sim.rightY, height: sim.rightHeight };
+
+    if (rules.arcade) {
+        next = updateArcade(next, inPlay, dt);
+        inPlay = next.inPlay;
+        delete next.inPlay;
+    }
+
+    // Scoring
+    if (lastScorer) {
+        const winner = getMatchWinner(next.leftScore, next.rightScore, rules);
+        if (winner) {
+            next.gameOver = true;
+            next.winner = winner;
+        }
+    }
+    if (inPlay.length === 0) {
+        // The last ball went in: serve the next rally
+        next = resetBall(next, getNextServer(rules, state.servingSide, lastScorer));
+    } else {
+        next.ball = inPlay[0];
+        next.extraBalls = inPlay.slice(1);
+    }
+
+    return next;
+}
+
+// Arcade mode for one tick: collect power-ups hit by balls, run down timers, spawn new power-ups and
+// apply the paddle sizes. Returns the next state with next.inPlay holding the (possibly more) balls in play.
+function updateArcade(state, balls, dt) {
+    const ms = dt * 1000;
+    let next = { ...state };
+    let inPlay = [...balls];
+    let effects = next.effects.map((e) => ({ ...e, remaining: e.remaining - ms })).filter((e) => e.remaining > 0);
+    let powerUps = next.powerUps.map((p) => ({ ...p, remaining: p.remaining - ms })).filter((p) => p.remaining > 0);
+
+    // A power-up goes to the side that last hit the ball touching it
+    const size = ARCADE.powerUpSize;
+    for (const powerUp of [...powerUps]) {
+        const index = inPlay.findIndex((ball) => ball.lastHitBy &&
+            ball.x + FIELD.ballSize >= powerUp.x && ball.x <= powerUp.x + size &&
+            ball.y + FIELD.ballSize >= powerUp.y && ball.y <= powerUp.y + size);
+        if (index < 0) continue;
+
+        const side = inPlay[index].lastHitBy;
+        powerUps = powerUps.filter((p) => p.id !== powerUp.id);
+        next.events.push({ type: 'powerUp', powerUp: powerUp.type, side });
+        const applied = applyPowerUp(powerUp.type, side, inPlay[index], effects);
+        effects = applied.effects;
+        inPlay.splice(index, 1, ...applied.balls);
+        inPlay = inPlay.slice(0, ARCADE.maxBalls);
+    }
+
+    // Spawn on a fixed cadence while there is room on the court
+    next.nextPowerUpIn = next.nextPowerUpIn - ms;
+    if (next.nextPowerUpIn <= 0) {
+        next.nextPowerUpIn = ARCADE.spawnIntervalMs;
+        if (powerUps.length < ARCADE.maxPowerUps) {
+            const type = nextRandom(next.rngState);
+            const x = nextRandom(type.rngState);
+            const y = nextRandom(x.rngState);
+            next.rngState = y.rngState;
+            powerUps.push({
+                id: next.nextPowerUpId,
+                type: POWER_UP_TYPES[Math.floor(type.value * POWER_UP_TYPES.length)],
+                // Middle of the court, away from the paddles
+                x: Math.round(FIELD.width / 4 + x.value * (FIELD.width / 2 - size)),
+                y: Math.round(size + y.value * (FIELD.height - 3 * size)),
+                remaining: ARCADE.powerUpLifetimeMs
+            });
+            next.nextPowerUpId++;
+        }
+    }
+
+    next.effects = effects;
+    next.powerUps = powerUps;
+    next.leftPaddle = resizePaddle(next.leftPaddle, getPaddleHeight(effects, 1));
+    next.rightPaddle = resizePaddle(next.rightPaddle, getPaddleHeight(effects, 2));
+    next.inPlay = inPlay;
+    return next;
+}
+
+// Apply a collected power-up; returns { balls, effects } with the collecting ball replaced by balls
+function applyPowerUp(type, side, ball, effects) {
+    const opponent = side === 1 ? 2 : 1;
+    const addEffect = (effectType, effectSide) => [
+        ...effects.filter((e) => !(e.type === effectType && e.side === effectSide)),
+        { type: effectType, side: effectSide, remaining: ARCADE.effectDurationMs[effectType] }
+    ];
+
+    switch (type) {
+        case 'grow':
+            return { balls: [ball], effects: addEffect('grow', side) };
+        case 'shrink':
+            return { balls: [ball], effects: addEffect('shrink', opponent) };
+        case 'curve':
+        case 'shield':
+            return { balls: [ball], effects: addEffect(type, side) };
+        case 'speedBoost':
+            return {
+                balls: [{ ...ball, vx: ball.vx * ARCADE.speedBoostFactor, vy: ball.vy * ARCADE.speedBoostFactor }],
+                effects
+            };
+        case 'multiBall': {
+            // Two more balls fanning out from the collecting one
+            const speed = Math.hypot(ball.vx, ball.vy);
+            const course = Math.atan2(ball.vy, ball.vx);
+            const spread = ARCADE.multiBallAngle * Math.PI / 180;
+            const fan = [course - spread, course + spread].map((a) => ({
+                ...ball,
+                vx: speed * Math.cos(a),
+                vy: speed * Math.sin(a)
+            }));
+            return { balls: [ball, ...fan], effects };
+        }
+        default:
+            return { balls: [ball], effects };
+    }
+}
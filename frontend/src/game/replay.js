@@ -0,0 +1,213 @@
+// replay.js - Match recordings and playback, DOM-free
+// A replay is a plain object (stored in IndexedDB by services/replayStore.js):
+//   {
+//     version: REPLAY_FORMAT_VERSION,
+//     id, createdAt (ms), source: 'local' | 'online' | 'spectator',
+//     names: { left, right }, ownSide: 1 | 2 | null (null when we did not play),
+//     duration (ms), result: { leftScore, rightScore, winner },
+//     goals: [{ time, scorer }],
+//     frames: flat array of integers, FRAME_STRIDE values per frame:
+//             [time ms, ballX, ballY, leftPaddleY, rightPaddleY, leftScore, rightScore,
+//              leftPaddleHeight, rightPaddleHeight, ...]
+//     arcade: arcade mode objects of the frames that have any, ordered by frame:
+//             [{ frame (index), balls: [x, y, x, y, ...], powerUps: [{ type, x, y, remaining }],
+//                effects: [{ type, side, remaining }] }]
+//   }
+// Version 1 replays (before arcade mode) have 7 values per frame, no paddle heights and no arcade list.
+// Frames come from the local simulation or the server's GameUpdate stream and are sampled at
+// RECORD_INTERVAL_MS; playback interpolates between them, arcade objects are shown as recorded.
+
+import { FIELD } from './physics.js';
+
+export const REPLAY_FORMAT_VERSION = 2;
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const FRAME_STRIDE = 9;
+const V1_FRAME_STRIDE = 7;
+const RECORD_INTERVAL_MS = 33; // ~30 frames per second
+const MAX_REPLAY_FRAMES = 30 * 60 * 30; // 30 minutes; longer matches keep their first 30 minutes
+
+// Start recording a match
+// options.source: 'local' | 'online' | 'spectator'; options.names: { left, right }; options.ownSide: 1 | 2 | null
+export function createReplayRecorder({ source, names, ownSide = null }) {
+    const frames = [];
+    const arcade = [];
+    const goals = [];
+    let lastFrameTime = -Infinity;
+    let lastScore = { left: 0, right: 0 };
+
+    return {
+        // Add a snapshot; timeMs counts from the start of the match.
+        // snapshot: { ballX, ballY, leftY, rightY, leftScore, rightScore, leftHeight, rightHeight,
+        //            extraBalls, powerUps, effects } (the arcade fields may be left out)
+        record(snapshot, timeMs) {
+            const scored = snapshot.leftScore !== lastScore.left || snapshot.rightScore !== lastScore.right;
+            if (scored && frames.length > 0) {
+                goals.push({ time: Math.round(timeMs), scorer: snapshot.leftScore !== lastScore.left ? 1 : 2 });
+            }
+            lastScore = { left: snapshot.leftScore, right: snapshot.rightScore };
+
+            // Goals are always kept so jumping to them lands on the exact frame
+            if (!scored && timeMs - lastFrameTime < RECORD_INTERVAL_MS) return;
+            if (frames.length / FRAME_STRIDE >= MAX_REPLAY_FRAMES) return;
+            lastFrameTime = timeMs;
+            const extraBalls = snapshot.extraBalls ?? [];
+            const powerUps = snapshot.powerUps ?? [];
+            const effects = snapshot.effects ?? [];
+            if (extraBalls.length > 0 || powerUps.length > 0 || effects.length > 0) {
+                arcade.push({
+                    frame: frames.length / FRAME_STRIDE,
+                    balls: extraBalls.flatMap((ball) => [Math.round(ball.x), Math.round(ball.y)]),
+                    powerUps: powerUps.map(({ type, x, y, remaining }) => ({ type, x: Math.round(x), y: Math.round(y), remaining })),
+                    effects: effects.map(({ type, side, remaining }) => ({ type, side, remaining }))
+                });
+            }
+            frames.push(
+                Math.round(timeMs),
+                Math.round(snapshot.ballX),
+                Math.round(snapshot.ballY),
+                Math.round(snapshot.leftY),
+                Math.round(snapshot.rightY),
+                snapshot.leftScore,
+                snapshot.rightScore,
+                Math.round(snapshot.leftHeight ?? FIELD.paddleHeight),
+                Math.round(snapshot.rightHeight ?? FIELD.paddleHeight)
+            );
+        },
+
+        // Finish the recording; returns the replay, or null if nothing was recorded
+        finish(winner = 0) {
+            if (frames.length < FRAME_STRIDE * 2) return null;
+            const last = frames.length - FRAME_STRIDE;
+            return {
+                version: REPLAY_FORMAT_VERSION,
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                createdAt: Date.now(),
+                source,
+                names,
+                ownSide,
+                duration: frames[last],
+                result: { leftScore: frames[last + 5], rightScore: frames[last + 6], winner },
+                goals,
+                frames,
+                arcade
+            };
+        }
+    };
+}
+
+export function isSupportedReplay(replay) {
+    return !!replay && (replay.version === 1 || replay.version === REPLAY_FORMAT_VERSION) && Array.isArray(replay.frames);
+}
+
+// Positions at a point of the replay:
+// { ballX, ballY, leftY, rightY, leftScore, rightScore, leftHeight, rightHeight, extraBalls, powerUps, effects }
+export function sampleReplay(replay, timeMs) {
+    const frames = replay.frames;
+    const stride = replay.version === 1 ? V1_FRAME_STRIDE : FRAME_STRIDE;
+    const count = frames.length / stride;
+    const frameAt = (i) => {
+        const o = i * stride;
+        return {
+            time: frames[o],
+            ballX: frames[o + 1],
+            ballY: frames[o + 2],
+            leftY: frames[o + 3],
+            rightY: frames[o + 4],
+            leftScore: frames[o + 5],
+            rightScore: frames[o + 6],
+            leftHeight: stride > V1_FRAME_STRIDE ? frames[o + 7] : FIELD.paddleHeight,
+            rightHeight: stride > V1_FRAME_STRIDE ? frames[o + 8] : FIELD.paddleHeight
+        };
+    };
+
+    // Binary search for the last frame at or before timeMs
+    let low = 0;
+    let high = count - 1;
+    while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (frames[mid * stride] <= timeMs) low = mid;
+        else high = mid - 1;
+    }
+    const a = { ...frameAt(low), ...arcadeAt(replay.arcade, low) };
+    if (low >= count - 1 || timeMs <= a.time) return a;
+
+    const b = frameAt(low + 1);
+    // Don't interpolate across a serve after a goal
+    const teleport = Math.abs(b.ballX - a.ballX) > FIELD.width / 4 || Math.abs(b.ballY - a.ballY) > FIELD.height / 4;
+    if (teleport || a.leftScore !== b.leftScore || a.rightScore !== b.rightScore) return a;
+
+    const t = (timeMs - a.time) / (b.time - a.time);
+    const lerp = (x, y) => x + (y - x) * t;
+    return {
+        ...a,
+        ballX: lerp(a.ballX, b.ballX),
+        ballY: lerp(a.ballY, b.ballY),
+        leftY: lerp(a.leftY, b.leftY),
+        rightY: lerp(a.rightY, b.rightY)
+    };
+}
+
+// Arcade objects of a frame: { extraBalls: [{ x, y }], powerUps, effects }, empty for frames without any
+function arcadeAt(arcade, frame) {
+    let low = 0;
+    let high = (arcade?.length ?? 0) - 1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        const entry = arcade[mid];
+        if (entry.frame === frame) {
+            const extraBalls = [];
+            for (let i = 0; i < entry.balls.length; i += 2) extraBalls.push({ x: entry.balls[i], y: entry.balls[i + 1] });
+            return { extraBalls, powerUps: entry.powerUps, effects: entry.effects };
+        }
+        if (entry.frame < frame) low = mid + 1;
+        else high = mid - 1;
+    }
+    return { extraBalls: [], powerUps: [], effects: [] };
+}
+
+// Playback clock for a replay: play/pause, seek, speed and goal jumps
+export function createReplayPlayer(replay) {
+    let time = 0;
+    let speed = 1;
+    let playing = true;
+
+    const clamp = (ms) => Math.max(0, Math.min(replay.duration, ms));
+
+    return {
+        replay,
+        get time() { return time; },
+        get speed() { return speed; },
+        get playing() { return playing; },
+        get finished() { return time >= replay.duration; },
+
+        // Move the clock forward by real elapsed time; stops at the end
+        advance(elapsedMs) {
+            if (!playing) return;
+            time = clamp(time + elapsedMs * speed);
+            if (time >= replay.duration) playing = false;
+        },
+        play() {
+            if (time >= replay.duration) time = 0; // Play again from the start
+            playing = true;
+        },
+        pause() {
+            playing = false;
+        },
+        toggle() {
+            if (playing) this.pause();
+            else this.play();
+        },
+        seek(ms) {
+            time = clamp(ms);
+        },
+        setSpeed(value) {
+            if (REPLAY_SPEEDS.includes(value)) speed = value;
+        },
+        // Jump to a moment before the goal so the rally leading to it is visible
+        jumpToGoal(index, leadInMs = 2000) {
+            const goal = replay.goals[index];
+            if (goal) time = clamp(goal.time - leadInMs);
+        }
+    };
+}
@@ -0,0 +1,89 @@
+// rules.js - Match rules, DOM-free
+// The same camelCase schema is read by the local simulation (physics.js) and the server (MatchRules.cs):
+//   {
+//     pointsToWin,    first to this many points...
+//     winByTwo,       ...with a two point lead
+//     serve,          'random' | 'alternate' | 'loser' (the side that conceded serves)
+//     ballSpeed,      serve speed in pixels per 60 Hz frame
+//     speedUpPerHit,  added to the ball speed on every paddle hit of a rally...
+//     maxBallSpeed,   ...up to this speed
+//     maxBounceAngle, steepest return off the paddle edge, in degrees
+//     arcade          power-ups spawn on the court (see ARCADE in physics.js)
+//   }
+// Keep the defaults and limits in sync with MatchRules.cs.
+
+export const SERVE_MODES = ['random', 'alternate', 'loser'];
+
+export const DEFAULT_MATCH_RULES = Object.freeze({
+    pointsToWin: 5,
+    winByTwo: false,
+    serve: 'loser',
+    ballSpeed: 6,
+    speedUpPerHit: 0,
+    maxBallSpeed: 12,
+    maxBounceAngle: 45,
+    arcade: false
+});
+
+// [min, max] per numeric rule
+export const RULE_LIMITS = Object.freeze({
+    pointsToWin: [1, 21],
+    ballSpeed: [3, 12],
+    speedUpPerHit: [0, 2],
+    maxBallSpeed: [3, 20],
+    maxBounceAngle: [15, 75]
+});
+
+function clampRule(value, [min, max], fallback) {
+    return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+}
+
+// Complete rules with every value in range; missing or invalid values take the defaults
+export function normalizeRules(rules = {}) {
+    const d = DEFAULT_MATCH_RULES;
+    const ballSpeed = clampRule(Number(rules.ballSpeed), RULE_LIMITS.ballSpeed, d.ballSpeed);
+    return {
+        pointsToWin: Math.round(clampRule(Number(rules.pointsToWin), RULE_LIMITS.pointsToWin, d.pointsToWin)),
+        winByTwo: rules.winByTwo === true,
+        serve: SERVE_MODES.includes(rules.serve) ? rules.serve : d.serve,
+        ballSpeed,
+        speedUpPerHit: clampRule(Number(rules.speedUpPerHit), RULE_LIMITS.speedUpPerHit, d.speedUpPerHit),
+        // Never slower than the serve
+        maxBallSpeed: clampRule(Number(rules.maxBallSpeed), [ballSpeed, RULE_LIMITS.maxBallSpeed[1]], d.maxBallSpeed),
+        maxBounceAngle: clampRule(Number(rules.maxBounceAngle), RULE_LIMITS.maxBounceAngle, d.maxBounceAngle),
+        arcade: rules.arcade === true
+    };
+}
+
+// Winning side for a score (1 = left, 2 = right), 0 while the match goes on
+export function getMatchWinner(leftScore, rightScore, rules) {
+    if (Math.max(leftScore, rightScore) < rules.pointsToWin || leftScore === rightScore) return 0;
+    if (rules.winByTwo && Math.abs(leftScore - rightScore) < 2) return 0;
+    return leftScore > rightScore ? 1 : 2;
+}
+
+// Side that serves after `scorer` won a point, or 0 to pick a random side
+// previousServer: side that served the last rally (0 if unknown)
+export function getNextServer(rules, previousServer, scorer) {
+    if (rules.serve === 'alternate') return previousServer === 1 ? 2 : previousServer === 2 ? 1 : 0;
+    if (rules.serve === 'random') return 0;
+    return scorer === 1 ? 2 : 1;
+}
+
+// Slower-ball assist: the same rules with every ball speed scaled down (within the rule limits)
+export const SLOW_BALL_FACTOR = 0.7;
+
+export function applySlowBallAssist(rules) {
+    const slow = (speed) => Math.round(speed * SLOW_BALL_FACTOR * 100) / 100;
+    return normalizeRules({
+        ...rules,
+        ballSpeed: slow(rules.ballSpeed),
+        speedUpPerHit: slow(rules.speedUpPerHit),
+        maxBallSpeed: slow(rules.maxBallSpeed)
+    });
+}
+
+// Short description for the board and the lobby, e.g. "First to 11, win by 2, arcade"
+export function describeRules(rules) {
+    return `First to ${rules.pointsToWin}${rules.winByTwo ? ', win by 2' : ''}${rules.arcade ? ', arcade' : ''}`;
+}
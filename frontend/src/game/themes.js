@@ -0,0 +1,98 @@
+// themes.js - Look of the board, DOM-free
+// draw() in game.js reads every color, shape and font from the active theme:
+//   {
+//     name,                        shown in the display settings
+//     background, centerLine,      board
+//     playerPaddle, paddle,        own paddle / any other paddle
+//     ball, ballShape,             'square' | 'circle'
+//     text, dimText,               scores and labels / secondary labels
+//     font,                        font family of all board text
+//     glow,                        shadow blur around paddles and ball (0 = none)
+//     scanlines,                   CRT scanlines drawn over the board
+//     patternedPaddle              stripes and an arrow mark the own paddle, so color is not the only cue
+//   }
+
+export const THEMES = Object.freeze({
+    classic: Object.freeze({
+        name: 'Classic',
+        background: '#222',
+        centerLine: '#444',
+        playerPaddle: '#4caf50',
+        paddle: '#fff',
+        ball: '#fff',
+        ballShape: 'square',
+        text: '#fff',
+        dimText: '#aaa',
+        font: 'monospace',
+        glow: 0,
+        scanlines: false,
+        patternedPaddle: false
+    }),
+    neon: Object.freeze({
+        name: 'Neon',
+        background: '#0b0221',
+        centerLine: '#3d1a78',
+        playerPaddle: '#39ff14',
+        paddle: '#ff2bd6',
+        ball: '#00f0ff',
+        ballShape: 'circle',
+        text: '#00f0ff',
+        dimText: '#b38cff',
+        font: 'monospace',
+        glow: 16,
+        scanlines: false,
+        patternedPaddle: false
+    }),
+    highContrast: Object.freeze({
+        name: 'High Contrast',
+        background: '#000',
+        centerLine: '#fff',
+        playerPaddle: '#ffff00',
+        paddle: '#fff',
+        ball: '#fff',
+        ballShape: 'square',
+        text: '#fff',
+        dimText: '#fff',
+        font: 'monospace',
+        glow: 0,
+        scanlines: false,
+        patternedPaddle: true
+    }),
+    // Okabe-Ito colors, told apart by people with any common color vision deficiency
+    colorblind: Object.freeze({
+        name: 'Colorblind Safe',
+        background: '#1b1b1b',
+        centerLine: '#555',
+        playerPaddle: '#e69f00',
+        paddle: '#56b4e9',
+        ball: '#f0e442',
+        ballShape: 'circle',
+        text: '#fff',
+        dimText: '#ccc',
+        font: 'monospace',
+        glow: 0,
+        scanlines: false,
+        patternedPaddle: true
+    }),
+    retroCrt: Object.freeze({
+        name: 'Retro CRT',
+        background: '#031a09',
+        centerLine: '#0b5d25',
+        playerPaddle: '#7dff9b',
+        paddle: '#33ff66',
+        ball: '#b4ffc4',
+        ballShape: 'square',
+        text: '#33ff66',
+        dimText: '#1faa47',
+        font: '"Courier New", monospace',
+        glow: 8,
+        scanlines: true,
+        patternedPaddle: false
+    })
+});
+
+export const DEFAULT_THEME = 'classic';
+
+export function getTheme(id) {
+    return THEMES[id] || THEMES[DEFAULT_THEME];
+}
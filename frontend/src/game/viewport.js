@@ -0,0 +1,97 @@
+// viewport.js - Fits the game canvas to the window, letterboxed and sharp on high-DPI screens
+// Game code keeps drawing in logical field coordinates (FIELD.width x FIELD.height). The viewport sizes
+// the canvas backing store to the shown size times devicePixelRatio, and applyViewport() scales a
+// context so one field pixel covers the right number of device pixels.
+
+import { FIELD } from './physics.js';
+
+const PAGE_MARGIN = 16; // CSS px kept free around the canvas outside fullscreen
+const MAX_WINDOWED_SCALE = 1; // Outside fullscreen the board never grows beyond its design size
+
+let container = null;
+let canvas = null;
+let overlay = null; // Debug canvas kept on top of the game canvas
+let onResize = null;
+let scale = 1; // CSS px per field px
+let pixelRatio = 1;
+let unwatchPixelRatio = null;
+
+// elements: { container, canvas, overlay }; onResize() runs after every size change (the canvases are cleared)
+export function setupViewport(elements, resizeHandler = null) {
+    ({ container, canvas, overlay } = elements);
+    onResize = resizeHandler;
+    window.addEventListener('resize', updateViewport);
+    document.addEventListener('fullscreenchange', updateViewport);
+    updateViewport();
+}
+
+// Follow devicePixelRatio changes (browser zoom, moving the window to another screen)
+function watchPixelRatio() {
+    if (unwatchPixelRatio) unwatchPixelRatio();
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    const handler = () => updateViewport();
+    query.addEventListener('change', handler, { once: true });
+    unwatchPixelRatio = () => query.removeEventListener('change', handler);
+}
+
+// Size the canvases for the current window, fullscreen state and pixel ratio
+export function updateViewport() {
+    if (!canvas) return;
+    const fullscreen = isFullscreen();
+    const borderX = canvas.offsetWidth - canvas.clientWidth;
+    const borderY = canvas.offsetHeight - canvas.clientHeight;
+
+    const availableWidth = fullscreen
+        ? window.innerWidth
+        : Math.min(window.innerWidth - PAGE_MARGIN * 2, container.parentElement.clientWidth);
+    const availableHeight = fullscreen ? window.innerHeight : window.innerHeight - PAGE_MARGIN * 2;
+    scale = Math.min((availableWidth - borderX) / FIELD.width, (availableHeight - borderY) / FIELD.height);
+    if (!fullscreen) scale = Math.min(scale, MAX_WINDOWED_SCALE);
+    scale = Math.max(scale, 0.1);
+
+    const width = Math.round(FIELD.width * scale);
+    const height = Math.round(FIELD.height * scale);
+    pixelRatio = window.devicePixelRatio || 1;
+    for (const target of [canvas, overlay]) {
+        if (!target) continue;
+        target.style.width = `${width}px`;
+        target.style.height = `${height}px`;
+        target.width = Math.round(width * pixelRatio);
+        target.height = Math.round(height * pixelRatio);
+    }
+
+    // Fullscreen letterboxes the board in the middle of the screen (see style.css)
+    container.style.width = fullscreen ? '' : `${width + borderX}px`;
+    container.style.height = fullscreen ? '' : `${height + borderY}px`;
+    if (overlay) {
+        overlay.style.left = `${canvas.offsetLeft + canvas.clientLeft}px`;
+        overlay.style.top = `${canvas.offsetTop + canvas.clientTop}px`;
+    }
+
+    watchPixelRatio();
+    if (onResize) onResize();
+}
+
+// Scale a context of the game or debug canvas to field coordinates; call before drawing a frame
+export function applyViewport(ctx) {
+    const ratio = scale * pixelRatio;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+}
+
+export function isFullscreen() {
+    return !!container && document.fullscreenElement === container;
+}
+
+export function isFullscreenSupported() {
+    return !!document.fullscreenEnabled;
+}
+
+// Show the board alone on the whole screen, or go back to the page
+export async function toggleFullscreen() {
+    if (!container) return;
+    if (document.fullscreenElement) {
+        await document.exitFullscreen();
+    } else {
+        await container.requestFullscreen();
+    }
+}
@@ -1,5 +1,257 @@
-// Placeholder for authentication logic
-export function setupAuth() {
-    // TODO: Integrate with Azure Static Web Apps Auth
-    console.log('Auth not implemented');
-}
\ No newline at end of file
+// Authentication with pluggable providers
+// Every provider ends with the backend's own token pair (see AuthService.cs); the access token is
+// handed to SignalR through getAccessToken(), so the hub knows which user is behind a connection.
+//   guest: anonymous account bound to a secret kept in this browser, with a persistent display name
+//   oidc:  authorization code flow with PKCE against the authority the backend names in /providers
+//          (a mock IdP in development); not offered when the backend has none configured
+
+import { AUTH_API_URL } from '../config.js';
+
+const SESSION_KEY = 'pong.auth'; // { accessToken, refreshToken, expiresAt, user }
+const GUEST_KEY = 'pong.guest'; // { secret, displayName }
+const OIDC_PENDING_KEY = 'pong.oidcPending'; // { state, codeVerifier, redirectUri } during the redirect
+const REFRESH_MARGIN_MS = 60000; // Refresh access tokens that expire within a minute
+
+let session = loadSession();
+let oidcSettings = null; // { authority, clientId } from the backend, null when OIDC sign-in is unavailable
+let pendingToken = null; // Shared promise while a sign-in or refresh is running
+const authListeners = new Set();
+
+// --- Providers ---
+
+const guestProvider = {
+    // Guests sign in without leaving the page
+    async signIn() {
+        const guest = getGuestAccount();
+        return postAuth('/guest', { guestSecret: guest.secret, displayName: guest.displayName });
+    }
+};
+
+const oidcProvider = {
+    // Redirects to the identity provider; the page comes back through completeRedirect()
+    async signIn() {
+        if (!oidcSettings) throw new Error('Sign-in with an account is not available');
+        const discovery = await fetchJson(`${oidcSettings.authority}/.well-known/openid-configuration`);
+        const codeVerifier = randomString(32);
+        const state = randomString(16);
+        const redirectUri = window.location.origin + window.location.pathname;
+        sessionStorage.setItem(OIDC_PENDING_KEY, JSON.stringify({ state, codeVerifier, redirectUri }));
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: oidcSettings.clientId,
+            redirect_uri: redirectUri,
+            scope: 'openid profile',
+            state,
+            code_challenge: await sha256Base64Url(codeVerifier),
+            code_challenge_method: 'S256'
+        });
+        window.location.assign(`${discovery.authorization_endpoint}?${params}`);
+        return null;
+    },
+
+    // Finish the flow if this page load is the provider redirecting back; resolves to a session or null
+    async completeRedirect() {
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('code');
+        const pending = JSON.parse(sessionStorage.getItem(OIDC_PENDING_KEY) || 'null');
+        if (!code || !pending) return null;
+
+        sessionStorage.removeItem(OIDC_PENDING_KEY);
+        window.history.replaceState(null, '', pending.redirectUri);
+        if (params.get('state') !== pending.state) {
+            console.warn('OIDC redirect ignored: state mismatch');
+            return null;
+        }
+        return postAuth('/oidc/callback', {
+            code,
+            codeVerifier: pending.codeVerifier,
+            redirectUri: pending.redirectUri
+        });
+    }
+};
+
+const providers = {
+    guest: guestProvider,
+    oidc: oidcProvider
+};
+
+// --- Public API ---
+
+// Restore the stored session, learn which sign-in options the backend offers and complete an OIDC
+// redirect if we are coming back from one
+export async function setupAuth() {
+    try {
+        const options = await fetchJson(`${AUTH_API_URL}/providers`);
+        oidcSettings = options.oidc || null;
+    } catch (err) {
+        console.warn('Could not load the sign-in options:', err);
+    }
+    try {
+        const redirected = await oidcProvider.completeRedirect();
+        if (redirected) setSession(redirected);
+    } catch (err) {
+        console.error('Sign-in failed:', err);
+    }
+}
+
+// Whether signing in with an account (OIDC) is offered; guests can always play
+export function isOidcAvailable() {
+    return !!oidcSettings;
+}
+
+// Sign in with a provider ('guest' or 'oidc'); the oidc provider leaves the page
+export async function login(providerName = 'oidc') {
+    const provider = providers[providerName];
+    if (!provider) throw new Error(`Unknown auth provider: ${providerName}`);
+    const result = await provider.signIn();
+    if (result) setSession(result);
+    return getCurrentUser();
+}
+
+// Drop the session; the next connection signs in as the guest account again
+export async function logout() {
+    const refreshToken = session?.refreshToken;
+    setSession(null);
+    if (refreshToken) {
+        try {
+            await fetch(`${AUTH_API_URL}/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (err) {
+            console.warn('Logout request failed:', err);
+        }
+    }
+}
+
+// { id, displayName, provider } or null before the first sign-in
+export function getCurrentUser() {
+    return session ? session.user : null;
+}
+
+// Called with the new user (or null) whenever the signed-in user changes; returns an unsubscribe function
+export function onAuthChanged(handler) {
+    authListeners.add(handler);
+    return () => authListeners.delete(handler);
+}
+
+// Name the guest picked; the backend shows it with a " (guest)" mark
+export function getGuestDisplayName() {
+    return getGuestAccount().displayName;
+}
+
+// Change the persistent guest name; signs the guest in again so the new name is in the token
+export async function setGuestDisplayName(displayName) {
+    const guest = getGuestAccount();
+    guest.displayName = displayName.trim().slice(0, 24);
+    localStorage.setItem(GUEST_KEY, JSON.stringify(guest));
+    if (!session || session.user.provider === 'guest') {
+        setSession(await guestProvider.signIn());
+    }
+}
+
+// Access token for the SignalR accessTokenFactory: refreshed when about to expire, and anonymous
+// visitors are signed in as their guest account
+export function getAccessToken() {
+    if (session && session.expiresAt - Date.now() > REFRESH_MARGIN_MS) {
+        return Promise.resolve(session.accessToken);
+    }
+    if (!pendingToken) {
+        pendingToken = renewSession()
+            .then((renewed) => {
+                setSession(renewed);
+                return renewed.accessToken;
+            })
+            .finally(() => {
+                pendingToken = null;
+            });
+    }
+    return pendingToken;
+}
+
+// --- Internals ---
+
+async function renewSession() {
+    if (session) {
+        try {
+            return await postAuth('/refresh', { refreshToken: session.refreshToken });
+        } catch (err) {
+            console.warn('Token refresh failed, signing in as guest:', err);
+        }
+    }
+    return guestProvider.signIn();
+}
+
+function setSession(next) {
+    const previousUser = session ? session.user : null;
+    session = next;
+    if (session) {
+        localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } else {
+        localStorage.removeItem(SESSION_KEY);
+    }
+
+    const user = getCurrentUser();
+    if (previousUser?.id !== user?.id || previousUser?.displayName !== user?.displayName) {
+        for (const handler of [...authListeners]) handler(user);
+    }
+}
+
+function loadSession() {
+    try {
+        return JSON.parse(localStorage.getItem(SESSION_KEY) || 'null');
+    } catch {
+        return null;
+    }
+}
+
+function getGuestAccount() {
+    let guest = null;
+    try {
+        guest = JSON.parse(localStorage.getItem(GUEST_KEY) || 'null');
+    } catch {
+        guest = null;
+    }
+    if (!guest || !guest.secret) {
+        guest = { secret: randomString(32), displayName: `Guest ${Math.floor(1000 + Math.random() * 9000)}` };
+        localStorage.setItem(GUEST_KEY, JSON.stringify(guest));
+    }
+    return guest;
+}
+
+// POST to an /api/auth endpoint and turn the AuthResponse into a stored session
+async function postAuth(path, body) {
+    const response = await fetchJson(`${AUTH_API_URL}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return {
+        accessToken: response.accessToken,
+        refreshToken: response.refreshToken,
+        expiresAt: Date.now() + response.expiresIn * 1000,
+        user: response.user
+    };
+}
+
+async function fetchJson(url, options) {
+    const response = await fetch(url, options);
+    if (!response.ok) throw new Error(`${url} failed with status ${response.status}`);
+    return response.json();
+}
+
+function randomString(byteLength) {
+    const bytes = crypto.getRandomValues(new Uint8Array(byteLength));
+    return base64Url(bytes);
+}
+
+async function sha256Base64Url(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return base64Url(new Uint8Array(digest));
+}
+
+function base64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
@@ -0,0 +1,24 @@
+// Leaderboard API client
+// Both calls resolve to a LeaderboardPage: { total, entries: [{ rank, userId, displayName, rating, wins, losses, recentForm }] }
+
+import { LEADERBOARD_API_URL } from '../config.js';
+import { getAccessToken } from './auth.js';
+
+// Highest rated players, starting at a zero-based offset
+export async function fetchTopPlayers(offset = 0, limit = 20) {
+    const params = new URLSearchParams({ offset, limit });
+    return fetchPage(`${LEADERBOARD_API_URL}?${params}`);
+}
+
+// The signed-in player (or guest) with `radius` players above and below; no entries until their first rated match
+export async function fetchAroundMe(radius = 5) {
+    const token = await getAccessToken();
+    const params = new URLSearchParams({ radius });
+    return fetchPage(`${LEADERBOARD_API_URL}/me?${params}`, { headers: { Authorization: `Bearer ${token}` } });
+}
+
+async function fetchPage(url, options) {
+    const response = await fetch(url, options);
+    if (!response.ok) throw new Error(`Leaderboard request failed with status ${response.status}`);
+    return response.json();
+}
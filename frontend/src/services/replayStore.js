@@ -0,0 +1,67 @@
+// Recent match replays in IndexedDB (format in game/replay.js)
+
+const DB_NAME = 'pong-replays';
+const DB_VERSION = 1;
+const STORE = 'replays';
+const MAX_STORED_REPLAYS = 20; // Oldest replays are dropped beyond this
+
+let dbPromise = null;
+
+function openDb() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('createdAt', 'createdAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+// Run fn(store) in a transaction and resolve with the result of the request it returns
+async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+export async function saveReplay(replay) {
+    await withStore('readwrite', (store) => store.put(replay));
+
+    const keys = await withStore('readonly', (store) => store.index('createdAt').getAllKeys());
+    const excess = keys.length - MAX_STORED_REPLAYS;
+    if (excess > 0) {
+        await withStore('readwrite', (store) => {
+            for (const id of keys.slice(0, excess)) store.delete(id);
+            return null;
+        });
+    }
+}
+
+// Newest first, without the frame data: [{ id, createdAt, source, names, ownSide, duration, result, goals, version }]
+export async function listReplays() {
+    const replays = await withStore('readonly', (store) => store.getAll());
+    return replays
+        .map(({ frames, ...summary }) => summary)
+        .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+export function getReplay(id) {
+    return withStore('readonly', (store) => store.get(id));
+}
+
+export function deleteReplay(id) {
+    return withStore('readwrite', (store) => store.delete(id));
+}
@@ -1,13 +1,10 @@
-// Multiplayer SignalR connection logic
+// Multiplayer SignalR connection manager
+// One shared hub connection for every screen. Consumers subscribe to typed events with on()
+// and call the hub through the method wrappers below instead of building their own connection.
 // Uses global signalR object from CDN
 
-import { enableMultiplayer, renderMultiplayerState, handleOpponentInput } from '../game/game.js';
-import { SIGNALR_HUB_URL } from '../config.js';
-
-let connection = null;
-let lastReconnectAttempt = 0;
-let reconnectAttempts = 0;
-let keepAliveInterval = null;
+import { SIGNALR_HUB_URL, SIGNALR_RECONNECT_DELAYS_MS, SIGNALR_PING_INTERVAL_MS } from '../config.js';
+import { getAccessToken } from './auth.js';
 
 // Connection state enum for clarity
 export const SignalRConnectionState = {
@@ -17,152 +14,319 @@ export const SignalRConnectionState = {
     Disconnected: 'Disconnected',
 };
 
-export async function connectSignalR(onGameUpdate, onMatchFound, onConnectionStateChange, onConnectionError, onWaitingForOpponent) {
-    connection = new signalR.HubConnectionBuilder()
-        .withUrl(SIGNALR_HUB_URL)
-        .configureLogging(signalR.LogLevel.Information)
-        .withAutomaticReconnect()
-        .withHubProtocol(new signalR.protocols.msgpack.MessagePackHubProtocol())
-        .build();
+// Server-to-client hub events (payload in comments)
+export const HubEvents = {
+    GameUpdate: 'GameUpdate',                       // (gameState)
+    MatchFound: 'MatchFound',                       // ({ opponent, opponentRating, side, isBot, sessionToken, readyTimeoutMs, rules, rematch })
+    WaitingForOpponent: 'WaitingForOpponent',       // ()
+    AlreadyInGame: 'AlreadyInGame',                 // ()
+    OpponentDisconnected: 'OpponentDisconnected',   // (gameState)
+    GameOver: 'GameOver',                           // (gameState)
+    GameStarted: 'GameStarted',                     // ({ startAt, serverTime }) both players are ready, play starts at startAt (server clock)
+    ReadyStatus: 'ReadyStatus',                     // ({ leftReady, rightReady }) one player pressed Ready
+    ReadyCheckFailed: 'ReadyCheckFailed',           // ({ ready }) someone did not press Ready in time; the match is cancelled
+    GamePaused: 'GamePaused',                       // ({ side, pauseMs }) a player paused; play resumes within pauseMs
+    GameResumed: 'GameResumed',                     // ({ resumeInMs }) the pause is over, countdown until play resumes
+    PauseRejected: 'PauseRejected',                 // ({ reason: 'budgetUsed' })
+    Pong: 'Pong',                                   // (serverTime)
+    MatchResumed: 'MatchResumed',                   // ({ side, opponent, isBot, sessionToken, resumeInMs, state })
+    RejoinFailed: 'RejoinFailed',                   // ()
+    OpponentReconnecting: 'OpponentReconnecting',   // ({ reconnectInMs })
+    OpponentReconnected: 'OpponentReconnected',     // ({ resumeInMs })
+    RematchRequested: 'RematchRequested',           // ()
+    RematchDeclined: 'RematchDeclined',             // ()
+    ChatMessage: 'ChatMessage',                     // ({ side, sender, text, sentAt })
+    Emote: 'Emote',                                 // ({ side, emote })
+    ChatRejected: 'ChatRejected',                   // ({ reason: 'rateLimited' | 'filtered' })
+    RatingChanged: 'RatingChanged',                 // ({ rating, change }) after a rated match
+    LobbyUpdated: 'LobbyUpdated',                   // (lobbyInfo) someone joined or left, or the rules changed
+    LobbyClosed: 'LobbyClosed',                     // () the host left the private lobby
+    QueueStatus: 'QueueStatus',                     // ({ playersInQueue, waitedSeconds, estimatedWaitSeconds, minRating, maxRating, botFallbackAvailable })
+};
+
+// Events raised by the connection manager itself
+export const ConnectionEvents = {
+    StateChanged: 'connectionStateChanged',         // (state: SignalRConnectionState)
+    Error: 'connectionError',                       // (error)
+    Ping: 'ping',                                   // (roundTripMs)
+};
 
-    window.signalRConnection = connection;
+let connection = null;
+let connectPromise = null;
+let connectionState = SignalRConnectionState.Disconnected;
+let pingInterval = null;
+let pingStartTime = 0;
+const listeners = new Map();
 
-    // Game state update from server
-    connection.on("GameUpdate", (gameState) => {
-        renderMultiplayerState(gameState);
-        if (onGameUpdate) onGameUpdate(gameState);
-    });
+// The session token identifies our seat in a match across connection IDs (see RejoinMatch)
+const SESSION_TOKEN_KEY = 'pong.sessionToken';
 
-    // Opponent input from server
-    connection.on("OpponentPaddleInput", (targetY) => {
-        handleOpponentInput(targetY);
-    });
+export function setSessionToken(token) {
+    if (token) sessionStorage.setItem(SESSION_TOKEN_KEY, token);
+}
+
+export function getSessionToken() {
+    return sessionStorage.getItem(SESSION_TOKEN_KEY);
+}
 
-    connection.on("MatchFound", (matchInfo) => {
-        // matchInfo.side: 1 or 2
-        enableMultiplayer(matchInfo.side, sendPaddleInput);
-        // Signal readiness to backend
-        if (connection && typeof connection.invoke === 'function') {
-            connection.invoke("RequestStartGame");
+export function clearSessionToken() {
+    sessionStorage.removeItem(SESSION_TOKEN_KEY);
+}
+
+// Subscribe to a hub or connection event; returns an unsubscribe function
+export function on(event, handler) {
+    if (!listeners.has(event)) listeners.set(event, new Set());
+    listeners.get(event).add(handler);
+    return () => off(event, handler);
+}
+
+export function off(event, handler) {
+    const handlers = listeners.get(event);
+    if (handlers) handlers.delete(handler);
+}
+
+function emit(event, ...args) {
+    const handlers = listeners.get(event);
+    if (!handlers) return;
+    for (const handler of [...handlers]) {
+        try {
+            handler(...args);
+        } catch (err) {
+            console.error(`Error in ${event} handler:`, err);
         }
-        if (onMatchFound) onMatchFound(matchInfo);
-    });
+    }
+}
 
-    connection.on("WaitingForOpponent", () => {
-        console.log("Waiting for opponent");
-        if (onWaitingForOpponent) onWaitingForOpponent();
-    });
+// Subscribe to several events for the lifetime of one match
+// handlers: { [HubEvents.X]: fn }; returns a function that removes all of them at once
+export function subscribeToMatch(handlers) {
+    const unsubscribers = Object.entries(handlers).map(([event, handler]) => on(event, handler));
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+}
 
-    connection.on("AlreadyInGame", () => {
-        console.log("Already in a game");
-    });
+export function getConnectionState() {
+    return connectionState;
+}
 
-    connection.on("OpponentDisconnected", (gameState) => {
-        console.log("Opponent disconnected", gameState);
-    });
+function setConnectionState(state) {
+    if (connectionState === state) return;
+    connectionState = state;
+    emit(ConnectionEvents.StateChanged, state);
+}
 
-    connection.on("GameOver", (gameState) => {
-        console.log("Game over", gameState);
-        if (onGameUpdate) onGameUpdate(gameState); // Update the final game state
+function buildConnection() {
+    const hubConnection = new signalR.HubConnectionBuilder()
+        .withUrl(SIGNALR_HUB_URL, { accessTokenFactory: getAccessToken }) // Called on every (re)connect
+        .configureLogging(signalR.LogLevel.Information)
+        .withAutomaticReconnect(SIGNALR_RECONNECT_DELAYS_MS)
+        .withHubProtocol(new signalR.protocols.msgpack.MessagePackHubProtocol())
+        .build();
+
+    // Forward every hub event to our own listeners
+    for (const event of Object.values(HubEvents)) {
+        hubConnection.on(event, (...args) => emit(event, ...args));
+    }
+
+    hubConnection.onclose((err) => {
+        console.error("SignalR connection closed", err);
+        stopPing();
+        setConnectionState(SignalRConnectionState.Disconnected);
+        if (err) emit(ConnectionEvents.Error, err);
     });
 
-    connection.on("Pong", (timestamp) => {
-        console.debug("Received pong from server", new Date(timestamp));
+    hubConnection.onreconnecting((err) => {
+        console.warn("SignalR reconnecting due to error", err);
+        setConnectionState(SignalRConnectionState.Reconnecting);
     });
 
-    connection.on("GameStarted", () => {
-        // Optionally, you can show a toast or UI indicator that the game is starting
-        console.log("Game started! Both players are ready.");
+    hubConnection.onreconnected((connectionId) => {
+        console.log("SignalR reconnected with ID:", connectionId);
+        setConnectionState(SignalRConnectionState.Connected);
+        startPing();
+
+        // A reconnect means a new connection ID: reclaim our seat in the running match
+        const token = getSessionToken();
+        if (token) rejoinMatch(token);
     });
 
-    // Connection state handlers
-    if (onConnectionStateChange) {
-        connection.onclose((err) => {
-            console.error("SignalR connection closed", err);
-            if (onConnectionStateChange) onConnectionStateChange(SignalRConnectionState.Disconnected);
-            if (onConnectionError && err) onConnectionError(err);
-            stopKeepAlive();
-        });
+    return hubConnection;
+}
 
-        connection.onreconnecting((err) => {
-            console.warn("SignalR reconnecting due to error", err);
-            if (onConnectionStateChange) onConnectionStateChange(SignalRConnectionState.Reconnecting);
-        });
+// Connect (once) and resolve to true when the shared connection is up
+export function connect() {
+    if (isConnected()) return Promise.resolve(true);
+    if (connectPromise) return connectPromise;
 
-        connection.onreconnected((connectionId) => {
-            console.log("SignalR reconnected with ID:", connectionId);
-            reconnectAttempts = 0;
-            if (onConnectionStateChange) onConnectionStateChange(SignalRConnectionState.Connected);
-            startKeepAlive();
-        });
+    if (!connection) {
+        connection = buildConnection();
+        window.signalRConnection = connection;
     }
 
-    try {
-        await connection.start();
-        console.log("Connected to SignalR");
-        if (onConnectionStateChange) onConnectionStateChange(SignalRConnectionState.Connected);
-        startKeepAlive();
-    } catch (err) {
-        console.error("SignalR connection error:", err);
-        if (onConnectionStateChange) onConnectionStateChange(SignalRConnectionState.Disconnected);
-        if (onConnectionError) onConnectionError(err);
+    setConnectionState(SignalRConnectionState.Connecting);
+    connectPromise = connection.start()
+        .then(() => {
+            console.log("Connected to SignalR");
+            setConnectionState(SignalRConnectionState.Connected);
+            startPing();
+            return true;
+        })
+        .catch((err) => {
+            console.error("SignalR connection error:", err);
+            setConnectionState(SignalRConnectionState.Disconnected);
+            emit(ConnectionEvents.Error, err);
+            return false;
+        })
+        .finally(() => {
+            connectPromise = null;
+        });
+    return connectPromise;
+}
+
+export async function disconnect() {
+    stopPing();
+    if (connection) {
+        try {
+            await connection.stop();
+        } catch (err) {
+            console.warn("Error during connection cleanup:", err);
+        }
     }
 }
 
-// Start sending regular keepalive messages
-function startKeepAlive() {
-    stopKeepAlive(); // Clear any existing interval
-    
-    // Send keepalive every 15 seconds
-    keepAliveInterval = setInterval(() => {
+// Regular keepalive that doubles as ping measurement
+function startPing() {
+    stopPing(); // Clear any existing interval
+    pingInterval = setInterval(() => {
         if (isConnected()) {
-            console.debug("Sending keepalive");
-            connection.invoke("KeepAlive").catch(err => {
-                console.warn("Error sending keepalive:", err);
-            });
+            pingStartTime = Date.now();
+            invoke("KeepAlive");
         }
-    }, 15000);
+    }, SIGNALR_PING_INTERVAL_MS);
 }
 
-// Stop sending keepalive messages
-function stopKeepAlive() {
-    if (keepAliveInterval) {
-        clearInterval(keepAliveInterval);
-        keepAliveInterval = null;
+function stopPing() {
+    if (pingInterval) {
+        clearInterval(pingInterval);
+        pingInterval = null;
     }
 }
 
+on(HubEvents.Pong, () => {
+    if (pingStartTime) emit(ConnectionEvents.Ping, Date.now() - pingStartTime);
+});
+
 function isConnected() {
-    return connection && connection.state === signalR.HubConnectionState.Connected;
+    return connection !== null && connection.state === signalR.HubConnectionState.Connected;
 }
 
-// Use new SendPaddleInput method
-export function sendPaddleInput(targetY) {
-    if (isConnected()) {
-        try {
-            connection.invoke("SendPaddleInput", targetY).catch(err => {
-                console.warn("Error sending paddle input:", err);
-            });
-        } catch (err) {
-            console.error("Error sending paddle input:", err);
-        }
+// Invoke a hub method if connected; failures are logged and resolve to undefined
+function invoke(method, ...args) {
+    if (!isConnected()) {
+        console.warn(`Cannot invoke ${method}: not connected`);
+        return Promise.resolve(undefined);
     }
+    return connection.invoke(method, ...args).catch((err) => {
+        console.error(`Error invoking ${method}:`, err);
+        return undefined;
+    });
 }
 
-export function joinMultiplayer() {
-    if (isConnected()) {
-        connection.invoke("JoinMatchmaking").catch(err => {
-            console.error("Error joining matchmaking:", err);
-        });
-    }
+// --- Hub method wrappers ---
+
+// inputSequence lets the client match server acknowledgements
+export function sendPaddleInput(targetY, inputSequence) {
+    return invoke("SendPaddleInput", targetY, inputSequence);
 }
 
-export function startBotMatch() {
-    if (isConnected()) {
-        connection.invoke("StartBotMatch").catch(err => {
-            console.error("Error starting bot match:", err);
-        });
-    }
+// region: players are paired within the same region first (see MatchmakingService)
+export function joinMatchmaking(region) {
+    return invoke("JoinMatchmaking", region);
+}
+
+export function cancelMatchmaking() {
+    return invoke("CancelMatchmaking");
+}
+
+// Private lobbies; lobby calls resolve to { code, host, guest, rules } (rules as in game/rules.js) or null
+export function createPrivateLobby() {
+    return invoke("CreatePrivateLobby");
+}
+
+export function joinPrivateLobby(code) {
+    return invoke("JoinPrivateLobby", code);
+}
+
+// Host only
+export function setLobbyRules(rules) {
+    return invoke("SetLobbyRules", rules);
+}
+
+// Host only, once a friend has joined
+export function startPrivateMatch() {
+    return invoke("StartPrivateMatch");
+}
+
+export function leavePrivateLobby() {
+    return invoke("LeavePrivateLobby");
+}
+
+// rules: match rules (see game/rules.js), null for the server defaults
+export function startBotMatch(rules = null) {
+    return invoke("StartBotMatch", rules);
+}
+
+// Ready check: the match starts (GameStarted) once both players called this
+export function requestStartGame() {
+    return invoke("RequestStartGame");
+}
+
+// Pause our running match (limited by a per-player pause budget); only the pausing player can resume
+export function pauseGame() {
+    return invoke("PauseGame");
+}
+
+export function resumeGame() {
+    return invoke("ResumeGame");
+}
+
+// Give up the running match; it ends as a rated loss
+export function forfeitMatch() {
+    return invoke("ForfeitMatch");
+}
+
+export function rejoinMatch(sessionToken) {
+    return invoke("RejoinMatch", sessionToken);
+}
+
+export function requestRematch() {
+    return invoke("RequestRematch");
+}
+
+export function leaveMatch() {
+    return invoke("LeaveMatch");
+}
+
+export function sendChatMessage(text) {
+    return invoke("SendChatMessage", text);
+}
+
+// emote: one of the IDs in components/chat.js EMOTES
+export function sendEmote(emote) {
+    return invoke("SendEmote", emote);
+}
+
+// Resolves to [{ matchId, player1, player2, leftScore, rightScore, viewers, isBot }]
+export function getLiveMatches() {
+    return invoke("GetLiveMatches");
+}
+
+// Resolves to { match, state } or null when the match is no longer live
+export function spectateMatch(matchId) {
+    return invoke("SpectateMatch", matchId);
+}
+
+export function stopSpectating() {
+    return invoke("StopSpectating");
 }
 
 // Helper function to check connection health
@@ -171,20 +335,12 @@ export function checkConnection() {
         console.log("SignalR connection not initialized");
         return false;
     }
-    
+
     console.log("SignalR connection state:", connection.state);
-    return connection.state === signalR.HubConnectionState.Connected;
+    return isConnected();
 }
 
 // Explicitly disconnect when the user leaves the page
 window.addEventListener('beforeunload', () => {
-    if (connection) {
-        try {
-            // Clean up resources
-            stopKeepAlive();
-            connection.stop();
-        } catch (err) {
-            console.warn("Error during connection cleanup:", err);
-        }
-    }
-});
\ No newline at end of file
+    disconnect();
+});